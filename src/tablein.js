@@ -25,16 +25,48 @@ class Tablein {
       serverSide: false,
       serverUrl: '',
       serverParams: null, // Custom function to generate server parameters
+      serverProtocol: null, // Request and response format: 'datatables', 'odata', 'jsonapi', 'spring', 'graphql' or an adapter
+      graphql: null, // GraphQL data source: { query, path, pagination: 'offset'|'cursor', variables, operationName }
+      transport: null, // Server requests: { method, headers, credentials, serialize, fetchData }
+      requestTimeout: 0, // Milliseconds before a server load is aborted, 0 waits indefinitely
+      retryAttempts: 0, // Times a server load is retried after a network error or 5xx response
+      retryDelay: 1000, // Milliseconds before the first retry, doubled for each further retry
+      errorRenderer: null, // Function(error, container, retry) rendering the load error overlay
       lazyLoad: false,
       infiniteScroll: false,
       loadThreshold: 100,
+      virtualScroll: false, // Render only the visible rows of large client-side datasets
+      rowHeight: null, // Fixed row height in px for virtual scrolling, measured when null
+      estimatedRowHeight: 40, // Row height assumed before rows are measured
+      virtualBuffer: 10, // Rows rendered above and below the visible area
+      useWorker: false, // Sort, filter, search and analyze client-side data in a Web Worker
+      workerThreshold: 10000, // Minimum number of rows before the worker is used
+      searchDebounce: 300, // Delay in ms before the search box and column filter inputs apply their value
+      groupBy: [], // Fields to group rows by, outermost first
+      groupExpanded: true, // Whether groups start expanded
+      footerScope: 'all', // Rows summarized in the footer: 'all' filtered rows or the current 'page'
+      footerLabel: 'Total', // Label shown in the footer's first column when it has no aggregate
+      pivot: null, // Pivot configuration: { rows, columns, values, subtotals, grandTotals, drillDown }
+      treeData: false, // Show hierarchical rows with expand/collapse toggles
+      treeChildrenField: 'children', // Field holding the child rows of a row
+      treeParentField: null, // Field holding the parent key of a row, for flat data
+      treeExpanded: false, // Whether tree rows start expanded
+      treeLazy: false, // Load children on expand from serverUrl, or with a function(row) returning a Promise
+      treeHasChildrenField: 'hasChildren', // Field marking rows with children still to be loaded
+      treeIndent: 20, // Indentation in px per tree level
+      detailRenderer: null, // Function(row, container) returning the detail content of an expandable row
+      selection: null, // Row selection mode: 'single' or 'multiple'
+      selectionCheckbox: false, // Show a selection checkbox in the first column
+      bulkActions: [], // Toolbar actions for the selected rows: { text, icon, className, action(rows, selection) }
       exportOptions: {
         excel: true,
         pdf: true,
         print: true
       },
       searchable: false,
+      filterMode: 'row', // Per-column filter controls: 'row' (under the header) or 'menu' (header dropdown)
       sortable: true,
+      sortNulls: 'last', // Where empty values go when sorting: 'first' or 'last'
       resizableColumns: false,
       theme: 'default',
       useHTML: false, // Whether to use existing HTML table
@@ -42,6 +74,15 @@ class Tablein {
       cssClass: '', // Additional custom CSS class
       rowClassName: null, // Function to determine row class name
       cellClassName: null, // Function to determine cell class name
+      cellSelection: false, // Select cell ranges with the mouse or Shift+arrows, copy and paste them
+      editable: false, // Whether cells can be edited, or a function(row, column) deciding per cell
+      editTriggers: ['dblclick', 'enter', 'f2'], // What opens a cell editor: 'dblclick', 'click', 'enter', 'f2'
+      editors: {}, // Custom cell editors by name, used with column.editor
+      undoLimit: 100, // Maximum number of undo steps, 0 disables undo
+      batchEdit: false, // Stage edits, added and removed rows until commitChanges() or revertChanges()
+      commitUrl: '', // URL the staged changes are POSTed to by commitChanges()
+      commitHandler: null, // Function(changes) saving the staged changes instead, returning a Promise
+      rowKey: null, // Field name or function(row) that uniquely identifies a row
       aiInsights: false, // Enable AI-powered data insights
       insightsPosition: 'top', // 'top', 'bottom', 'tooltip'
       insightsThreshold: 0.7, // Confidence threshold for showing insights
@@ -98,18 +139,26 @@ class Tablein {
     this.currentPage = 1;
     this.totalPages = 1;
     this.isBusy = false;
+    this.loadController = null; // AbortController of the server load in flight
+    this.loadSequence = 0; // Number of the latest server load, responses of older loads are ignored
+    this.loadErrorElement = null; // Overlay showing why the last server load failed
+    this.pageCursors = null; // End cursors of the pages loaded from a GraphQL connection: { query, cursors }
     this.loadedRows = 0;
     this.tableElement = null;
     this.tableContainer = null;
     this.paginationElement = null;
     this.toolbarElement = null;
     this.searchElement = null;
+    this.clearFiltersButton = null; // Toolbar button clearing filters without header controls
     this.contextMenuElement = null;
+    this.filterMenuElement = null;
+    this.filterMenuCloseHandler = null; // Document click handler closing the filter menu
     this.originalData = [];
     this.totalRecords = 0;
     this.searchTerm = '';
-    this.sortField = '';
-    this.sortDirection = 'asc';
+    this.columnFilters = {}; // Active per-column filter values by field
+    this.filterTimers = new Map(); // Pending debounced filter inputs by field
+    this.sortModel = []; // Ordered list of { field, direction } sorts
     this.insights = []; // Store generated insights
     this.cellVersions = new Map(); // Store cell version history
     this.collaborationSocket = null; // WebSocket for real-time collaboration
@@ -123,11 +172,72 @@ class Tablein {
     this.activeCell = { rowIndex: -1, columnIndex: -1 }; // Currently active/focused cell
     this.keyboardNavigationEnabled = false; // Will be enabled after initialization
     this.shortcuts = {}; // Keyboard shortcut handlers
+    this.eventHandlers = {}; // Registered event handlers by event name
+    this.rowKeys = new WeakMap(); // Generated keys for rows when no rowKey option is set
+    this.rowKeyCounter = 0; // Counter for generated row keys
+    this.rowIndex = null; // Data rows by key, rebuilt when the rows change
+    this.rowElements = null; // Rendered rows by key, rebuilt when the table body changes
+    this.rowElementObserver = null; // Watches the table body for added or removed rows
+    this.rowHeights = new WeakMap(); // Measured row heights for virtual scrolling
+    this.virtualOffsets = null; // Cached row offsets for virtual scrolling
+    this.virtualRange = null; // Currently rendered virtual rows
+    this.worker = null; // Web Worker running the data engine
+    this.workerFailed = false; // Whether the worker is unavailable
+    this.workerStale = true; // Whether the worker's copy of the data is outdated
+    this.workerRequests = new Map(); // Pending worker requests by id
+    this.workerRequestId = 0; // Id of the last worker request
+    this.viewRequestId = null; // Worker request the client view waits for
+    this.groupRows = new WeakSet(); // Group header items in the display rows
+    this.groupToggles = new Map(); // Groups expanded or collapsed by the user, by group key
+    this.groupsExpanded = this.options.groupExpanded; // Expanded state of groups not toggled
+    this.groupVersion = 0; // Incremented when the expanded state of groups changes
+    this.displayRows = null; // Cached display rows for grouping
+    this.options.groupBy = this.normalizeGroupBy(this.options.groupBy);
+    this.pivotConfig = null; // Active pivot configuration
+    this.pivotSource = null; // Source columns, data and view state while pivoting
+    this.pivotSourceRows = new WeakMap(); // Source rows of each pivot row
+    this.pivotComboKeys = new WeakMap(); // Column dimension key of each source row
+    this.treeChildren = new WeakMap(); // Child rows of each tree row
+    this.treeParents = new WeakMap(); // Parent row of each tree row
+    this.treeLevels = new WeakMap(); // Depth of each visible tree row
+    this.treeRoots = []; // Top-level tree rows
+    this.treeToggles = new Map(); // Tree rows expanded or collapsed by the user, by row key
+    this.treeLoading = new Set(); // Keys of tree rows whose children are loading
+    this.treePageRows = []; // Rows loaded from the server for a server-side tree, with flat loaded children
+    this.treeLoaded = new Set(); // Keys of tree rows whose children were loaded
+    this.treeLoadController = null; // AbortController of lazy child loads, cancelled when the tree rows are replaced
+    this.detailToggles = new Map(); // Detail rows expanded or collapsed by the user, by row key
+    this.detailsExpanded = false; // Expanded state of detail rows not toggled
+    this.detailElements = new Map(); // Rendered detail content by row key, kept while collapsed
+    this.selectedRows = new Map(); // Selected rows by row key
+    this.selectAllMatching = false; // Whether all rows matching the search and filters are selected
+    this.selectionExclusions = new Map(); // Rows deselected while all matching rows are selected, by row key
+    this.selectionQuery = null; // Search and filters the matching rows were selected with
+    this.selectionAnchor = null; // Key of the row a shift-click range starts from
+    this.bulkActionsElement = null; // Toolbar area for the selected rows
+    this.activeEditor = null; // Cell editor that is open
+    this.undoStack = []; // Steps of local cell changes that can be undone
+    this.redoStack = []; // Undone steps that can be redone
+    this.undoTransaction = null; // Changes collected for the step being recorded
+    this.applyingHistory = false; // Whether undo or redo is applying changes
+    this.batchOriginals = new Map(); // Original values of edited rows in batch mode: key -> { row, values }
+    this.batchAdded = new Map(); // Rows added in batch mode, by row key
+    this.batchRemoved = new Map(); // Rows removed in batch mode, by row key
+    this.cellRange = null; // Selected cell range: { anchor, focus } cells as { key, field }
+    this.rangeSelecting = false; // Whether a cell range is being dragged
     
     if (this.options.data && Array.isArray(this.options.data)) {
       this.originalData = [...this.options.data];
     }
     
+    if (this.options.pivot && !this.options.serverSide) {
+      this.applyPivot(this.options.pivot);
+    }
+    
+    if (this.options.treeData && !this.options.serverSide) {
+      this.processClientData();
+    }
+    
     this.init();
   }
   
@@ -170,8 +280,12 @@ class Tablein {
       this.createTable();
     }
     
-    // Create pagination if not infinite scroll
-    if (!this.options.infiniteScroll && !this.options.lazyLoad) {
+    if (this.pivotConfig) {
+      this.tableContainer.classList.add('pivot-mode');
+    }
+    
+    // Create pagination if not infinite or virtual scroll
+    if (!this.options.infiniteScroll && !this.options.lazyLoad && !this.isVirtualScroll()) {
       this.createPagination();
     }
     
@@ -198,11 +312,19 @@ class Tablein {
     // Load data
     this.loadData();
     
+    // Open cell editors, before other row key handlers see Enter
+    this.makeTableEditable();
+    
     // Add event listeners
     this.attachEventListeners();
     
     // Initialize collaboration features
     this.initCollaboration();
+    
+    // Initialize cell range selection and clipboard
+    if (this.options.cellSelection) {
+      this.initCellSelection();
+    }
   }
   
   /**
@@ -252,7 +374,7 @@ class Tablein {
     
     // Extract data from the rows if no data was provided
     if (this.originalData.length === 0) {
-      const rows = this.tableElement.querySelectorAll('tbody tr');
+      const rows = this.tableElement.querySelectorAll(':scope > tbody > tr');
       const data = [];
       
       rows.forEach(row => {
@@ -277,7 +399,7 @@ class Tablein {
     
     // Add the table to the wrapper
     tableWrapper.appendChild(this.tableElement);
-    this.tableContainer.appendChild(tableWrapper);
+    this.tableContainer.appendChild(this.createTableViewport(tableWrapper));
     
     // Apply frozen headers if enabled
     if (this.options.freezeHeader) {
@@ -307,27 +429,59 @@ class Tablein {
       searchInput.type = 'text';
       searchInput.placeholder = 'Search...';
       
-      if (this.options.serverSide) {
-        // For server-side, use debounce to avoid too many requests
-        let debounceTimeout;
-        searchInput.addEventListener('input', (e) => {
-          clearTimeout(debounceTimeout);
-          debounceTimeout = setTimeout(() => {
+      // Debounce to avoid too many requests or full data scans while typing
+      let debounceTimeout;
+      searchInput.addEventListener('input', (e) => {
+        clearTimeout(debounceTimeout);
+        debounceTimeout = setTimeout(() => {
+          if (this.options.serverSide) {
             this.searchTerm = e.target.value;
             this.currentPage = 1;
             this.loadedRows = 0;
             this.loadData();
-          }, 300);
-        });
-      } else {
-        // For client-side search, filter immediately
-        searchInput.addEventListener('input', (e) => this.search(e.target.value));
-      }
+          } else {
+            this.search(e.target.value);
+          }
+        }, this.options.searchDebounce);
+      });
       
       this.searchElement.appendChild(searchInput);
       this.toolbarElement.appendChild(this.searchElement);
     }
     
+    // Add group controls, shown while rows are grouped
+    this.groupControlsElement = document.createElement('div');
+    this.groupControlsElement.className = 'group-buttons';
+    this.groupControlsElement.style.display = this.isGrouped() ? '' : 'none';
+    
+    const expandBtn = document.createElement('button');
+    expandBtn.textContent = 'Expand all';
+    expandBtn.className = 'expand-groups-btn';
+    expandBtn.addEventListener('click', () => this.expandAllGroups());
+    this.groupControlsElement.appendChild(expandBtn);
+    
+    const collapseBtn = document.createElement('button');
+    collapseBtn.textContent = 'Collapse all';
+    collapseBtn.className = 'collapse-groups-btn';
+    collapseBtn.addEventListener('click', () => this.collapseAllGroups());
+    this.groupControlsElement.appendChild(collapseBtn);
+    
+    this.toolbarElement.appendChild(this.groupControlsElement);
+    
+    // Add a button clearing filters the header has no controls for, such as drill-down filters
+    this.clearFiltersButton = document.createElement('button');
+    this.clearFiltersButton.type = 'button';
+    this.clearFiltersButton.className = 'clear-filters-btn';
+    this.clearFiltersButton.textContent = 'Clear filters';
+    this.clearFiltersButton.style.display = 'none';
+    this.clearFiltersButton.addEventListener('click', () => this.clearFilters());
+    this.toolbarElement.appendChild(this.clearFiltersButton);
+    
+    // Add bulk actions, shown while rows are selected
+    if (this.options.selection) {
+      this.createBulkActions();
+    }
+    
     // Add toolbar spacer
     const spacer = document.createElement('div');
     spacer.className = 'toolbar-spacer';
@@ -366,6 +520,16 @@ class Tablein {
     this.tableContainer.appendChild(this.toolbarElement);
   }
   
+  /**
+   * Wrap the scrolling table wrapper in a box that doesn't scroll, for overlays over the visible table
+   */
+  createTableViewport(tableWrapper) {
+    const viewport = document.createElement('div');
+    viewport.className = 'advanced-table-viewport';
+    viewport.appendChild(tableWrapper);
+    return viewport;
+  }
+  
   /**
    * Create the table element
    */
@@ -380,47 +544,28 @@ class Tablein {
       this.tableElement.classList.add(this.options.cssClass);
     }
     
-    const thead = document.createElement('thead');
-    const headerRow = document.createElement('tr');
-    
-    // Create header cells
-    this.options.columns.forEach(column => {
-      const th = document.createElement('th');
-      th.textContent = column.title || column.field;
-      
-      if (column.sortable !== false && this.options.sortable) {
-        th.classList.add('sortable');
-        th.addEventListener('click', () => this.sortBy(column.field));
-      }
-      
-      if (column.width) {
-        th.style.width = typeof column.width === 'number' 
-          ? `${column.width}px` 
-          : column.width;
-      }
-      
-      // Add data attributes
-      th.setAttribute('data-field', column.field);
-      
-      if (column.className) {
-        th.className = column.className;
-      }
-      
-      headerRow.appendChild(th);
-    });
+    if (this.options.selection === 'multiple') {
+      this.tableElement.setAttribute('aria-multiselectable', 'true');
+    }
     
-    thead.appendChild(headerRow);
+    const thead = this.createHeader();
+    const headerRow = thead.rows[0];
     this.tableElement.appendChild(thead);
     
     const tbody = document.createElement('tbody');
     this.tableElement.appendChild(tbody);
     
     tableWrapper.appendChild(this.tableElement);
-    this.tableContainer.appendChild(tableWrapper);
+    this.tableContainer.appendChild(this.createTableViewport(tableWrapper));
     
     // Apply frozen headers if enabled
     if (this.options.freezeHeader) {
       tableWrapper.classList.add('freeze-header');
+      
+      // Stick the filter row right below the header row
+      if (thead.querySelector('.advanced-table-filter-row') && headerRow.offsetHeight) {
+        tableWrapper.style.setProperty('--filter-row-top', `${headerRow.offsetHeight}px`);
+      }
     }
     
     // Apply frozen columns if enabled
@@ -430,6 +575,299 @@ class Tablein {
     }
   }
   
+  /**
+   * Create the table head with the header row and filter row
+   */
+  createHeader() {
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    
+    // Create header cells
+    this.options.columns.forEach(column => {
+      headerRow.appendChild(this.createHeaderCell(column));
+    });
+    
+    thead.appendChild(headerRow);
+    
+    // Add a row of filter controls under the headers
+    if (this.options.filterMode === 'row' && this.options.columns.some(column => this.getFilterConfig(column))) {
+      thead.appendChild(this.createFilterRow());
+    }
+    
+    return thead;
+  }
+  
+  /**
+   * Replace the table head after the column set changed
+   */
+  rebuildHeader() {
+    const thead = this.createHeader();
+    this.tableElement.replaceChild(thead, this.tableElement.tHead);
+    
+    if (this.options.resizableColumns) {
+      thead.querySelectorAll('tr:first-child th').forEach(header => this.addColumnResizer(header));
+    }
+    
+    // Stick the filter row right below the header row
+    const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+    if (this.options.freezeHeader && thead.querySelector('.advanced-table-filter-row') && thead.rows[0].offsetHeight) {
+      tableWrapper.style.setProperty('--filter-row-top', `${thead.rows[0].offsetHeight}px`);
+    }
+    
+    if (this.filterMenuElement) {
+      this.filterMenuElement.style.display = 'none';
+    }
+  }
+  
+  /**
+   * Create a header cell for a column
+   */
+  createHeaderCell(column) {
+    const th = document.createElement('th');
+    th.textContent = column.title || column.field;
+    
+    if (column.sortable !== false && this.options.sortable) {
+      th.classList.add('sortable');
+      // Shift-click adds the column as an additional sort
+      th.addEventListener('click', (e) => this.toggleSort(column.field, e.shiftKey));
+    }
+    
+    if (column.width) {
+      th.style.width = typeof column.width === 'number' 
+        ? `${column.width}px` 
+        : column.width;
+    }
+    
+    // Add data attributes
+    th.setAttribute('data-field', column.field);
+    
+    if (column.className) {
+      th.classList.add(column.className);
+    }
+    
+    // Restore the sort indicator when the header is rebuilt
+    this.setSortIndicator(th, column.field);
+    
+    // Add a dropdown button for the filter menu
+    if (this.options.filterMode === 'menu' && this.getFilterConfig(column)) {
+      const filterBtn = document.createElement('button');
+      filterBtn.type = 'button';
+      filterBtn.className = 'filter-menu-btn';
+      filterBtn.textContent = '▾';
+      filterBtn.setAttribute('aria-label', `Filter ${column.title || column.field}`);
+      filterBtn.addEventListener('click', (e) => {
+        // Don't sort when opening the menu
+        e.stopPropagation();
+        this.toggleFilterMenu(column, th);
+      });
+      
+      th.appendChild(filterBtn);
+    }
+    
+    if (this.columnFilters[column.field]) {
+      th.classList.add('filtered');
+    }
+    
+    if (column.visible === false) {
+      th.style.display = 'none';
+    }
+    
+    return th;
+  }
+  
+  /**
+   * Create the row of filter controls shown under the headers
+   */
+  createFilterRow() {
+    const filterRow = document.createElement('tr');
+    filterRow.className = 'advanced-table-filter-row';
+    
+    this.options.columns.forEach(column => {
+      filterRow.appendChild(this.createFilterCell(column));
+    });
+    
+    return filterRow;
+  }
+  
+  /**
+   * Create the filter row cell for a column
+   */
+  createFilterCell(column) {
+    const th = document.createElement('th');
+    th.className = 'filter-cell';
+    th.setAttribute('data-field', column.field);
+    
+    const config = this.getFilterConfig(column);
+    
+    if (config && config.type === 'select') {
+      // Multi-select values are picked from a dropdown list
+      const selectBtn = document.createElement('button');
+      selectBtn.type = 'button';
+      selectBtn.className = 'filter-select-btn';
+      const filter = this.columnFilters[column.field];
+      selectBtn.textContent = this.getSelectFilterLabel(filter);
+      selectBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleFilterMenu(column, th);
+      });
+      th.appendChild(selectBtn);
+    } else if (config) {
+      th.appendChild(this.createFilterControl(column, config));
+    }
+    
+    if (column.visible === false) {
+      th.style.display = 'none';
+    }
+    
+    return th;
+  }
+  
+  /**
+   * Create the input controls for a column filter
+   */
+  createFilterControl(column, config) {
+    const control = document.createElement('div');
+    control.className = `filter-control filter-${config.type}`;
+    
+    const current = this.columnFilters[column.field] || {};
+    const title = column.title || column.field;
+    
+    // Apply typed values after a short pause, like the search field
+    const applyDebounced = (getValue) => {
+      clearTimeout(this.filterTimers.get(column.field));
+      this.filterTimers.set(column.field, setTimeout(() => {
+        this.filterTimers.delete(column.field);
+        this.applyColumnFilter(column.field, getValue());
+      }, this.options.searchDebounce));
+    };
+    
+    const createInput = (type, value, placeholder) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.value = value !== undefined && value !== null ? value : '';
+      input.placeholder = placeholder;
+      input.setAttribute('aria-label', `${title} ${placeholder}`);
+      control.appendChild(input);
+      return input;
+    };
+    
+    switch (config.type) {
+      case 'number':
+      case 'date': {
+        const isNumber = config.type === 'number';
+        const fromKey = isNumber ? 'min' : 'from';
+        const toKey = isNumber ? 'max' : 'to';
+        const fromInput = createInput(config.type, current[fromKey], isNumber ? 'Min' : 'From');
+        const toInput = createInput(config.type, current[toKey], isNumber ? 'Max' : 'To');
+        const getValue = () => ({ [fromKey]: fromInput.value, [toKey]: toInput.value });
+        
+        fromInput.addEventListener('input', () => applyDebounced(getValue));
+        toInput.addEventListener('input', () => applyDebounced(getValue));
+        break;
+      }
+      
+      case 'boolean': {
+        const select = document.createElement('select');
+        select.setAttribute('aria-label', `Filter ${title}`);
+        
+        [['', 'All'], ['true', 'Yes'], ['false', 'No']].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          option.selected = current.value !== undefined && String(current.value) === value;
+          select.appendChild(option);
+        });
+        
+        select.addEventListener('change', () => {
+          this.applyColumnFilter(column.field, { value: select.value === '' ? null : select.value === 'true' });
+        });
+        
+        control.appendChild(select);
+        break;
+      }
+      
+      case 'select': {
+        const selected = (current.values || []).map(String);
+        
+        this.getFilterOptions(column, config).forEach(({ value, label }) => {
+          const item = document.createElement('label');
+          item.className = 'filter-option';
+          
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.value = value;
+          checkbox.checked = selected.includes(String(value));
+          checkbox.addEventListener('change', () => {
+            const values = Array.from(control.querySelectorAll('input:checked')).map(input => input.value);
+            this.applyColumnFilter(column.field, { values });
+          });
+          
+          item.appendChild(checkbox);
+          item.appendChild(document.createTextNode(` ${label}`));
+          control.appendChild(item);
+        });
+        break;
+      }
+      
+      default: {
+        const input = createInput('text', current.value, 'Filter...');
+        input.addEventListener('input', () => {
+          applyDebounced(() => ({ value: input.value, operator: config.operator || 'contains' }));
+        });
+      }
+    }
+    
+    return control;
+  }
+  
+  /**
+   * Open or close the filter dropdown for a column
+   */
+  toggleFilterMenu(column, anchor) {
+    if (!this.filterMenuElement) {
+      this.filterMenuElement = document.createElement('div');
+      this.filterMenuElement.className = 'advanced-table-filter-menu';
+      this.filterMenuElement.style.display = 'none';
+      
+      // Keep clicks inside the menu from closing it
+      this.filterMenuElement.addEventListener('click', (e) => e.stopPropagation());
+      document.body.appendChild(this.filterMenuElement);
+      
+      // Removed on destroy, so the table can be garbage collected
+      this.filterMenuCloseHandler = () => {
+        this.filterMenuElement.style.display = 'none';
+      };
+      document.addEventListener('click', this.filterMenuCloseHandler);
+    }
+    
+    const menu = this.filterMenuElement;
+    
+    if (menu.style.display !== 'none' && menu.getAttribute('data-field') === column.field) {
+      menu.style.display = 'none';
+      return;
+    }
+    
+    menu.innerHTML = '';
+    menu.setAttribute('data-field', column.field);
+    menu.appendChild(this.createFilterControl(column, this.getFilterConfig(column)));
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.className = 'filter-clear-btn';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => {
+      menu.style.display = 'none';
+      this.clearFilter(column.field);
+    });
+    menu.appendChild(clearBtn);
+    
+    // Position the menu below the header
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${rect.left}px`;
+    menu.style.top = `${rect.bottom}px`;
+    menu.style.display = 'block';
+  }
+  
   /**
    * Create pagination controls
    */
@@ -547,95 +985,118 @@ class Tablein {
   generateInsights() {
     this.insightsElement.innerHTML = '<div class="insights-loading">Analyzing data...</div>';
     
-    // Use setTimeout to avoid blocking the UI
-    setTimeout(() => {
-      const insights = [];
-      const data = this.originalData;
-      
-      if (!data || data.length === 0) {
-        this.insightsElement.innerHTML = '<div class="insights-empty">No data to analyze</div>';
-        return;
-      }
+    const data = this.originalData;
+    
+    if (!data || data.length === 0) {
+      this.insightsElement.innerHTML = '<div class="insights-empty">No data to analyze</div>';
+      return;
+    }
+    
+    const showInsights = insights => {
+      // Filter insights by confidence threshold
+      this.insights = insights.filter(insight => insight.confidence >= this.options.insightsThreshold);
       
-      // Sample size check
-      if (data.length < 5) {
-        insights.push({
-          type: 'info',
-          message: 'Sample size is too small for meaningful analysis',
-          confidence: 1.0
+      // Display insights
+      this.renderInsights();
+    };
+    
+    if (this.canUseWorker()) {
+      this.requestWorker('stats')
+        .then(insights => {
+          if (insights) showInsights(insights);
+        })
+        .catch(error => {
+          console.error('Worker analysis failed, analyzing on the main thread:', error);
+          showInsights(this.computeInsights(data));
         });
-      }
+      return;
+    }
+    
+    // Use setTimeout to avoid blocking the UI
+    setTimeout(() => showInsights(this.computeInsights(data)), 100);
+  }
+  
+  /**
+   * Analyze data and return the insights found
+   * Runs in the worker too, so it must not touch the DOM
+   */
+  computeInsights(data) {
+    const insights = [];
+    
+    // Sample size check
+    if (data.length < 5) {
+      insights.push({
+        type: 'info',
+        message: 'Sample size is too small for meaningful analysis',
+        confidence: 1.0
+      });
+    }
+    
+    // For numeric columns: min, max, avg, outliers
+    this.options.columns.forEach(column => {
+      const values = data.map(row => row[column.field]).filter(val => val !== null && val !== undefined);
       
-      // For numeric columns: min, max, avg, outliers
-      this.options.columns.forEach(column => {
-        const values = data.map(row => row[column.field]).filter(val => val !== null && val !== undefined);
+      // Check if column contains numeric values
+      if (this.isNumericColumn(column, values)) {
+        const numericValues = values.map(v => this.getNumericValue(v, column)).filter(v => v !== null);
         
-        // Check if column contains numeric values
-        if (values.length > 0 && !isNaN(parseFloat(values[0]))) {
-          const numericValues = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+        if (numericValues.length > 3) {
+          // Calculate statistics
+          const sum = numericValues.reduce((a, b) => a + b, 0);
+          const avg = sum / numericValues.length;
+          const min = numericValues.reduce((a, b) => Math.min(a, b), Infinity);
+          const max = numericValues.reduce((a, b) => Math.max(a, b), -Infinity);
           
-          if (numericValues.length > 3) {
-            // Calculate statistics
-            const sum = numericValues.reduce((a, b) => a + b, 0);
-            const avg = sum / numericValues.length;
-            const min = Math.min(...numericValues);
-            const max = Math.max(...numericValues);
-            
-            // Standard deviation
-            const variance = numericValues.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / numericValues.length;
-            const stdDev = Math.sqrt(variance);
-            
-            // Find outliers (values more than 2 standard deviations from mean)
-            const outliers = numericValues.filter(v => Math.abs(v - avg) > 2 * stdDev);
-            
-            if (outliers.length > 0) {
-              insights.push({
-                type: 'warning',
-                message: `Found ${outliers.length} outliers in column "${column.title || column.field}"`,
-                detail: `Values that deviate significantly from the average (${avg.toFixed(2)})`,
-                confidence: 0.8
-              });
-            }
-            
+          // Standard deviation
+          const variance = numericValues.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / numericValues.length;
+          const stdDev = Math.sqrt(variance);
+          
+          // Find outliers (values more than 2 standard deviations from mean)
+          const outliers = numericValues.filter(v => Math.abs(v - avg) > 2 * stdDev);
+          
+          if (outliers.length > 0) {
             insights.push({
-              type: 'info',
-              message: `Statistics for "${column.title || column.field}": Min=${min}, Max=${max}, Avg=${avg.toFixed(2)}`,
-              confidence: 0.9
+              type: 'warning',
+              message: `Found ${outliers.length} outliers in column "${column.title || column.field}"`,
+              detail: `Values that deviate significantly from the average (${avg.toFixed(2)})`,
+              confidence: 0.8
             });
           }
-        }
-        
-        // Check for empty values
-        const emptyCount = values.filter(v => v === '' || v === null || v === undefined).length;
-        const emptyPercentage = (emptyCount / data.length) * 100;
-        
-        if (emptyPercentage > 10) {
+          
           insights.push({
-            type: 'warning',
-            message: `${emptyPercentage.toFixed(1)}% of values in "${column.title || column.field}" are empty`,
-            confidence: 0.85
+            type: 'info',
+            message: `Statistics for "${column.title || column.field}": Min=${min}, Max=${max}, Avg=${avg.toFixed(2)}`,
+            confidence: 0.9
           });
         }
-        
-        // Check for duplicate values in ID-like columns
-        if (column.field.toLowerCase().includes('id')) {
-          const uniqueValues = new Set(values);
-          if (uniqueValues.size !== values.length) {
-            insights.push({
-              type: 'error',
-              message: `Found duplicate values in "${column.title || column.field}" column`,
-              confidence: 0.95
-            });
-          }
-        }
-      });
+      }
       
-      // Filter insights by confidence threshold
-      this.insights = insights.filter(insight => insight.confidence >= this.options.insightsThreshold);
+      // Check for empty values
+      const emptyCount = values.filter(v => v === '' || v === null || v === undefined).length;
+      const emptyPercentage = (emptyCount / data.length) * 100;
       
-      // Display insights
-      this.renderInsights();
-    }, 100);
+      if (emptyPercentage > 10) {
+        insights.push({
+          type: 'warning',
+          message: `${emptyPercentage.toFixed(1)}% of values in "${column.title || column.field}" are empty`,
+          confidence: 0.85
+        });
+      }
+      
+      // Check for duplicate values in ID-like columns
+      if (column.field.toLowerCase().includes('id')) {
+        const uniqueValues = new Set(values);
+        if (uniqueValues.size !== values.length) {
+          insights.push({
+            type: 'error',
+            message: `Found duplicate values in "${column.title || column.field}" column`,
+            confidence: 0.95
+          });
+        }
+      }
+    });
+    
+    return insights;
   }
   
   /**
@@ -715,7 +1176,8 @@ class Tablein {
    * Load data into the table
    */
   loadData() {
-    if (this.isBusy) return;
+    // A new server load replaces the one in flight
+    if (this.isBusy && !this.options.serverSide) return;
     
     this.isBusy = true;
     this.tableElement.classList.add('loading');
@@ -733,37 +1195,83 @@ class Tablein {
    * Load data from server
    */
   loadServerData() {
-    const params = this.buildServerParams();
+    const request = this.getServerRequest();
+    const params = this.buildServerParams(request);
+    
+    // Selecting all matching rows only holds for the search and filters it was made with
+    if (this.selectAllMatching && this.getSelectionQuery() !== this.selectionQuery) {
+      this.clearSelection();
+    }
     
-    // Prepare request options for fetch
-    const fetchOptions = {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
+    // Allow listeners to adjust the params or cancel the request
+    if (this.emit('beforeLoad', params) === false) {
+      // A load that is still in flight keeps the table busy
+      if (!this.loadController) {
+        this.isBusy = false;
+        this.tableElement.classList.remove('loading');
       }
-    };
+      return;
+    }
     
-    // Convert params to query string
-    const queryString = new URLSearchParams(params).toString();
-    const url = `${this.options.serverUrl}?${queryString}`;
+    // Cancel the load in flight, its response would be outdated
+    if (this.loadController) {
+      this.loadController.abort();
+    }
     
-    fetch(url, fetchOptions)
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP Error: ${response.status}`);
-        }
-        return response.json();
-      })
+    const controller = new AbortController();
+    const sequence = ++this.loadSequence;
+    
+    this.loadController = controller;
+    this.hideLoadError();
+    
+    this.fetchServerWithRetry(params, controller.signal)
       .then(data => {
-        if (this.options.infiniteScroll || this.options.lazyLoad) {
-          this.appendData(data.items || data.data || []);
-          this.loadedRows += (data.items || data.data || []).length;
-          this.hasMoreData = (data.items || data.data || []).length >= this.options.pageSize;
+        // Only the latest load renders
+        if (sequence !== this.loadSequence || !this.tableElement) return;
+        
+        const result = this.getServerAdapter().parseResponse(data, request, this) || {};
+        const items = result.items || [];
+        
+        if (this.options.treeData) {
+          // Tree rows keep their loaded children; the page rows are the roots
+          if (this.loadedRows > 0 && (this.options.infiniteScroll || this.options.lazyLoad)) {
+            this.treePageRows = [...this.treePageRows, ...items];
+          } else {
+            this.cancelChildLoads();
+            this.treePageRows = [...items];
+          }
+          this.options.data = this.buildTreeView();
+          this.renderData(this.getDisplayRows());
+          
+          if (this.options.infiniteScroll || this.options.lazyLoad) {
+            this.loadedRows += items.length;
+            this.hasMoreData = result.hasMore !== undefined ? result.hasMore : items.length >= this.options.pageSize;
+          } else {
+            this.totalRecords = result.totalRecords || 0;
+            this.totalPages = result.totalPages || Math.ceil(this.totalRecords / this.options.pageSize) || 1;
+            this.updatePaginationInfo();
+          }
+        } else if (this.options.infiniteScroll || this.options.lazyLoad) {
+          // Keep the loaded rows so they can be exported and updated
+          if (this.loadedRows === 0) {
+            this.options.data = [...items];
+            this.renderData(this.getDisplayRows());
+          } else if (this.isGrouped()) {
+            // New rows can join groups that are already rendered
+            this.options.data = [...this.options.data, ...items];
+            this.renderData(this.getDisplayRows());
+          } else {
+            this.options.data = [...this.options.data, ...items];
+            this.appendData(items);
+          }
+          
+          this.loadedRows += items.length;
+          this.hasMoreData = result.hasMore !== undefined ? result.hasMore : items.length >= this.options.pageSize;
         } else {
-          this.renderData(data.items || data.data || []);
-          this.totalPages = data.totalPages || Math.ceil(data.totalRecords / this.options.pageSize) || 1;
-          this.totalRecords = data.totalRecords || data.recordsTotal || data.recordsFiltered || 0;
+          this.options.data = [...items];
+          this.renderData(this.getDisplayRows());
+          this.totalRecords = result.totalRecords || 0;
+          this.totalPages = result.totalPages || Math.ceil(this.totalRecords / this.options.pageSize) || 1;
           this.updatePaginationInfo();
         }
         
@@ -771,46 +1279,233 @@ class Tablein {
         this.tableElement.classList.remove('loading');
       })
       .catch(error => {
+        // Cancelled and replaced loads show no error
+        if (sequence !== this.loadSequence || !this.tableElement) return;
+        
+        if (error.name === 'AbortError') {
+          this.isBusy = false;
+          this.tableElement.classList.remove('loading');
+          return;
+        }
+        
         console.error('Error loading data:', error);
         this.isBusy = false;
         this.tableElement.classList.remove('loading');
+        this.emit('error', error);
         
-        // Show error message in the table
-        const tbody = this.tableElement.querySelector('tbody');
-        tbody.innerHTML = '';
-        const errorRow = document.createElement('tr');
-        const errorCell = document.createElement('td');
-        errorCell.colSpan = this.options.columns.length;
-        errorCell.className = 'error-message';
-        errorCell.textContent = `Error loading data: ${error.message}`;
-        errorRow.appendChild(errorCell);
-        tbody.appendChild(errorRow);
+        // The rows that were loaded before stay visible under the error
+        this.showLoadError(error);
+      })
+      .then(() => {
+        if (this.loadController === controller) {
+          this.loadController = null;
+        }
       });
   }
   
   /**
-   * Build parameters for server request
+   * Fetch server data, retrying network errors, timeouts and 5xx responses with exponential backoff
    */
-  buildServerParams() {
-    let params = {};
-    
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
-      params.start = this.loadedRows;
-      params.length = this.options.pageSize;
-    } else {
-      params.page = this.currentPage;
-      params.pageSize = this.options.pageSize;
-    }
-    
-    if (this.searchTerm) {
-      params.search = this.searchTerm;
-    }
-    
-    if (this.sortField) {
-      params.sortField = this.sortField;
-      params.sortOrder = this.sortDirection;
-    }
-    
+  fetchServerWithRetry(params, signal, retry = 0) {
+    return this.fetchServerAttempt(params, signal).catch(error => {
+      if (retry >= this.options.retryAttempts || signal.aborted || !this.isRetryableError(error)) {
+        throw error;
+      }
+      
+      return new Promise((resolve, reject) => {
+        const cancel = () => {
+          clearTimeout(timer);
+          reject(new DOMException('The load was cancelled', 'AbortError'));
+        };
+        
+        const timer = setTimeout(() => {
+          signal.removeEventListener('abort', cancel);
+          resolve();
+        }, this.options.retryDelay * Math.pow(2, retry));
+        
+        signal.addEventListener('abort', cancel, { once: true });
+      }).then(() => this.fetchServerWithRetry(params, signal, retry + 1));
+    });
+  }
+  
+  /**
+   * Fetch server data once, aborting when the load is cancelled or takes longer than requestTimeout
+   */
+  fetchServerAttempt(params, loadSignal) {
+    const controller = new AbortController();
+    const timeout = this.options.requestTimeout;
+    let timedOut = false;
+    
+    if (loadSignal.aborted) {
+      return Promise.reject(new DOMException('The load was cancelled', 'AbortError'));
+    }
+    
+    const cancel = () => controller.abort();
+    loadSignal.addEventListener('abort', cancel);
+    
+    // Settle on abort even when a custom fetchData ignores the signal
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(timedOut
+          ? new DOMException(`Request timed out after ${timeout} ms`, 'TimeoutError')
+          : new DOMException('The load was cancelled', 'AbortError'));
+      });
+    });
+    
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      loadSignal.removeEventListener('abort', cancel);
+    };
+    
+    return Promise.race([this.fetchServerData(params, controller.signal), aborted])
+      .then(data => {
+        cleanup();
+        return data;
+      }, error => {
+        cleanup();
+        throw error;
+      });
+  }
+  
+  /**
+   * Check whether a failed load is worth retrying: network errors, timeouts and 5xx responses
+   */
+  isRetryableError(error) {
+    if (error.network || error.name === 'TimeoutError') return true;
+    
+    return error.status >= 500;
+  }
+  
+  /**
+   * Show the load error over the table, with errorRenderer or a message and a Retry button
+   */
+  showLoadError(error) {
+    const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+    
+    this.hideLoadError();
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'table-error-overlay';
+    overlay.setAttribute('role', 'alert');
+    
+    const retry = () => this.loadData();
+    
+    if (typeof this.options.errorRenderer === 'function') {
+      this.options.errorRenderer(error, overlay, retry);
+    } else {
+      const message = document.createElement('div');
+      message.className = 'error-message';
+      message.textContent = `Error loading data: ${error.message}`;
+      overlay.appendChild(message);
+      
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'retry-btn';
+      retryBtn.textContent = 'Retry';
+      retryBtn.addEventListener('click', retry);
+      overlay.appendChild(retryBtn);
+    }
+    
+    // Cover the viewport around the wrapper; inside the wrapper, the overlay would scroll away with the rows
+    tableWrapper.classList.add('has-error');
+    tableWrapper.parentNode.appendChild(overlay);
+    this.loadErrorElement = overlay;
+  }
+  
+  /**
+   * Remove the load error overlay
+   */
+  hideLoadError() {
+    if (!this.loadErrorElement) return;
+    
+    const tableWrapper = this.tableElement && this.tableElement.closest('.advanced-table-wrapper');
+    
+    if (tableWrapper) {
+      tableWrapper.classList.remove('has-error');
+    }
+    
+    this.loadErrorElement.remove();
+    this.loadErrorElement = null;
+  }
+  
+  /**
+   * Cancel the server load in flight, and lazy child loads
+   */
+  cancelLoad() {
+    this.cancelChildLoads();
+    
+    if (!this.loadController) return;
+    
+    this.loadController.abort();
+    this.loadController = null;
+  }
+  
+  /**
+   * Cancel the lazy child loads in flight
+   */
+  cancelChildLoads() {
+    if (!this.treeLoadController) return;
+    
+    this.treeLoadController.abort();
+    this.treeLoadController = null;
+  }
+  
+  /**
+   * Describe the rows the next server load asks for, independent of the server protocol
+   * With a parentId, the request is for the child rows of a lazy tree row, read from the start
+   */
+  getServerRequest(parentId = null) {
+    const children = parentId !== null;
+    const infinite = !children && !!(this.options.infiniteScroll || this.options.lazyLoad);
+    const pageSize = this.options.pageSize;
+    let start = infinite ? this.loadedRows : (this.currentPage - 1) * pageSize;
+    
+    if (children) {
+      start = 0;
+    }
+    
+    return {
+      infinite,
+      start,
+      length: pageSize,
+      page: Math.floor(start / pageSize) + 1,
+      pageSize,
+      search: this.searchTerm || '',
+      filters: this.getFilters(),
+      sort: this.getSort(),
+      columns: this.options.columns.filter(column => column.field),
+      parentId,
+      sequence: this.loadSequence + 1
+    };
+  }
+  
+  /**
+   * Get the adapter of the server protocol; missing methods come from the default protocol
+   */
+  getServerAdapter() {
+    const protocol = this.options.serverProtocol || (this.options.graphql ? 'graphql' : null);
+    const adapter = typeof protocol === 'string' ? SERVER_ADAPTERS[protocol] : protocol;
+    
+    if (protocol && !adapter) {
+      console.warn(`Unknown server protocol: ${protocol}`);
+    }
+    
+    return { ...SERVER_ADAPTERS.default, ...adapter };
+  }
+  
+  /**
+   * Build parameters for server request
+   */
+  buildServerParams(request = this.getServerRequest()) {
+    let params = this.getServerAdapter().buildRequest(request, this);
+    
     // Allow custom parameters through serverParams function
     if (typeof this.options.serverParams === 'function') {
       const customParams = this.options.serverParams(params);
@@ -820,34 +1515,146 @@ class Tablein {
     return params;
   }
   
+  /**
+   * Fetch table data for the given params, with transport.fetchData or from serverUrl
+   * Resolves with the server response data
+   */
+  fetchServerData(params, signal) {
+    const transport = this.options.transport || {};
+    
+    // Errors thrown by fetchData reject like failed requests
+    if (typeof transport.fetchData === 'function') {
+      return Promise.resolve().then(() => transport.fetchData(params, signal));
+    }
+    
+    // Adapters can ask for a method, such as POST for GraphQL
+    const method = transport.method || this.getServerAdapter().method;
+    
+    return this.sendRequest(this.options.serverUrl, { method, params, signal, serialize: transport.serialize })
+      .then(response => response.json());
+  }
+  
+  /**
+   * Send a request with the transport settings
+   * GET requests carry the params in the query string, other methods send them as the body,
+   * as JSON unless a serialize function is given
+   * Resolves with the response, rejects on HTTP errors
+   */
+  sendRequest(url, { method = 'GET', params = {}, signal, serialize } = {}) {
+    const transport = this.options.transport || {};
+    method = method.toUpperCase();
+    
+    // Headers can come from a function, which can refresh tokens and return a Promise
+    const headers = typeof transport.headers === 'function'
+      ? transport.headers({ url, method, params })
+      : transport.headers;
+    
+    return Promise.resolve(headers).then(customHeaders => {
+      const fetchOptions = {
+        method,
+        headers: { 'Accept': 'application/json' },
+        signal
+      };
+      
+      if (transport.credentials) {
+        fetchOptions.credentials = transport.credentials;
+      }
+      
+      if (method === 'GET') {
+        // Convert params to query string, repeating keys for lists of plain values
+        // and encoding other structured values as JSON
+        const queryParams = new URLSearchParams();
+        Object.keys(params).forEach(key => {
+          const value = params[key];
+          
+          if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+            value.forEach(item => queryParams.append(key, item));
+          } else {
+            queryParams.append(key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+          }
+        });
+        
+        const queryString = queryParams.toString();
+        
+        if (queryString) {
+          url += (url.includes('?') ? '&' : '?') + queryString;
+        }
+      } else {
+        // Custom bodies, such as form data or an encoded string, set their own content type
+        if (typeof serialize === 'function') {
+          fetchOptions.body = serialize(params);
+        } else {
+          fetchOptions.body = JSON.stringify(params);
+          fetchOptions.headers['Content-Type'] = 'application/json';
+        }
+      }
+      
+      Object.assign(fetchOptions.headers, customHeaders);
+      
+      // fetch rejects with a TypeError when the network fails; other errors, such as
+      // a failing headers function, are not marked and are not retried
+      return fetch(url, fetchOptions).catch(error => {
+        if (error.name === 'TypeError') {
+          error.network = true;
+        }
+        throw error;
+      });
+    }).then(response => {
+      if (response.ok) return response;
+      
+      // Keep the status and the response body, such as validation details, on the error
+      return Promise.resolve()
+        .then(() => response.text())
+        .catch(() => '')
+        .then(text => {
+          const error = new Error(`HTTP Error: ${response.status}`);
+          error.status = response.status;
+          
+          try {
+            error.body = text ? JSON.parse(text) : null;
+          } catch (e) {
+            error.body = text;
+          }
+          
+          throw error;
+        });
+    });
+  }
+  
   /**
    * Process client-side data
    */
   loadClientData() {
-    const data = this.options.data || [];
-    
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
+    const data = this.getDisplayRows();
+    
+    if (this.isVirtualScroll()) {
+      // Render the rows at the current scroll position
+      this.totalRecords = this.options.data.length;
+      this.renderVirtualRows();
+      this.updateFooter();
+    } else if (this.options.infiniteScroll || this.options.lazyLoad) {
       // For infinite scroll or lazy load, load first batch
-      const initialCount = Math.min(this.options.pageSize, data.length);
+      // or re-render the rows that were already loaded
+      const initialCount = Math.min(Math.max(this.loadedRows, this.options.pageSize), data.length);
       const initialData = data.slice(0, initialCount);
       
-      if (this.loadedRows === 0) {
-        this.renderData(initialData);
-      } else {
-        this.appendData(initialData);
-      }
+      this.renderData(initialData);
       
       this.loadedRows = initialCount;
       this.hasMoreData = this.loadedRows < data.length;
     } else {
+      // Keep the current page within range when the data shrinks
+      this.currentPage = Math.max(1, Math.min(this.currentPage, Math.ceil(data.length / this.options.pageSize)));
+      
       // For pagination
       const startIndex = (this.currentPage - 1) * this.options.pageSize;
       const endIndex = startIndex + this.options.pageSize;
       
-      const pageData = data.slice(startIndex, endIndex);
+      // Repeat the headers of groups continued from the previous page
+      const pageData = [...this.getGroupContext(data, startIndex), ...data.slice(startIndex, endIndex)];
       this.renderData(pageData);
       
-      this.totalRecords = data.length;
+      this.totalRecords = this.options.data.length;
       this.totalPages = Math.ceil(data.length / this.options.pageSize);
       this.updatePaginationInfo();
     }
@@ -872,66 +1679,227 @@ class Tablein {
       emptyCell.textContent = 'No data available';
       emptyRow.appendChild(emptyCell);
       tbody.appendChild(emptyRow);
+      this.updateSelectionControls();
+      this.updateFooter();
       return;
     }
     
     data.forEach((row, rowIndex) => {
-      const tr = document.createElement('tr');
-      tr.setAttribute('data-row-index', rowIndex);
-      
-      // Add row class if provided
-      if (typeof this.options.rowClassName === 'function') {
-        const className = this.options.rowClassName(row, rowIndex);
-        if (className) {
-          tr.classList.add(className);
-        }
+      tbody.appendChild(this.createBodyRow(row, rowIndex));
+    });
+    
+    this.renderDetailRows();
+    this.updateSelectionControls();
+    this.updateCellRange();
+    this.updateFooter();
+  }
+  
+  /**
+   * Create the table row element for a display row, either a data row or a group header
+   */
+  createBodyRow(item, rowIndex) {
+    return this.isGroupRow(item) ? this.createGroupRow(item) : this.createRow(item, rowIndex);
+  }
+  
+  /**
+   * Create a table row element for a data row
+   */
+  createRow(row, rowIndex) {
+    const tr = document.createElement('tr');
+    tr.setAttribute('data-row-index', rowIndex);
+    tr.setAttribute('data-row-key', this.getRowKey(row));
+    
+    // Store the data row for context menu and events
+    tr._data = row;
+    
+    // Add row class if provided
+    if (typeof this.options.rowClassName === 'function') {
+      const className = this.options.rowClassName(row, rowIndex);
+      if (className) {
+        tr.classList.add(className);
       }
-      
-      // Add ARIA attributes for accessibility
-      if (this.options.accessibleHeaders && this.options.ariaLabels?.row) {
-        tr.setAttribute('aria-label', typeof this.options.ariaLabels.row === 'function' 
-          ? this.options.ariaLabels.row(rowIndex) 
-          : this.options.ariaLabels.row);
+    }
+    
+    // Add ARIA attributes for accessibility
+    if (this.options.accessibleHeaders && this.options.ariaLabels?.row) {
+      tr.setAttribute('aria-label', typeof this.options.ariaLabels.row === 'function' 
+        ? this.options.ariaLabels.row(rowIndex) 
+        : this.options.ariaLabels.row);
+    }
+    
+    if (this.options.focusableRows) {
+      tr.setAttribute('tabindex', '0');
+    }
+    
+    // Show rows added or removed in batch mode
+    if (this.options.batchEdit) {
+      const key = String(this.getRowKey(row));
+      tr.classList.toggle('row-added', this.batchAdded.has(key));
+      tr.classList.toggle('row-removed', this.batchRemoved.has(key));
+    }
+    
+    this.options.columns.forEach((column, columnIndex) => {
+      tr.appendChild(this.createCell(row, column, columnIndex));
+    });
+    
+    if (this.options.treeData) {
+      this.addTreeToggle(tr, row);
+    }
+    
+    if (typeof this.options.detailRenderer === 'function') {
+      this.addDetailToggle(tr, row);
+    }
+    
+    if (this.options.selection) {
+      if (this.options.selectionCheckbox) {
+        this.addSelectionCheckbox(tr);
       }
       
-      if (this.options.focusableRows) {
-        tr.setAttribute('tabindex', '0');
-      }
+      this.updateRowSelection(tr);
+    }
+    
+    return tr;
+  }
+  
+  /**
+   * Get the key that identifies a row
+   */
+  getRowKey(row) {
+    const rowKey = this.options.rowKey;
+    
+    if (typeof rowKey === 'function') {
+      return rowKey(row);
+    }
+    
+    if (rowKey) {
+      return row[rowKey];
+    }
+    
+    // Fall back to a generated key that stays with the row object
+    if (!this.rowKeys.has(row)) {
+      this.rowKeys.set(row, `row-${++this.rowKeyCounter}`);
+    }
+    
+    return this.rowKeys.get(row);
+  }
+  
+  /**
+   * Find a data row by its key
+   */
+  findRowByKey(key) {
+    // Tree rows are indexed per tree build, other rows per data array
+    const source = this.options.treeData ? this.treeRoots : 
+      (this.options.serverSide ? this.options.data : this.originalData);
+    
+    if (!this.rowIndex || this.rowIndex.source !== source || this.rowIndex.length !== source.length) {
+      const rows = new Map();
       
-      this.options.columns.forEach((column, columnIndex) => {
-        const td = document.createElement('td');
-        const value = row[column.field];
-        
-        // Use custom renderer if provided
-        if (typeof column.render === 'function') {
-          td.innerHTML = column.render(value, row, column);
-        } else {
-          // Apply smart formatting if enabled
-          if (this.options.smartFormatting) {
-            td.innerHTML = this.applySmartFormatting(value, column);
-          } else {
-            td.textContent = value !== undefined && value !== null ? value : '';
-          }
-        }
-        
-        // Apply conditional formatting
-        if (this.options.conditionalFormatting) {
-          this.applyConditionalFormatting(td, value, row, column);
-        }
-        
-        // Add cell class if provided
-        if (typeof this.options.cellClassName === 'function') {
-          const className = this.options.cellClassName(value, row, column, columnIndex);
-          if (className) {
-            td.classList.add(className);
-          }
-        }
-        
-        tr.appendChild(td);
+      (this.options.treeData ? this.getTreeRows() : source).forEach(row => {
+        const rowKey = String(this.getRowKey(row));
+        if (!rows.has(rowKey)) rows.set(rowKey, row);
       });
       
-      tbody.appendChild(tr);
-    });
+      this.rowIndex = { source, length: source.length, rows };
+    }
+    
+    return this.rowIndex.rows.get(String(key));
+  }
+  
+  /**
+   * Keep the row index in step after a change to a row's data
+   */
+  reindexRow(row, oldKey) {
+    const key = String(this.getRowKey(row));
+    
+    if (this.rowIndex && key !== String(oldKey) && this.rowIndex.rows.get(String(oldKey)) === row) {
+      this.rowIndex.rows.delete(String(oldKey));
+      this.rowIndex.rows.set(key, row);
+    }
+  }
+  
+  /**
+   * Find the rendered table row element for a row key
+   */
+  getRowElement(key) {
+    const tbody = this.tableElement.querySelector('tbody');
+    if (!tbody) return null;
+    
+    if (!this.rowElementObserver) {
+      this.rowElementObserver = new MutationObserver(() => {
+        this.rowElements = null;
+      });
+    }
+    
+    // Rows added, removed or replaced since the index was built make it stale
+    if (this.rowElementObserver.takeRecords().length > 0) {
+      this.rowElements = null;
+    }
+    
+    if (!this.rowElements || this.rowElements.tbody !== tbody) {
+      const rows = new Map();
+      
+      Array.from(tbody.rows).forEach(tr => {
+        const rowKey = tr.getAttribute('data-row-key');
+        if (rowKey !== null && !rows.has(rowKey)) rows.set(rowKey, tr);
+      });
+      
+      this.rowElementObserver.disconnect();
+      this.rowElementObserver.observe(tbody, { childList: true });
+      this.rowElements = { tbody, rows };
+    }
+    
+    return this.rowElements.rows.get(String(key)) || null;
+  }
+  
+  /**
+   * Create a table cell element for a column of a data row
+   */
+  createCell(row, column, columnIndex) {
+    const td = document.createElement('td');
+    const value = row[column.field];
+    
+    // Use custom renderer if provided
+    if (typeof column.render === 'function') {
+      td.innerHTML = column.render(value, row, column);
+    } else {
+      // Apply smart formatting if enabled
+      if (this.options.smartFormatting) {
+        td.innerHTML = this.applySmartFormatting(value, column);
+      } else {
+        td.textContent = value !== undefined && value !== null ? value : '';
+      }
+    }
+    
+    // Apply conditional formatting
+    if (this.options.conditionalFormatting) {
+      this.applyConditionalFormatting(td, value, row, column);
+    }
+    
+    // Add cell class if provided
+    if (typeof this.options.cellClassName === 'function') {
+      const className = this.options.cellClassName(value, row, column, columnIndex);
+      if (className) {
+        td.classList.add(className);
+      }
+    }
+    
+    // Apply column specific class if provided
+    if (column.className) {
+      td.classList.add(column.className);
+    }
+    
+    // Hidden columns keep their cell so column indexes stay aligned
+    if (column.visible === false) {
+      td.style.display = 'none';
+    }
+    
+    this.markCellValidation(td, row, column);
+    
+    if (this.options.batchEdit && this.isCellDirty(row, column.field)) {
+      td.classList.add('cell-dirty');
+    }
+    
+    return td;
   }
   
   /**
@@ -974,80 +1942,281 @@ class Tablein {
     const startIndex = this.loadedRows;
     
     data.forEach((row, index) => {
-      const tr = document.createElement('tr');
-      const rowIndex = startIndex + index;
-      
-      // Apply row class name if function provided
-      if (typeof this.options.rowClassName === 'function') {
-        const className = this.options.rowClassName(row, rowIndex);
-        if (className) {
-          tr.className = className;
-        }
-      }
-      
-      // Store the data row for context menu and events
-      tr.dataset.rowIndex = rowIndex;
-      tr._data = row;
-      
-      this.options.columns.forEach((column, colIndex) => {
-        const td = document.createElement('td');
-        
-        // Apply cell class name if function provided
-        if (typeof this.options.cellClassName === 'function') {
-          const className = this.options.cellClassName(row[column.field], row, column, colIndex);
-          if (className) {
-            td.className = className;
-          }
-        }
-        
-        // Apply column specific class if provided
-        if (column.className) {
-          td.classList.add(column.className);
-        }
-        
-        if (typeof column.render === 'function') {
-          td.innerHTML = column.render(row[column.field], row);
-        } else {
-          td.textContent = row[column.field] || '';
-        }
-        
-        tr.appendChild(td);
-      });
-      
-      tbody.appendChild(tr);
+      tbody.appendChild(this.createBodyRow(row, startIndex + index));
     });
+    
+    this.renderDetailRows();
+    this.updateSelectionControls();
+    this.updateCellRange();
+    this.updateFooter();
   }
   
   /**
-   * Load more data for infinite scroll or lazy loading
+   * Check whether the body is virtualized
+   * Virtual scrolling is only used for client-side data
    */
-  loadMore() {
-    if (this.isBusy || !this.hasMoreData) return;
-    
-    this.isBusy = true;
-    
-    if (this.options.serverSide) {
-      this.loadServerData();
-    } else {
-      const data = this.options.data || [];
-      const nextBatch = data.slice(
-        this.loadedRows,
-        this.loadedRows + this.options.pageSize
-      );
-      
-      this.appendData(nextBatch);
-      this.loadedRows += nextBatch.length;
-      this.hasMoreData = this.loadedRows < data.length;
-      this.isBusy = false;
-    }
+  isVirtualScroll() {
+    return !!this.options.virtualScroll && !this.options.serverSide;
+  }
+  
+  /**
+   * Render the rows in the visible part of the wrapper plus a buffer,
+   * with spacer rows standing in for the rest
+   */
+  renderVirtualRows(changedRows = []) {
+    const data = this.getDisplayRows();
+    const tbody = this.tableElement.querySelector('tbody');
+    const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+    
+    if (data.length === 0) {
+      this.virtualRange = null;
+      this.renderData([]);
+      return;
+    }
+    
+    // Find the rows inside the viewport, below the header
+    const headerHeight = this.tableElement.tHead ? this.tableElement.tHead.offsetHeight : 0;
+    const scrollTop = Math.max(0, tableWrapper.scrollTop - headerHeight);
+    const viewportHeight = tableWrapper.clientHeight || 500;
+    const buffer = this.options.virtualBuffer;
+    
+    // Start on an even row so striped themes don't flicker while scrolling
+    let start = Math.max(0, this.getVirtualIndexAt(scrollTop) - buffer);
+    start -= start % 2;
+    const end = Math.min(data.length, this.getVirtualIndexAt(scrollTop + viewportHeight) + 1 + buffer);
+    
+    // Nothing to do while scrolling within the rendered rows
+    if (changedRows.length === 0 && this.virtualRange &&
+        this.virtualRange.data === data && this.virtualRange.start === start && this.virtualRange.end === end) {
+      return;
+    }
+    
+    const changed = new Set(changedRows);
+    const existing = new Map();
+    
+    tbody.querySelectorAll(':scope > tr').forEach(tr => {
+      if (tr._data) existing.set(tr._data, tr);
+    });
+    
+    const headerRows = this.tableElement.tHead ? this.tableElement.tHead.rows.length : 0;
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(this.createVirtualSpacer(this.getVirtualOffset(start)));
+    
+    for (let i = start; i < end; i++) {
+      const row = data[i];
+      let tr = existing.get(row);
+      
+      if (tr && !changed.has(row)) {
+        tr.setAttribute('data-row-index', i);
+      } else {
+        tr = this.createBodyRow(row, i);
+      }
+      
+      tr.setAttribute('aria-rowindex', headerRows + i + 1);
+      
+      if (this.options.rowHeight) {
+        tr.style.height = `${this.options.rowHeight}px`;
+      }
+      
+      fragment.appendChild(tr);
+    }
+    
+    fragment.appendChild(this.createVirtualSpacer(this.getVirtualOffset(data.length) - this.getVirtualOffset(end)));
+    
+    tbody.innerHTML = '';
+    tbody.appendChild(fragment);
+    this.renderDetailRows();
+    this.updateSelectionControls();
+    this.updateCellRange();
+    
+    this.tableElement.setAttribute('aria-rowcount', headerRows + data.length);
+    this.virtualRange = { data, start, end };
+    
+    if (!this.options.rowHeight) {
+      this.measureVirtualRows();
+    }
+  }
+  
+  /**
+   * Create a spacer row that takes the height of the rows not rendered
+   */
+  createVirtualSpacer(height) {
+    const tr = document.createElement('tr');
+    tr.className = 'virtual-spacer';
+    tr.setAttribute('aria-hidden', 'true');
+    
+    const td = document.createElement('td');
+    td.colSpan = this.options.columns.length;
+    td.style.height = `${height}px`;
+    
+    tr.appendChild(td);
+    return tr;
+  }
+  
+  /**
+   * Store the heights of the rendered rows so offsets become exact
+   */
+  measureVirtualRows() {
+    const headerRows = this.tableElement.tHead ? this.tableElement.tHead.rows.length : 0;
+    const offsets = this.virtualOffsets && this.virtualOffsets.data === this.getDisplayRows() ? this.virtualOffsets : null;
+    
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      const item = tr._data || tr._group;
+      if (!item || !tr.offsetHeight) return;
+      
+      // An open detail row counts toward the height of its row
+      let height = tr.offsetHeight;
+      const next = tr.nextElementSibling;
+      
+      if (next && next.classList.contains('detail-row')) {
+        height += next.offsetHeight;
+      }
+      
+      if (this.rowHeights.get(item) !== height) {
+        this.rowHeights.set(item, height);
+        
+        // Only the offsets below the row change
+        if (offsets) {
+          this.setVirtualHeight(Number(tr.getAttribute('aria-rowindex')) - headerRows - 1, height);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Get the top offset of a row within the body
+   */
+  getVirtualOffset(index) {
+    if (this.options.rowHeight) {
+      return index * this.options.rowHeight;
+    }
+    
+    // Sum the heights of the rows above from the Fenwick tree
+    const { tree } = this.getVirtualOffsets();
+    let offset = 0;
+    
+    for (let i = index; i > 0; i -= i & -i) {
+      offset += tree[i];
+    }
+    
+    return offset;
+  }
+  
+  /**
+   * Get the row heights as a Fenwick tree, so offsets can be read and updated in O(log n)
+   * Rows that weren't measured yet use the estimated height
+   */
+  getVirtualOffsets() {
+    const data = this.getDisplayRows();
+    
+    if (!this.virtualOffsets || this.virtualOffsets.data !== data) {
+      const heights = new Float64Array(data.length);
+      const tree = new Float64Array(data.length + 1);
+      
+      for (let i = 0; i < data.length; i++) {
+        heights[i] = this.rowHeights.get(data[i]) || this.options.estimatedRowHeight;
+        tree[i + 1] += heights[i];
+        
+        const parent = (i + 1) + ((i + 1) & -(i + 1));
+        if (parent <= data.length) {
+          tree[parent] += tree[i + 1];
+        }
+      }
+      
+      this.virtualOffsets = { data, heights, tree };
+    }
+    
+    return this.virtualOffsets;
+  }
+  
+  /**
+   * Change the height of a row in the offsets
+   */
+  setVirtualHeight(index, height) {
+    const { heights, tree } = this.getVirtualOffsets();
+    if (!(index >= 0 && index < heights.length)) return;
+    
+    const delta = height - heights[index];
+    heights[index] = height;
+    
+    for (let i = index + 1; i < tree.length; i += i & -i) {
+      tree[i] += delta;
+    }
+  }
+  
+  /**
+   * Get the index of the row at a vertical position within the body
+   */
+  getVirtualIndexAt(position) {
+    const count = this.getDisplayRows().length;
+    
+    if (this.options.rowHeight) {
+      return Math.max(0, Math.min(count - 1, Math.floor(position / this.options.rowHeight)));
+    }
+    
+    // Walk down the Fenwick tree to the last row starting at or above the position
+    const { tree } = this.getVirtualOffsets();
+    let index = 0;
+    let remaining = position;
+    let step = 1;
+    
+    while (step * 2 <= count) step *= 2;
+    
+    for (; step > 0; step = Math.floor(step / 2)) {
+      if (index + step <= count && tree[index + step] <= remaining) {
+        index += step;
+        remaining -= tree[index];
+      }
+    }
+    
+    return Math.max(0, Math.min(count - 1, index));
+  }
+
+  
+  /**
+   * Load more data for infinite scroll or lazy loading
+   */
+  loadMore() {
+    if (this.isBusy || !this.hasMoreData) return;
+    
+    this.isBusy = true;
+    
+    if (this.options.serverSide) {
+      this.loadServerData();
+    } else {
+      const data = this.getDisplayRows();
+      const nextBatch = data.slice(
+        this.loadedRows,
+        this.loadedRows + this.options.pageSize
+      );
+      
+      this.appendData(nextBatch);
+      this.loadedRows += nextBatch.length;
+      this.hasMoreData = this.loadedRows < data.length;
+      this.isBusy = false;
+    }
   }
   
   /**
    * Attach event listeners
    */
   attachEventListeners() {
-    // Infinite scroll or lazy loading
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
+    // Virtual scrolling
+    if (this.isVirtualScroll()) {
+      const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+      let frame = null;
+      
+      // Render at most once per animation frame
+      tableWrapper.addEventListener('scroll', () => {
+        if (frame) return;
+        
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          this.renderVirtualRows();
+        });
+      });
+    } else if (this.options.infiniteScroll || this.options.lazyLoad) {
+      // Infinite scroll or lazy loading
       const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
       
       const scrollHandler = () => {
@@ -1064,60 +2233,161 @@ class Tablein {
     
     // Resizable columns
     if (this.options.resizableColumns) {
-      const headers = this.tableElement.querySelectorAll('th');
+      const headers = this.tableElement.querySelectorAll('thead tr:first-child th');
       
-      headers.forEach(header => {
-        const resizer = document.createElement('div');
-        resizer.className = 'column-resizer';
-        header.appendChild(resizer);
-        
-        let startX, startWidth;
-        
-        const startResize = (e) => {
-          startX = e.pageX;
-          startWidth = header.offsetWidth;
-          header.classList.add('resizing');
-          
-          document.addEventListener('mousemove', resize);
-          document.addEventListener('mouseup', stopResize);
-          e.preventDefault();
-        };
-        
-        const resize = (e) => {
-          const width = startWidth + (e.pageX - startX);
-          header.style.width = `${width}px`;
-        };
-        
-        const stopResize = () => {
-          header.classList.remove('resizing');
-          document.removeEventListener('mousemove', resize);
-          document.removeEventListener('mouseup', stopResize);
-        };
-        
-        resizer.addEventListener('mousedown', startResize);
-      });
+      headers.forEach(header => this.addColumnResizer(header));
     }
     
+    // Row click events
+    const tbody = this.tableElement.querySelector('tbody');
+    
+    tbody.addEventListener('click', (e) => {
+      const row = e.target.closest('tr');
+      
+      // Ignore rows of nested tables, e.g. inside detail rows
+      if (!row || row.parentNode !== tbody) return;
+      
+      // Clicking a group header expands or collapses it
+      if (row._group) {
+        this.toggleGroup(row._group.key);
+        return;
+      }
+      
+      if (!row._data) return;
+      
+      // Clicking a tree toggle expands or collapses the row
+      if (e.target.closest('.tree-toggle')) {
+        this.toggleTreeRow(this.getRowKey(row._data));
+        return;
+      }
+      
+      // Clicking a detail toggle opens or closes the detail row
+      if (e.target.closest('.detail-toggle')) {
+        this.toggleDetail(this.getRowKey(row._data));
+        return;
+      }
+      
+      // Clicking a row selects it, unless the click was on a control inside the row
+      if (this.options.selection) {
+        const checkbox = e.target.closest('.row-select-checkbox');
+        
+        if (checkbox || !e.target.closest('a, button, input, select, textarea, [contenteditable="true"]')) {
+          this.handleSelectionClick(row._data, e, !!checkbox);
+        }
+      }
+      
+      this.emit('rowClick', row._data, this.options.data.indexOf(row._data), e);
+      
+      // Clicking a pivot value drills down into its source rows
+      const cell = e.target.closest('td');
+      if (this.pivotConfig && this.pivotConfig.drillDown && cell && cell.classList.contains('pivot-value')) {
+        this.drillDown(row._data, this.options.columns[cell.cellIndex].field);
+      }
+    });
+    
+    // Keyboard toggling of detail rows
+    tbody.addEventListener('keydown', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !row._data || row.parentNode !== tbody || e.target !== row || e.defaultPrevented) return;
+      if (typeof this.options.detailRenderer !== 'function') return;
+      
+      // Space selects the row when rows are selectable
+      if (e.key !== 'Enter' && (e.key !== ' ' || this.options.selection)) return;
+      
+      e.preventDefault();
+      
+      const key = this.getRowKey(row._data);
+      this.toggleDetail(key);
+      
+      const rowElement = this.getRowElement(key);
+      if (rowElement) rowElement.focus();
+    });
+    
+    // Keyboard selection of rows
+    tbody.addEventListener('keydown', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !row._data || row.parentNode !== tbody || e.target !== row || !this.options.selection) return;
+      
+      if (e.key === ' ') {
+        e.preventDefault();
+        this.handleSelectionClick(row._data, e, true);
+      } else if (e.key.toLowerCase() === 'a' && (e.ctrlKey || e.metaKey) && this.options.selection === 'multiple') {
+        e.preventDefault();
+        this.selectAll();
+      }
+    });
+    
+    // Keyboard toggling of tree rows
+    tbody.addEventListener('keydown', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !row._data || !this.options.treeData || e.target !== row) return;
+      if ((e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') || e.shiftKey) return;
+      
+      const key = this.getRowKey(row._data);
+      const expanded = e.key === 'ArrowRight';
+      
+      if (!this.hasTreeChildren(row._data) || this.isTreeRowExpanded(row._data) === expanded) return;
+      
+      e.preventDefault();
+      this.toggleTreeRow(key, expanded);
+      
+      // Keep focus on the re-rendered row
+      const rowElement = this.getRowElement(key);
+      if (rowElement) rowElement.focus();
+    });
+    
+    // Keyboard toggling of group headers
+    tbody.addEventListener('keydown', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !row._group || e.target !== row) return;
+      
+      const key = row._group.key;
+      const expanded = this.isGroupExpanded(key);
+      let toggle = null;
+      
+      if (e.key === 'Enter' || e.key === ' ') {
+        toggle = !expanded;
+      } else if (e.key === 'ArrowRight' && !expanded) {
+        toggle = true;
+      } else if (e.key === 'ArrowLeft' && expanded) {
+        toggle = false;
+      }
+      
+      if (toggle === null) return;
+      
+      e.preventDefault();
+      this.toggleGroup(key, toggle);
+      
+      // Keep focus on the re-rendered header
+      const header = Array.from(tbody.querySelectorAll(':scope > tr.group-row')).find(tr => tr._group.key === key);
+      if (header) header.focus();
+    });
+    
     // Context menu
     if (this.options.contextMenu) {
       const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
       
       const contextMenuHandler = (e) => {
-        // Find the closest row
+        // Find the closest row, ignoring rows of nested tables
         const row = e.target.closest('tr');
-        if (!row) return;
+        if (!row || row.closest('table') !== this.tableElement) return;
         
         // Get row data
-        const rowIndex = parseInt(row.getAttribute('data-row-index'), 10);
-        if (isNaN(rowIndex)) return;
-        
-        const rowData = this.options.data[rowIndex];
+        const rowData = row._data;
         if (!rowData) return;
         
+        const rowIndex = this.options.data.indexOf(rowData);
+        
         e.preventDefault();
         
+        // The menu acts on the selection, so a row outside it becomes the selection
+        if (this.options.selection && !this.isRowSelected(rowData)) {
+          this.selectionAnchor = this.getRowKey(rowData);
+          this.setRowsSelected([rowData], true, true);
+        }
+        
         // Position the context menu
-        this.showContextMenu(e.clientX, e.clientY, rowData, rowIndex);
+        this.showContextMenu(e.clientX, e.clientY, rowData, rowIndex, this.getRowKey(rowData));
       };
       
       tableWrapper.addEventListener('contextmenu', contextMenuHandler);
@@ -1129,10 +2399,44 @@ class Tablein {
     }
   }
   
+  /**
+   * Add a drag handle to resize a header column
+   */
+  addColumnResizer(header) {
+    const resizer = document.createElement('div');
+    resizer.className = 'column-resizer';
+    header.appendChild(resizer);
+    
+    let startX, startWidth;
+    
+    const startResize = (e) => {
+      startX = e.pageX;
+      startWidth = header.offsetWidth;
+      header.classList.add('resizing');
+      
+      document.addEventListener('mousemove', resize);
+      document.addEventListener('mouseup', stopResize);
+      e.preventDefault();
+    };
+    
+    const resize = (e) => {
+      const width = startWidth + (e.pageX - startX);
+      header.style.width = `${width}px`;
+    };
+    
+    const stopResize = () => {
+      header.classList.remove('resizing');
+      document.removeEventListener('mousemove', resize);
+      document.removeEventListener('mouseup', stopResize);
+    };
+    
+    resizer.addEventListener('mousedown', startResize);
+  }
+  
   /**
    * Show context menu
    */
-  showContextMenu(x, y, rowData, rowIndex) {
+  showContextMenu(x, y, rowData, rowIndex, rowKey) {
     if (!this.contextMenuElement) {
       this.contextMenuElement = document.createElement('div');
       this.contextMenuElement.className = 'advanced-table-context-menu';
@@ -1143,9 +2447,12 @@ class Tablein {
     // Clear existing menu items
     this.contextMenuElement.innerHTML = '';
     
+    // Rows the menu acts on
+    const selectedRows = this.options.selection ? this.getSelectedRows() : [rowData];
+    
     // Create menu items
     const menuItems = typeof this.options.contextMenu === 'function' 
-      ? this.options.contextMenu(rowData, rowIndex)
+      ? this.options.contextMenu(rowData, rowIndex, rowKey, selectedRows)
       : this.options.contextMenu;
     
     menuItems.forEach(item => {
@@ -1173,8 +2480,8 @@ class Tablein {
           if (typeof item.action === 'function') {
             // Hide menu first
             this.contextMenuElement.style.display = 'none';
-            // Call the action with row data and index
-            item.action(rowData, rowIndex, e);
+            // Call the action with row data, index, key and the selected rows
+            item.action(rowData, rowIndex, e, rowKey, selectedRows);
           }
         });
       }
@@ -1208,29 +2515,80 @@ class Tablein {
   
   /**
    * Sort the table by a column
+   * Without a direction, the sort direction of the column is toggled
+   */
+  sortBy(field, direction) {
+    const current = this.sortModel.find(sort => sort.field === field);
+    const nextDirection = direction || (current && current.direction === 'asc' ? 'desc' : 'asc');
+    
+    this.applySort([{ field, direction: nextDirection }], field);
+  }
+  
+  /**
+   * Cycle a column through ascending, descending and unsorted
+   * When adding, the column is kept alongside the existing sorts
    */
-  sortBy(field) {
-    const header = this.tableElement.querySelector(`th[data-field="${field}"]`);
+  toggleSort(field, addToSort = false) {
+    const current = this.sortModel.find(sort => sort.field === field);
+    let nextDirection = 'asc';
+    
+    if (current) {
+      nextDirection = current.direction === 'asc' ? 'desc' : null;
+    }
     
-    if (!header) return;
+    let model;
     
-    // Toggle sort direction
-    if (this.sortField === field) {
-      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    if (addToSort) {
+      model = current
+        ? this.sortModel
+          .map(sort => (sort.field === field ? { field, direction: nextDirection } : sort))
+          .filter(sort => sort.direction)
+        : [...this.sortModel, { field, direction: nextDirection }];
     } else {
-      this.sortField = field;
-      this.sortDirection = 'asc';
+      // A plain click on a secondary sort column makes it the only sort
+      if (current && this.sortModel.length > 1) {
+        nextDirection = current.direction;
+      }
+      
+      model = nextDirection ? [{ field, direction: nextDirection }] : [];
     }
     
-    // Remove sort indicators from all headers
-    this.tableElement.querySelectorAll('th').forEach(th => {
-      th.removeAttribute('data-sort-dir');
-      th.classList.remove('sorted-asc', 'sorted-desc');
-    });
+    this.applySort(model, field);
+  }
+  
+  /**
+   * Set the sort model: an ordered list of { field, direction }
+   */
+  setSort(model) {
+    const sortModel = Array.isArray(model) ? model : [];
+    this.applySort(sortModel, sortModel.length > 0 ? sortModel[0].field : null);
+  }
+  
+  /**
+   * Get a copy of the current sort model
+   */
+  getSort() {
+    return this.sortModel.map(sort => ({ ...sort }));
+  }
+  
+  /**
+   * Apply a sort model and reload the table
+   * The changed field is reported to the sort events
+   */
+  applySort(model, changedField) {
+    const sortModel = model
+      .filter(sort => sort && sort.field && this.options.columns.some(col => col.field === sort.field))
+      .map(sort => ({ field: sort.field, direction: sort.direction === 'desc' ? 'desc' : 'asc' }));
     
-    // Set sort indicator on current header
-    header.setAttribute('data-sort-dir', this.sortDirection);
-    header.classList.add(`sorted-${this.sortDirection}`);
+    const changed = sortModel.find(sort => sort.field === changedField);
+    const direction = changed ? changed.direction : null;
+    
+    if (this.emit('beforeSort', changedField, direction, sortModel) === false) return;
+    
+    this.sortModel = sortModel;
+    this.updateSortIndicators();
+    
+    this.emit('sort', changedField, direction, this.getSort());
     
     if (this.options.serverSide) {
       // For server-side sorting, reload from server
@@ -1241,2299 +2599,7048 @@ class Tablein {
     }
     
     // Client-side sorting
-    const data = [...this.options.data];
-    
-    data.sort((a, b) => {
-      const valA = a[field];
-      const valB = b[field];
-      
-      if (valA === valB) return 0;
-      
-      // Check if values are numbers
-      const isNumA = !isNaN(parseFloat(valA));
-      const isNumB = !isNaN(parseFloat(valB));
-      
-      if (isNumA && isNumB) {
-        return this.sortDirection === 'asc' 
-          ? parseFloat(valA) - parseFloat(valB)
-          : parseFloat(valB) - parseFloat(valA);
-      }
-      
-      // Try to parse dates
-      const dateA = new Date(valA);
-      const dateB = new Date(valB);
-      
-      if (!isNaN(dateA) && !isNaN(dateB)) {
-        return this.sortDirection === 'asc'
-          ? dateA - dateB
-          : dateB - dateA;
+    this.updateClientView(() => {
+      // Reset view state
+      if (this.options.infiniteScroll || this.options.lazyLoad) {
+        this.loadedRows = 0;
+        this.hasMoreData = true;
+        this.loadData();
+      } else {
+        this.currentPage = 1;
+        this.loadData();
       }
-      
-      // Default string comparison
-      const strA = String(valA || '');
-      const strB = String(valB || '');
-      
-      return this.sortDirection === 'asc'
-        ? strA.localeCompare(strB)
-        : strB.localeCompare(strA);
     });
+  }
+  
+  /**
+   * Update the sort indicators on all headers
+   */
+  updateSortIndicators() {
+    this.tableElement.querySelectorAll('thead tr:first-child th[data-field]').forEach(th => {
+      this.setSortIndicator(th, th.getAttribute('data-field'));
+    });
+  }
+  
+  /**
+   * Show the sort direction and priority of a column on its header
+   */
+  setSortIndicator(th, field) {
+    th.removeAttribute('data-sort-dir');
+    th.classList.remove('sorted-asc', 'sorted-desc');
     
-    this.options.data = data;
+    const badge = th.querySelector('.sort-priority');
+    if (badge) badge.remove();
     
-    // Reset view state
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
-      this.loadedRows = 0;
-      this.hasMoreData = true;
-      this.loadData();
-    } else {
-      this.currentPage = 1;
-      this.loadData();
+    const index = this.sortModel.findIndex(sort => sort.field === field);
+    if (index === -1) return;
+    
+    const { direction } = this.sortModel[index];
+    th.setAttribute('data-sort-dir', direction);
+    th.classList.add(`sorted-${direction}`);
+    
+    // Show the priority when sorting by more than one column
+    if (this.sortModel.length > 1) {
+      const priority = document.createElement('span');
+      priority.className = 'sort-priority';
+      priority.textContent = index + 1;
+      
+      const filterBtn = th.querySelector('.filter-menu-btn');
+      th.insertBefore(priority, filterBtn);
     }
   }
   
   /**
-   * Search the table data
+   * Return a copy of the data sorted by a sort model
    */
-  search(query) {
-    if (!query || query.trim() === '') {
-      this.options.data = [...this.originalData];
-    } else {
-      const lowercaseQuery = query.toLowerCase();
-      
-      this.options.data = this.originalData.filter(row => {
-        return this.options.columns.some(column => {
-          const value = row[column.field];
-          if (value == null) return false;
+  sortData(data, sortModel) {
+    const sorts = sortModel.map(({ field, direction }) => ({
+      field,
+      direction,
+      column: this.getColumn(field)
+    }));
+    
+    // Parse each sort value once instead of on every comparison
+    const entries = data.map(row => ({
+      row,
+      values: sorts.map(({ column }) => this.getSortValue(row, column))
+    }));
+    
+    entries.sort((entryA, entryB) => {
+      for (let i = 0; i < sorts.length; i++) {
+        const { field, direction, column } = sorts[i];
+        const valA = entryA.values[i];
+        const valB = entryB.values[i];
+        let result;
+        
+        if (typeof column.sorter === 'function') {
+          // Custom sorters also decide where empty values go
+          result = column.sorter(entryA.row[field], entryB.row[field], entryA.row, entryB.row);
+        } else if (valA === null || valB === null) {
+          // Empty values keep their place regardless of the direction
+          if (valA === null && valB === null) continue;
           
-          return String(value).toLowerCase().includes(lowercaseQuery);
-        });
-      });
-    }
+          const nulls = column.sortNulls || this.options.sortNulls;
+          return (valA === null ? 1 : -1) * (nulls === 'first' ? -1 : 1);
+        } else {
+          result = this.compareValues(valA, valB, column);
+        }
+        
+        if (result !== 0) {
+          return direction === 'asc' ? result : -result;
+        }
+      }
+      
+      return 0;
+    });
     
-    // Reset view state
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
-      this.loadedRows = 0;
-      this.hasMoreData = true;
-      this.loadData();
-    } else {
-      this.currentPage = 1;
-      this.totalPages = Math.ceil(this.options.data.length / this.options.pageSize);
-      this.loadData();
-    }
+    return entries.map(entry => entry.row);
   }
   
   /**
-   * Go to the next page
+   * Get the value a row is sorted by for a column, or null if it is empty
    */
-  nextPage() {
-    if (this.currentPage < this.totalPages && !this.isBusy) {
-      this.currentPage++;
-      this.loadData();
+  getSortValue(row, column) {
+    const value = row[column.field];
+    
+    if (!column.type && typeof column.parse !== 'function') {
+      return value === null || value === undefined || value === '' ? null : value;
     }
+    
+    const parsed = this.parseValue(value, column);
+    return parsed instanceof Date ? parsed.getTime() : parsed;
   }
   
   /**
-   * Go to the previous page
+   * Compare two sort values in ascending order
    */
-  prevPage() {
-    if (this.currentPage > 1 && !this.isBusy) {
-      this.currentPage--;
-      this.loadData();
+  compareValues(valA, valB, column = {}) {
+    if (valA === valB) return 0;
+    
+    if (column.type || typeof column.parse === 'function') {
+      if (typeof valA === 'number' && typeof valB === 'number') {
+        return valA - valB;
+      }
+      
+      if (typeof valA === 'boolean' && typeof valB === 'boolean') {
+        return valA ? 1 : -1;
+      }
+      
+      return String(valA).localeCompare(String(valB));
+    }
+    
+    // Untyped columns: check if values are numbers
+    const isNumA = !isNaN(parseFloat(valA));
+    const isNumB = !isNaN(parseFloat(valB));
+    
+    if (isNumA && isNumB) {
+      return parseFloat(valA) - parseFloat(valB);
     }
+    
+    // Try to parse dates
+    const dateA = new Date(valA);
+    const dateB = new Date(valB);
+    
+    if (!isNaN(dateA) && !isNaN(dateB)) {
+      return dateA - dateB;
+    }
+    
+    // Default string comparison
+    const strA = String(valA || '');
+    const strB = String(valB || '');
+    
+    return strA.localeCompare(strB);
   }
   
   /**
-   * Go to specific page
+   * Get a column definition by field
    */
-  goToPage(page) {
-    if (page >= 1 && page <= this.totalPages && !this.isBusy) {
-      this.currentPage = page;
-      this.loadData();
-    }
+  getColumn(field) {
+    return this.options.columns.find(col => col.field === field) || { field };
   }
   
   /**
-   * Export table to Excel
+   * Convert a cell value to the column's type
+   * Uses column.parse when provided, otherwise column.type (or the fallback type).
+   * Returns null for empty or invalid values.
    */
-  exportToExcel() {
-    if (this.options.serverSide && this.totalRecords > this.options.data.length) {
-      if (!confirm(`You are about to export only the current page (${this.options.data.length} rows). Do you want to continue?`)) {
-        return;
-      }
+  parseValue(value, column = {}, fallbackType = 'string') {
+    if (typeof column.parse === 'function') {
+      const parsed = column.parse(value);
+      return parsed === undefined || (typeof parsed === 'number' && isNaN(parsed)) ? null : parsed;
     }
     
-    const data = this.getExportData();
-    const worksheet = XLSX.utils.json_to_sheet(data);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Table");
-    XLSX.writeFile(workbook, "table-export.xlsx");
+    if (value === null || value === undefined || value === '') return null;
+    
+    const type = column.type || fallbackType;
+    
+    switch (type) {
+      case 'number':
+      case 'currency':
+      case 'percent': {
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+        
+        // Drop currency symbols, percent signs and thousands separators
+        const text = String(value).trim();
+        const cleaned = type === 'number' ? text.replace(/,/g, '') : text.replace(/[^0-9.+-]/g, '');
+        const number = cleaned === '' ? NaN : Number(cleaned);
+        
+        return isNaN(number) ? null : number;
+      }
+      
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+      }
+      
+      case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'yes', 'y'].includes(text)) return true;
+        if (['false', '0', 'no', 'n'].includes(text)) return false;
+        return null;
+      }
+      
+      default:
+        return String(value);
+    }
   }
   
   /**
-   * Export table to PDF
+   * Get a cell value as a number, or null if it isn't numeric
+   * Typed columns are parsed by their type, untyped columns with parseFloat
    */
-  exportToPdf() {
-    if (this.options.serverSide && this.totalRecords > this.options.data.length) {
-      if (!confirm(`You are about to export only the current page (${this.options.data.length} rows). Do you want to continue?`)) {
-        return;
-      }
+  getNumericValue(value, column = {}) {
+    if (column.type || typeof column.parse === 'function') {
+      const parsed = this.parseValue(value, column);
+      return typeof parsed === 'number' ? parsed : null;
     }
     
-    const element = this.tableElement.cloneNode(true);
-    
-    html2pdf().from(element).save('table-export.pdf');
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
   }
   
   /**
-   * Print table
+   * Check whether a column holds numbers
+   * Typed columns are checked by their type, untyped columns by their values
    */
-  print() {
-    const printWindow = window.open('', '_blank');
-    
-    printWindow.document.write(`
-      <html>
-        <head>
-          <title>Print Table</title>
-          <style>
-            table { border-collapse: collapse; width: 100%; }
-            th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-            th { background-color: #f2f2f2; }
-          </style>
-        </head>
-        <body>
-          ${this.tableElement.outerHTML}
-        </body>
-      </html>
-    `);
+  isNumericColumn(column, values = []) {
+    if (column.type) {
+      return ['number', 'currency', 'percent'].includes(column.type);
+    }
     
-    printWindow.document.close();
-    printWindow.focus();
-    printWindow.print();
-    printWindow.close();
+    return values.length > 0 && this.getNumericValue(values[0], column) !== null;
   }
   
   /**
-   * Get data for export
+   * Get the text a cell is matched against when searching
    */
-  getExportData() {
-    const data = [];
+  getSearchText(row, column) {
+    const value = row[column.field];
+    if (value === null || value === undefined) return '';
     
-    if (this.options.serverSide) {
-      // For server-side mode, we may need to fetch all data first
-      // This is a simplified implementation that exports only what's loaded
-      return this.options.data.map(row => {
-        const exportRow = {};
-        this.options.columns.forEach(column => {
-          exportRow[column.title || column.field] = row[column.field];
-        });
-        return exportRow;
-      });
-    }
+    const text = String(value);
+    if (!column.type) return text;
     
-    const sourceData = this.options.infiniteScroll || this.options.lazyLoad
-      ? this.originalData
-      : this.options.data;
+    const parsed = this.parseValue(value, column);
+    if (parsed === null) return text;
     
-    // Transform data for export
-    sourceData.forEach(row => {
-      const exportRow = {};
-      
-      this.options.columns.forEach(column => {
-        exportRow[column.title || column.field] = row[column.field];
-      });
-      
-      data.push(exportRow);
-    });
+    // Also match the parsed value, e.g. "1000" finds "$1,000.00"
+    if (parsed instanceof Date) {
+      return `${text} ${parsed.toISOString().slice(0, 10)}`;
+    }
     
-    return data;
+    return `${text} ${parsed}`;
   }
   
   /**
-   * Refresh the table data
+   * Return the rows matching a search query
    */
-  refresh() {
-    if (this.options.infiniteScroll || this.options.lazyLoad) {
-      this.loadedRows = 0;
-      this.hasMoreData = true;
-    } else {
-      this.currentPage = 1;
+  filterData(data, query) {
+    if (!query || query.trim() === '') {
+      return [...data];
     }
     
-    this.loadData();
+    const lowercaseQuery = query.toLowerCase();
+    
+    return data.filter(row => {
+      return this.options.columns.some(column => {
+        if (column.searchable === false) return false;
+        
+        return this.getSearchText(row, column).toLowerCase().includes(lowercaseQuery);
+      });
+    });
   }
   
   /**
-   * Destroy the table and clean up
+   * Return the rows of a dataset matching the current search term
+   * and column filters, in the current sort order
+   * Runs in the worker too, so it must not touch the DOM
    */
-  destroy() {
-    if (this.tableContainer && this.tableContainer.parentNode) {
-      this.tableContainer.parentNode.removeChild(this.tableContainer);
-    }
+  buildClientView(data) {
+    let view = this.filterData(data, this.searchTerm);
     
-    if (this.contextMenuElement && this.contextMenuElement.parentNode) {
-      this.contextMenuElement.parentNode.removeChild(this.contextMenuElement);
+    if (Object.keys(this.columnFilters).length > 0) {
+      view = view.filter(row => this.matchesColumnFilters(row));
     }
     
-    this.tableElement = null;
-    this.tableContainer = null;
-    this.paginationElement = null;
-    this.toolbarElement = null;
-    this.searchElement = null;
-    this.contextMenuElement = null;
+    if (this.sortModel.length > 0) {
+      view = this.sortData(view, this.sortModel);
+    }
     
-    // Clean up collaboration resources
-    this.cleanupCollaboration();
+    return view;
   }
   
   /**
-   * Quick static method to create a table from an existing HTML table
+   * Rebuild the client-side view from the original data,
+   * applying the current search term and sort
    */
-  static fromHTML(selector, options = {}) {
-    return new Tablein({
-      ...options,
-      container: selector,
-      useHTML: selector
-    });
+  processClientData() {
+    this.options.data = this.options.treeData ? this.buildTreeView() : this.buildClientView(this.originalData);
   }
   
   /**
-   * Quick static method to create a table with infinite scroll
+   * Rebuild the client-side view, in the worker when it is enabled,
+   * then run a callback to render it
+   * The callback is skipped when a newer update replaced this one.
    */
-  static createInfiniteTable(selector, columns, data, options = {}) {
-    return new Tablein({
-      container: selector,
-      columns,
-      data,
-      infiniteScroll: true,
-      pageSize: options.batchSize || 20,
-      ...options
+  updateClientView(callback) {
+    if (!this.canUseWorker()) {
+      this.processClientData();
+      callback();
+      return;
+    }
+    
+    const request = this.requestWorker('process', {
+      state: {
+        searchTerm: this.searchTerm,
+        columnFilters: this.columnFilters,
+        sortModel: this.sortModel
+      }
     });
+    
+    const requestId = this.workerRequestId;
+    this.viewRequestId = requestId;
+    
+    request
+      .then(indexes => {
+        // Cancelled in the worker or replaced by a newer request
+        if (!indexes || requestId !== this.viewRequestId) return;
+        
+        this.viewRequestId = null;
+        this.options.data = Array.from(indexes, index => this.originalData[index]);
+        callback();
+      })
+      .catch(error => {
+        if (requestId !== this.viewRequestId) return;
+        
+        console.error('Worker processing failed, processing on the main thread:', error);
+        this.viewRequestId = null;
+        this.processClientData();
+        callback();
+      });
   }
   
   /**
-   * Quick method to create a server-side table
+   * Check whether client-side data should be processed in the worker
+   * Columns with parse or sorter functions can't be sent to a worker.
    */
-  static createServerTable(selector, columns, serverUrl, options = {}) {
-    return new Tablein({
-      container: selector,
-      columns,
-      serverSide: true,
-      serverUrl,
-      pageSize: options.pageSize || 20,
-      ...options
-    });
+  canUseWorker() {
+    if (!this.options.useWorker || this.options.serverSide || this.options.treeData || this.workerFailed) return false;
+    if (this.originalData.length < this.options.workerThreshold) return false;
+    
+    const hasFunctions = this.options.columns.some(column => (
+      typeof column.parse === 'function' || typeof column.sorter === 'function'
+    ));
+    
+    return !hasFunctions && this.getWorker() !== null;
   }
   
   /**
-   * Initialize collaboration features
+   * Get the data worker, creating it on first use
+   * Returns null when Web Workers are unavailable.
    */
-  initCollaboration() {
-    if (!this.options.collaboration) return;
+  getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
     
-    // Set up WebSocket connection
-    if (this.options.collaborationMode === 'websocket' && this.options.collaborationUrl) {
-      this.initWebSocketConnection();
-    } 
-    // Set up polling for changes
-    else if (this.options.collaborationMode === 'polling' && this.options.collaborationUrl) {
-      this.startPollingForChanges();
+    try {
+      const blob = new Blob([this.getWorkerSource()], { type: 'application/javascript' });
+      const url = URL.createObjectURL(blob);
+      
+      this.worker = new Worker(url);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.warn('Web Workers are unavailable, processing data on the main thread:', error);
+      this.workerFailed = true;
+      return null;
     }
     
-    // Make cells editable for collaboration
-    this.makeTableEditable();
+    this.worker.onmessage = (e) => {
+      const { id, result, error, cancelled } = e.data;
+      const request = this.workerRequests.get(id);
+      if (!request) return;
+      
+      this.workerRequests.delete(id);
+      
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(cancelled ? null : result);
+      }
+    };
+    
+    this.worker.onerror = (e) => {
+      // The worker can't be used, fail pending requests so they fall back
+      e.preventDefault();
+      this.terminateWorker(new Error(e.message || 'Worker error'));
+      this.workerFailed = true;
+    };
+    
+    return this.worker;
   }
   
   /**
-   * Initialize WebSocket connection for real-time collaboration
+   * Build the worker script from the data engine methods of this class,
+   * so the worker runs exactly the same sort, filter and search code
    */
-  initWebSocketConnection() {
-    try {
-      this.collaborationSocket = new WebSocket(this.options.collaborationUrl);
+  getWorkerSource() {
+    const methods = WORKER_METHODS.map(name => {
+      const source = Tablein.prototype[name].toString();
       
-      this.collaborationSocket.onopen = () => {
-        console.log('Collaboration WebSocket connected');
-        // Send initial connection info
-        this.collaborationSocket.send(JSON.stringify({
-          type: 'connect',
-          user: this.options.collaborationUser || {
-            id: 'anonymous-' + Math.random().toString(36).substring(2, 9),
-            name: 'Anonymous User'
-          },
-          tableId: this.options.id || 'table-' + Math.random().toString(36).substring(2, 9)
-        }));
+      // Transpiled builds turn methods into plain functions
+      return /^(async\s+)?function\b/.test(source) ? `${name}: ${source}` : source;
+    });
+    
+    return `
+      const engine = {
+        options: {},
+        searchTerm: '',
+        columnFilters: {},
+        sortModel: [],
+        ${methods.join(',\n')}
       };
       
-      this.collaborationSocket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          this.handleCollaborationMessage(message);
-        } catch (e) {
-          console.error('Error processing message:', e);
-        }
+      let rows = [];
+      let rowIndexes = new Map();
+      const pending = {};
+      
+      // Only the latest queued request of each type is run,
+      // the ones it replaced are reported as cancelled
+      const run = () => {
+        Object.keys(pending).forEach(type => {
+          const message = pending[type];
+          delete pending[type];
+          
+          try {
+            if (type === 'process') {
+              Object.assign(engine, message.state);
+              
+              const view = engine.buildClientView(rows);
+              const indexes = new Int32Array(view.length);
+              view.forEach((row, i) => { indexes[i] = rowIndexes.get(row); });
+              
+              self.postMessage({ id: message.id, result: indexes }, [indexes.buffer]);
+            } else {
+              self.postMessage({ id: message.id, result: engine.computeInsights(rows) });
+            }
+          } catch (error) {
+            self.postMessage({ id: message.id, error: error.message });
+          }
+        });
       };
       
-      this.collaborationSocket.onerror = (error) => {
-        console.error('Collaboration WebSocket error:', error);
+      self.onmessage = (e) => {
+        const message = e.data;
+        
+        if (message.type === 'data') {
+          rows = message.rows;
+          rowIndexes = new Map(rows.map((row, i) => [row, i]));
+          engine.options = message.options;
+          return;
+        }
+        
+        if (pending[message.type]) {
+          self.postMessage({ id: pending[message.type].id, cancelled: true });
+        } else {
+          setTimeout(run, 0);
+        }
+        
+        pending[message.type] = message;
       };
+    `;
+  }
+  
+  /**
+   * Send a request to the worker, sending the data first if it changed
+   * Resolves to the result, or null when a newer request cancelled it.
+   */
+  requestWorker(type, payload = {}) {
+    const worker = this.getWorker();
+    
+    if (this.workerStale) {
+      // Only the column settings the engine reads can be copied to the worker
+      const columns = this.options.columns.map(({ field, title, type, searchable, filter, sortNulls }) => (
+        { field, title, type, searchable, filter, sortNulls }
+      ));
+      
+      try {
+        worker.postMessage({
+          type: 'data',
+          rows: this.originalData,
+          options: { columns, sortNulls: this.options.sortNulls }
+        });
+      } catch (error) {
+        // Rows that can't be cloned are processed on the main thread
+        this.workerFailed = true;
+        this.terminateWorker(error);
+        return Promise.reject(error);
+      }
       
-      this.collaborationSocket.onclose = () => {
-        console.log('Collaboration WebSocket closed');
-        // Try to reconnect after a delay
-        setTimeout(() => this.initWebSocketConnection(), 5000);
-      };
-    } catch (e) {
-      console.error('Failed to connect to collaboration server:', e);
+      this.workerStale = false;
     }
+    
+    const id = ++this.workerRequestId;
+    
+    return new Promise((resolve, reject) => {
+      this.workerRequests.set(id, { resolve, reject });
+      worker.postMessage({ type, id, ...payload });
+    });
   }
   
   /**
-   * Start polling for changes
+   * Mark the worker's copy of the data as outdated after the data changed,
+   * and ignore the view it is still computing from the old data
    */
-  startPollingForChanges() {
-    // Clear any existing polling
-    if (this.collaborationTimer) {
-      clearInterval(this.collaborationTimer);
+  invalidateWorkerData() {
+    this.workerStale = true;
+    this.viewRequestId = null;
+  }
+  
+  /**
+   * Stop the worker and fail its pending requests
+   */
+  terminateWorker(error = new Error('Worker terminated')) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
     }
     
-    // Start new polling interval
-    this.collaborationTimer = setInterval(() => {
-      this.fetchCollaborationChanges();
-      this.sendPendingChanges();
-    }, this.options.collaborationInterval || 2000);
+    this.workerRequests.forEach(request => request.reject(error));
+    this.workerRequests.clear();
+    this.workerStale = true;
   }
   
   /**
-   * Fetch changes from server
+   * Search the table data
    */
-  fetchCollaborationChanges() {
-    if (!this.options.collaborationUrl) return;
-    
-    fetch(this.options.collaborationUrl + '/changes?since=' + (this.lastChangeTimestamp || 0), {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    })
-    .then(response => response.json())
-    .then(data => {
-      if (data.changes && Array.isArray(data.changes)) {
-        data.changes.forEach(change => {
-          this.handleCollaborationMessage(change);
-        });
-        
-        if (data.timestamp) {
-          this.lastChangeTimestamp = data.timestamp;
-        }
+  search(query) {
+    this.searchTerm = query || '';
+    
+    this.updateClientView(() => {
+      // Reset view state
+      if (this.options.infiniteScroll || this.options.lazyLoad) {
+        this.loadedRows = 0;
+        this.hasMoreData = true;
+        this.loadData();
+      } else {
+        this.currentPage = 1;
+        this.totalPages = Math.ceil(this.options.data.length / this.options.pageSize);
+        this.loadData();
       }
-    })
-    .catch(error => {
-      console.error('Error fetching collaboration changes:', error);
     });
+    
+    this.emit('search', query);
   }
   
   /**
-   * Send pending changes to server
+   * Get the filter settings of a column, or null if it can't be filtered
    */
-  sendPendingChanges() {
-    if (this.pendingChanges.length === 0) return;
+  getFilterConfig(column) {
+    if (!column || !column.filter) return null;
     
-    const changes = [...this.pendingChanges];
-    this.pendingChanges = [];
+    if (column.filter === true) {
+      return { type: 'text' };
+    }
     
-    fetch(this.options.collaborationUrl + '/changes', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        changes: changes,
-        user: this.options.collaborationUser || {
-          id: 'anonymous-' + Math.random().toString(36).substring(2, 9),
-          name: 'Anonymous User'
-        },
-        tableId: this.options.id || 'table-' + Math.random().toString(36).substring(2, 9)
-      })
-    })
-    .catch(error => {
-      console.error('Error sending changes:', error);
-      // Push changes back to pending queue
-      this.pendingChanges.push(...changes);
+    if (typeof column.filter === 'string') {
+      return { type: column.filter };
+    }
+    
+    return { type: 'text', ...column.filter };
+  }
+  
+  /**
+   * Get the values offered by a multi-select filter
+   */
+  getFilterOptions(column, config) {
+    if (Array.isArray(config.options)) {
+      return config.options.map(option => (
+        option !== null && typeof option === 'object' 
+          ? { value: option.value, label: option.label !== undefined ? option.label : option.value }
+          : { value: option, label: option }
+      ));
+    }
+    
+    // Use the distinct values of the loaded data
+    const source = this.options.serverSide ? this.options.data : this.originalData;
+    const values = new Set();
+    
+    source.forEach(row => {
+      const value = row[column.field];
+      if (value !== null && value !== undefined && value !== '') {
+        values.add(value);
+      }
     });
+    
+    return Array.from(values)
+      .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }))
+      .map(value => ({ value, label: value }));
   }
   
   /**
-   * Handle incoming collaboration message
+   * Get the button label of a multi-select filter
    */
-  handleCollaborationMessage(message) {
-    if (!message || !message.type) return;
+  getSelectFilterLabel(filter) {
+    if (!filter) return 'All';
     
-    switch (message.type) {
-      case 'cell-change':
-        if (message.rowIndex !== undefined && 
-            message.columnField !== undefined && 
-            message.value !== undefined) {
-          this.updateCellFromCollaboration(
-            message.rowIndex, 
-            message.columnField, 
-            message.value,
-            message.user
-          );
-        }
-        break;
-        
-      case 'user-connected':
-      case 'user-disconnected':
-        // Handle user presence changes
-        this.updateCollaboratorPresence(message);
-        break;
-        
-      case 'cursor-position':
-        // Show remote user cursor position
-        this.updateUserCursor(message);
-        break;
-        
-      default:
-        console.log('Unknown message type:', message.type);
-    }
+    return filter.empty ? '(empty)' : `${filter.values.length} selected`;
   }
   
   /**
-   * Update cell value from collaboration event
+   * Check whether a filter value has nothing to filter by
    */
-  updateCellFromCollaboration(rowIndex, columnField, value, user) {
-    // Ignore our own messages
-    if (user && this.options.collaborationUser && 
-        user.id === this.options.collaborationUser.id) {
-      return;
-    }
+  isFilterEmpty(filter) {
+    if (!filter) return true;
     
-    // Find column index
-    const columnIndex = this.options.columns.findIndex(col => col.field === columnField);
-    if (columnIndex === -1) return;
+    // Filters for empty values always apply
+    if (filter.empty) return false;
     
-    // Update data
-    if (this.options.data[rowIndex]) {
-      this.options.data[rowIndex][columnField] = value;
+    return Object.keys(filter).every(key => {
+      const value = filter[key];
       
-      // Find cell in DOM and update it
-      const tbody = this.tableElement.querySelector('tbody');
-      const row = tbody.querySelector(`tr[data-row-index="${rowIndex}"]`);
-      
-      if (row) {
-        const cell = row.querySelectorAll('td')[columnIndex];
-        
-        if (cell) {
-          // Check if the cell has custom rendering
-          const column = this.options.columns[columnIndex];
-          if (column && typeof column.render === 'function') {
-            cell.innerHTML = column.render(value, this.options.data[rowIndex]);
-          } else {
-            cell.textContent = value;
-          }
-          
-          // Add highlight effect to show change
-          cell.classList.add('cell-changed');
-          setTimeout(() => {
-            cell.classList.remove('cell-changed');
-          }, 2000);
-          
-          // Show tooltip with user info if provided
-          if (user && user.name) {
-            const tooltip = document.createElement('div');
-            tooltip.className = 'collaboration-tooltip';
-            tooltip.textContent = `Changed by ${user.name}`;
-            
-            if (user.color) {
-              tooltip.style.backgroundColor = user.color;
-            }
-            
-            cell.appendChild(tooltip);
-            
-            setTimeout(() => {
-              tooltip.remove();
-            }, 3000);
-          }
-        }
-      }
+      if (key === 'operator') return true;
+      if (Array.isArray(value)) return value.length === 0;
       
-      // Add to version history if enabled
-      if (this.options.versionHistory) {
-        this.addToVersionHistory(rowIndex, columnField, value, user);
-      }
-    }
+      return value === null || value === undefined || value === '';
+    });
   }
   
   /**
-   * Make table cells editable for collaboration
+   * Check whether a row passes all active column filters
    */
-  makeTableEditable() {
-    // Add event listener to table body
-    const tbody = this.tableElement.querySelector('tbody');
-    
-    tbody.addEventListener('dblclick', (event) => {
-      const cell = event.target.closest('td');
-      if (!cell) return;
-      
-      const row = cell.closest('tr');
-      const rowIndex = parseInt(row.dataset.rowIndex, 10);
-      
-      // Find column index and field
-      const columnIndex = Array.from(row.cells).indexOf(cell);
-      const column = this.options.columns[columnIndex];
-      
-      if (!column || !this.options.data[rowIndex]) return;
-      
-      // Check if column is editable
-      const isEditable = column.editable !== false; // editable by default
-      if (!isEditable) return;
-      
-      // Get current value
-      const value = this.options.data[rowIndex][column.field];
+  matchesColumnFilters(row) {
+    return Object.keys(this.columnFilters).every(field => {
+      const filter = this.columnFilters[field];
+      const column = this.getColumn(field);
+      const config = this.getFilterConfig(column) || { type: 'text' };
+      const value = row[field];
+      
+      if (filter.empty) {
+        return value === null || value === undefined || value === '';
+      }
       
-      // Create input for editing
-      const input = document.createElement('input');
-      input.type = 'text';
-      input.value = value || '';
-      input.className = 'cell-edit-input';
-      
-      // Save original content
-      const originalContent = cell.innerHTML;
-      
-      // Replace content with input
-      cell.innerHTML = '';
-      cell.appendChild(input);
-      input.focus();
-      input.select();
-      
-      // Handle input blur and key events
-      const saveEdit = () => {
-        const newValue = input.value;
-        
-        // If value hasn't changed, just restore the original content
-        if (newValue === value) {
-          cell.innerHTML = originalContent;
-          return;
+      switch (config.type) {
+        case 'number': {
+          const number = this.parseValue(value, column, 'number');
+          
+          if (filter.min !== '' && filter.min != null && !(number >= Number(filter.min))) return false;
+          if (filter.max !== '' && filter.max != null && !(number <= Number(filter.max))) return false;
+          return true;
         }
         
-        // Update data
-        this.options.data[rowIndex][column.field] = newValue;
-        
-        // Check if the cell has custom rendering
-        if (typeof column.render === 'function') {
-          cell.innerHTML = column.render(newValue, this.options.data[rowIndex]);
-        } else {
-          cell.textContent = newValue;
+        case 'date': {
+          const date = this.parseValue(value, column, 'date');
+          const time = date instanceof Date ? date.getTime() : NaN;
+          
+          if (filter.from && !(time >= new Date(filter.from).getTime())) return false;
+          
+          if (filter.to) {
+            // A plain date includes the whole day
+            let to = new Date(filter.to).getTime();
+            if (/^\d{4}-\d{2}-\d{2}$/.test(filter.to)) {
+              to += 24 * 60 * 60 * 1000 - 1;
+            }
+            
+            if (!(time <= to)) return false;
+          }
+          return true;
         }
         
-        // Send change to collaboration system
-        this.sendCellChange(rowIndex, column.field, newValue);
+        case 'select':
+          return filter.values.map(String).includes(String(value));
         
-        // Add to version history if enabled
-        if (this.options.versionHistory) {
-          this.addToVersionHistory(
-            rowIndex, 
-            column.field, 
-            newValue, 
-            this.options.collaborationUser || { name: 'Local User' }
-          );
-        }
-      };
-      
-      input.addEventListener('blur', saveEdit);
-      
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          saveEdit();
-          e.preventDefault();
-        } else if (e.key === 'Escape') {
-          cell.innerHTML = originalContent;
-          e.preventDefault();
+        case 'boolean':
+          return this.parseValue(value, column, 'boolean') === filter.value;
+        
+        default: {
+          const text = value !== null && value !== undefined ? String(value).toLowerCase() : '';
+          const query = String(filter.value).toLowerCase();
+          
+          return (filter.operator || config.operator) === 'equals' 
+            ? text === query 
+            : text.includes(query);
         }
-      });
+      }
     });
   }
   
   /**
-   * Send cell change to collaboration system
+   * Set the filter value of a column without rebuilding its controls
    */
-  sendCellChange(rowIndex, columnField, value) {
-    const change = {
-      type: 'cell-change',
-      rowIndex: rowIndex,
-      columnField: columnField,
-      value: value,
-      user: this.options.collaborationUser || { name: 'Local User' },
-      timestamp: Date.now()
-    };
+  applyColumnFilter(field, filter) {
+    if (this.isFilterEmpty(filter)) {
+      delete this.columnFilters[field];
+    } else {
+      this.columnFilters[field] = filter;
+    }
     
-    // If using WebSocket, send immediately
-    if (this.options.collaborationMode === 'websocket' && 
-        this.collaborationSocket && 
-        this.collaborationSocket.readyState === WebSocket.OPEN) {
-      
-      this.collaborationSocket.send(JSON.stringify(change));
-    } 
-    // Otherwise, add to pending changes
-    else {
-      this.pendingChanges.push(change);
+    // Show which headers are filtered
+    const header = this.tableElement.querySelector(`thead tr:first-child th[data-field="${field}"]`);
+    if (header) {
+      header.classList.toggle('filtered', !!this.columnFilters[field]);
+    }
+    
+    const selectBtn = this.tableElement.querySelector(`.filter-cell[data-field="${field}"] .filter-select-btn`);
+    if (selectBtn) {
+      selectBtn.textContent = this.getSelectFilterLabel(this.columnFilters[field]);
     }
+    
+    this.applyFilters();
   }
   
   /**
-   * Add cell change to version history
+   * Reload the table after the column filters changed
    */
-  addToVersionHistory(rowIndex, columnField, value, user) {
-    if (!this.options.versionHistory) return;
-    
-    // Create unique key for the cell
-    const cellKey = `${rowIndex}:${columnField}`;
+  applyFilters() {
+    // Reset view state
+    this.currentPage = 1;
+    this.loadedRows = 0;
+    this.hasMoreData = true;
     
-    // Get or initialize version history for this cell
-    if (!this.cellVersions.has(cellKey)) {
-      this.cellVersions.set(cellKey, []);
+    if (this.options.serverSide) {
+      this.loadData();
+    } else {
+      this.updateClientView(() => this.loadData());
     }
     
-    const versions = this.cellVersions.get(cellKey);
+    this.updateClearFiltersButton();
+    this.emit('filter', this.getFilters());
+  }
+  
+  /**
+   * Show the Clear filters button while a filter is active that the header has no control for
+   */
+  updateClearFiltersButton() {
+    if (!this.clearFiltersButton) return;
     
-    // Add new version
-    versions.push({
-      value: value,
-      timestamp: Date.now(),
-      user: user || { name: 'Unknown User' }
+    const uncontrolled = Object.keys(this.columnFilters).some(field => !this.getFilterConfig(this.getColumn(field)));
+    this.clearFiltersButton.style.display = uncontrolled ? '' : 'none';
+  }
+  
+  /**
+   * Set the filter of a column
+   * Text: { value, operator: 'contains'|'equals' }, number: { min, max },
+   * date: { from, to }, select: { values: [] }, boolean: { value: true|false }
+   * Any column: { empty: true } matches rows without a value
+   */
+  setFilter(field, filter) {
+    this.applyColumnFilter(field, filter);
+    this.refreshFilterControls(field);
+  }
+  
+  /**
+   * Remove the filter of a column
+   */
+  clearFilter(field) {
+    this.setFilter(field, null);
+  }
+  
+  /**
+   * Remove all column filters
+   */
+  clearFilters() {
+    Object.keys(this.columnFilters).forEach(field => {
+      delete this.columnFilters[field];
+      this.refreshFilterControls(field);
     });
     
-    // Limit versions count
-    if (versions.length > this.options.maxVersions) {
-      versions.shift(); // Remove oldest version
-    }
+    this.applyFilters();
   }
   
   /**
-   * Get version history for a cell
+   * Get the active column filters
    */
-  getCellVersionHistory(rowIndex, columnField) {
-    const cellKey = `${rowIndex}:${columnField}`;
-    return this.cellVersions.get(cellKey) || [];
+  getFilters() {
+    return Object.keys(this.columnFilters).map(field => {
+      const column = this.options.columns.find(col => col.field === field);
+      const config = this.getFilterConfig(column) || { type: 'text' };
+      
+      return { field, type: config.type, ...this.columnFilters[field] };
+    });
   }
   
   /**
-   * Show version history for a cell
+   * Rebuild the filter controls of a column to show its current value
    */
-  showVersionHistory(rowIndex, columnField) {
-    const versions = this.getCellVersionHistory(rowIndex, columnField);
+  refreshFilterControls(field) {
+    const column = this.options.columns.find(col => col.field === field);
+    if (!column) return;
     
-    if (!versions || versions.length === 0) {
-      alert('No version history available for this cell.');
-      return;
+    const filterCell = this.tableElement.querySelector(`.filter-cell[data-field="${field}"]`);
+    if (filterCell) {
+      filterCell.parentNode.replaceChild(this.createFilterCell(column), filterCell);
     }
     
-    // Create version history dialog
-    const dialog = document.createElement('div');
-    dialog.className = 'version-history-dialog';
+    const header = this.tableElement.querySelector(`thead tr:first-child th[data-field="${field}"]`);
+    if (header) {
+      header.classList.toggle('filtered', !!this.columnFilters[field]);
+    }
+  }
+  
+  /**
+   * Go to the next page
+   */
+  nextPage() {
+    if (this.currentPage < this.totalPages && (this.options.serverSide || !this.isBusy)) {
+      this.currentPage++;
+      this.loadData();
+      this.emit('pageChange', this.currentPage);
+    }
+  }
+  
+  /**
+   * Go to the previous page
+   */
+  prevPage() {
+    if (this.currentPage > 1 && (this.options.serverSide || !this.isBusy)) {
+      this.currentPage--;
+      this.loadData();
+      this.emit('pageChange', this.currentPage);
+    }
+  }
+  
+  /**
+   * Go to specific page
+   */
+  goToPage(page) {
+    if (page >= 1 && page <= this.totalPages && (this.options.serverSide || !this.isBusy)) {
+      this.currentPage = page;
+      this.loadData();
+      this.emit('pageChange', this.currentPage);
+    }
+  }
+  
+  /**
+   * Export table to Excel
+   */
+  exportToExcel() {
+    if (this.emit('beforeExport', 'excel') === false) return;
     
-    // Create header
-    const header = document.createElement('div');
-    header.className = 'version-history-header';
+    if (this.options.serverSide && this.totalRecords > this.options.data.length) {
+      if (!confirm(`You are about to export only the current page (${this.options.data.length} rows). Do you want to continue?`)) {
+        return;
+      }
+    }
     
-    const title = document.createElement('h3');
-    title.textContent = 'Version History';
+    const data = this.getExportData();
     
-    const closeButton = document.createElement('button');
-    closeButton.textContent = '×';
-    closeButton.className = 'version-history-close';
-    closeButton.addEventListener('click', () => {
-      document.body.removeChild(dialog);
-    });
+    // Add the summary row under the data
+    if (this.hasFooter()) {
+      data.push(this.getFooterExportRow());
+    }
     
-    header.appendChild(title);
-    header.appendChild(closeButton);
+    const worksheet = XLSX.utils.json_to_sheet(data);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, "Table");
+    XLSX.writeFile(workbook, "table-export.xlsx");
     
-    // Create content
-    const content = document.createElement('div');
-    content.className = 'version-history-content';
+    this.emit('export', 'excel');
+  }
+  
+  /**
+   * Export table to PDF
+   */
+  exportToPdf() {
+    if (this.emit('beforeExport', 'pdf') === false) return;
     
-    // Create version list
-    const versionList = document.createElement('ul');
-    versionList.className = 'version-history-list';
+    if (this.options.serverSide && this.totalRecords > this.options.data.length) {
+      if (!confirm(`You are about to export only the current page (${this.options.data.length} rows). Do you want to continue?`)) {
+        return;
+      }
+    }
     
-    // Sort versions by timestamp (newest first)
-    versions.sort((a, b) => b.timestamp - a.timestamp);
+    const element = this.tableElement.cloneNode(true);
     
-    versions.forEach((version, index) => {
-      const item = document.createElement('li');
-      item.className = 'version-history-item';
-      
-      const date = new Date(version.timestamp);
-      const timeString = date.toLocaleString();
-      
-      item.innerHTML = `
-        <div class="version-history-item-header">
-          <span class="version-number">v${versions.length - index}</span>
-          <span class="version-user">${version.user.name || 'Unknown'}</span>
-          <span class="version-time">${timeString}</span>
-        </div>
-        <div class="version-content">${version.value}</div>
-      `;
-      
-      // Add restore button for all except the latest version
-      if (index > 0) {
-        const restoreButton = document.createElement('button');
-        restoreButton.textContent = 'Restore';
-        restoreButton.className = 'version-restore-btn';
-        restoreButton.addEventListener('click', () => {
-          if (confirm('Are you sure you want to restore this version?')) {
-            this.restoreVersion(rowIndex, columnField, version.value);
-            document.body.removeChild(dialog);
-          }
-        });
-        
-        item.appendChild(restoreButton);
-      } else {
-        item.classList.add('current-version');
-      }
-      
-      versionList.appendChild(item);
-    });
+    html2pdf().from(element).save('table-export.pdf');
     
-    content.appendChild(versionList);
+    this.emit('export', 'pdf');
+  }
+  
+  /**
+   * Print table
+   */
+  print() {
+    if (this.emit('beforeExport', 'print') === false) return;
     
-    dialog.appendChild(header);
-    dialog.appendChild(content);
+    const printWindow = window.open('', '_blank');
     
-    document.body.appendChild(dialog);
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Print Table</title>
+          <style>
+            table { border-collapse: collapse; width: 100%; }
+            th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+            th { background-color: #f2f2f2; }
+            tfoot td { font-weight: bold; background-color: #f2f2f2; }
+          </style>
+        </head>
+        <body>
+          ${this.tableElement.outerHTML}
+        </body>
+      </html>
+    `);
+    
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    printWindow.close();
+    
+    this.emit('export', 'print');
   }
   
   /**
-   * Restore a previous version of a cell
+   * Get data for export
    */
-  restoreVersion(rowIndex, columnField, value) {
-    // Update data
-    if (this.options.data[rowIndex]) {
-      this.options.data[rowIndex][columnField] = value;
-      
-      // Find column index
-      const columnIndex = this.options.columns.findIndex(col => col.field === columnField);
-      if (columnIndex === -1) return;
-      
-      // Update UI
-      const tbody = this.tableElement.querySelector('tbody');
-      const row = tbody.querySelector(`tr[data-row-index="${rowIndex}"]`);
-      
-      if (row) {
-        const cell = row.querySelectorAll('td')[columnIndex];
-        
-        if (cell) {
-          const column = this.options.columns[columnIndex];
-          if (column && typeof column.render === 'function') {
-            cell.innerHTML = column.render(value, this.options.data[rowIndex]);
-          } else {
-            cell.textContent = value;
-          }
-          
-          // Add restore highlight effect
-          cell.classList.add('cell-restored');
-          setTimeout(() => {
-            cell.classList.remove('cell-restored');
-          }, 2000);
-        }
-      }
+  getExportData() {
+    const data = [];
+    
+    if (this.options.serverSide) {
+      // For server-side mode, we may need to fetch all data first
+      // This is a simplified implementation that exports only what's loaded
+      return this.options.data.map(row => {
+        const exportRow = {};
+        this.getVisibleColumns().forEach(column => {
+          exportRow[column.title || column.field] = row[column.field];
+        });
+        return exportRow;
+      });
+    }
+    
+    const sourceData = this.options.infiniteScroll || this.options.lazyLoad
+      ? this.originalData
+      : this.options.data;
+    
+    // Transform data for export
+    sourceData.forEach(row => {
+      const exportRow = {};
       
-      // Send change to collaboration system
-      this.sendCellChange(rowIndex, columnField, value);
+      this.getVisibleColumns().forEach(column => {
+        exportRow[column.title || column.field] = row[column.field];
+      });
       
-      // Add to version history
-      this.addToVersionHistory(
-        rowIndex, 
-        columnField, 
-        value, 
-        { 
-          name: this.options.collaborationUser?.name + ' (restored)',
-          id: this.options.collaborationUser?.id 
-        }
-      );
-    }
+      data.push(exportRow);
+    });
+    
+    return data;
   }
   
   /**
-   * Update user presence/cursor in the table
+   * Replace the table data, keeping the current search, sort and page
    */
-  updateUserCursor(message) {
-    if (!message.user || !message.position) return;
+  updateData(newData) {
+    const data = Array.isArray(newData) ? newData : [];
     
-    // Remove any existing cursor for this user
-    const existingCursor = document.querySelector(`.user-cursor[data-user-id="${message.user.id}"]`);
-    if (existingCursor) {
-      existingCursor.remove();
+    if (this.options.serverSide) {
+      // Server-side data only covers the rows currently shown
+      this.options.data = [...data];
+      this.renderData(this.getDisplayRows());
+      return;
     }
     
-    // Create a new cursor element
-    const cursor = document.createElement('div');
-    cursor.className = 'user-cursor';
-    cursor.dataset.userId = message.user.id;
-    
-    if (message.user.color) {
-      cursor.style.backgroundColor = message.user.color;
+    if (this.pivotConfig) {
+      // Pivot the new source data
+      this.pivotSource.data = [...data];
+      this.applyPivot(this.pivotConfig);
+      this.loadData();
+      return;
     }
     
-    const userLabel = document.createElement('div');
-    userLabel.className = 'user-cursor-label';
-    userLabel.textContent = message.user.name || 'Anonymous';
+    this.originalData = [...data];
+    this.invalidateWorkerData();
+    this.processClientData();
+    this.pruneSelection();
     
-    if (message.user.color) {
-      userLabel.style.backgroundColor = message.user.color;
-    }
+    // Re-render the body without resetting the page or loaded rows
+    this.loadData();
+  }
+  
+  /**
+   * Update a column's options and rebuild its header and cells
+   */
+  updateColumn(field, options = {}) {
+    const columnIndex = this.options.columns.findIndex(col => col.field === field);
+    if (columnIndex === -1) return;
     
-    cursor.appendChild(userLabel);
+    // The field identifies the column and cannot be changed
+    const column = { ...this.options.columns[columnIndex], ...options, field };
+    this.options.columns[columnIndex] = column;
+    this.invalidateWorkerData();
     
-    // Position the cursor
-    const { rowIndex, columnIndex } = message.position;
+    // Rebuild the header cell
+    const oldHeader = this.tableElement.querySelector(`thead th[data-field="${field}"]`);
+    if (oldHeader) {
+      const header = this.createHeaderCell(column);
+      
+      if (this.options.resizableColumns) {
+        this.addColumnResizer(header);
+      }
+      
+      oldHeader.parentNode.replaceChild(header, oldHeader);
+    }
     
-    // Find the cell
-    const tbody = this.tableElement.querySelector('tbody');
-    const row = tbody.querySelector(`tr[data-row-index="${rowIndex}"]`);
+    this.refreshFilterControls(field);
     
-    if (row) {
-      const cell = row.querySelectorAll('td')[columnIndex];
+    // Rebuild the cells of this column in the rendered rows
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      const cell = tr.cells[columnIndex];
       
-      if (cell) {
-        // Position cursor at the cell
-        cell.appendChild(cursor);
-        
-        // Automatically remove cursor after some time
-        setTimeout(() => {
-          if (cursor.parentNode) {
-            cursor.remove();
-          }
-        }, 5000);
+      if (tr._group) {
+        tr.replaceWith(this.createGroupRow(tr._group));
+      } else if (tr._data && cell && cell.querySelector('.tree-toggle, .detail-toggle, .row-select-checkbox')) {
+        // Re-create the row to keep its toggles
+        tr.replaceWith(this.createRow(tr._data, Number(tr.getAttribute('data-row-index'))));
+      } else if (tr._data && cell) {
+        tr.replaceChild(this.createCell(tr._data, column, columnIndex), cell);
       }
-    }
+    });
+    
+    this.updateFooter();
   }
   
   /**
-   * Update collaborator presence
+   * Show or hide a column
+   * Without a visible flag, the column visibility is toggled
    */
-  updateCollaboratorPresence(message) {
-    const { type, user } = message;
+  toggleColumn(field, visible) {
+    const columnIndex = this.options.columns.findIndex(col => col.field === field);
+    if (columnIndex === -1) return;
     
-    if (!this.collaboratorsContainer) {
-      // Create collaborators container if it doesn't exist
-      this.collaboratorsContainer = document.createElement('div');
-      this.collaboratorsContainer.className = 'collaborators-container';
-      this.tableContainer.appendChild(this.collaboratorsContainer);
-    }
+    const column = this.options.columns[columnIndex];
+    const isVisible = visible === undefined ? column.visible === false : !!visible;
+    column.visible = isVisible;
     
-    if (type === 'user-connected') {
-      // Add user to collaborators list
-      let userElement = this.collaboratorsContainer.querySelector(`.collaborator[data-user-id="${user.id}"]`);
-      
-      if (!userElement) {
-        userElement = document.createElement('div');
-        userElement.className = 'collaborator';
-        userElement.dataset.userId = user.id;
-        
-        const avatar = document.createElement('div');
-        avatar.className = 'collaborator-avatar';
-        avatar.textContent = user.name.substring(0, 1).toUpperCase();
-        
-        if (user.color) {
-          avatar.style.backgroundColor = user.color;
-        }
-        
-        const name = document.createElement('div');
-        name.className = 'collaborator-name';
-        name.textContent = user.name;
-        
-        userElement.appendChild(avatar);
-        userElement.appendChild(name);
-        
-        this.collaboratorsContainer.appendChild(userElement);
-      }
-    } else if (type === 'user-disconnected') {
-      // Remove user from collaborators list
-      const userElement = this.collaboratorsContainer.querySelector(`.collaborator[data-user-id="${user.id}"]`);
-      
-      if (userElement) {
-        userElement.classList.add('disconnected');
-        
-        setTimeout(() => {
-          if (userElement.parentNode) {
-            userElement.remove();
-          }
-        }, 5000);
+    const display = isVisible ? '' : 'none';
+    
+    // Header and filter cells
+    this.tableElement.querySelectorAll(`thead th[data-field="${field}"]`).forEach(th => {
+      th.style.display = display;
+    });
+    
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      if (tr._group) {
+        // The group label moves to the first visible column
+        tr.replaceWith(this.createGroupRow(tr._group));
+      } else if (tr._data && (this.options.treeData || typeof this.options.detailRenderer === 'function' || this.options.selectionCheckbox)) {
+        // The tree and detail toggles and the selection checkbox move to the first visible column
+        tr.replaceWith(this.createRow(tr._data, Number(tr.getAttribute('data-row-index'))));
+      } else if (tr._data && tr.cells[columnIndex]) {
+        tr.cells[columnIndex].style.display = display;
       }
-    }
+    });
+    
+    // The footer label and the select-all checkbox also move to the first visible column
+    this.updateSelectionControls();
+    this.updateCellRange();
+    this.updateFooter();
   }
   
   /**
-   * Update cursor position during collaboration
+   * Get the columns that are currently shown
    */
-  sendCursorPosition(rowIndex, columnIndex) {
-    if (!this.options.collaboration || 
-        !this.options.collaborationUser ||
-        (this.options.collaborationMode === 'websocket' && 
-        (!this.collaborationSocket || this.collaborationSocket.readyState !== WebSocket.OPEN))) {
-      return;
-    }
-    
-    const message = {
-      type: 'cursor-position',
-      position: { rowIndex, columnIndex },
-      user: this.options.collaborationUser,
-      timestamp: Date.now()
-    };
-    
-    // Send cursor position update
-    if (this.options.collaborationMode === 'websocket') {
-      this.collaborationSocket.send(JSON.stringify(message));
-    } else {
-      this.pendingChanges.push(message);
-    }
+  getVisibleColumns() {
+    return this.options.columns.filter(column => column.visible !== false);
   }
   
   /**
-   * Clean up collaboration resources
+   * Get a data row by its key
    */
-  cleanupCollaboration() {
-    if (this.collaborationSocket) {
-      this.collaborationSocket.close();
-      this.collaborationSocket = null;
-    }
-    
-    if (this.collaborationTimer) {
-      clearInterval(this.collaborationTimer);
-      this.collaborationTimer = null;
-    }
+  getRow(key) {
+    return this.findRowByKey(key) || null;
   }
   
   /**
-   * Initialize data visualization features
+   * Get several data rows by their keys
    */
-  initVisualizations() {
-    // Add a button to the toolbar to toggle visualizations
-    const toggleVisBtn = document.createElement('button');
-    toggleVisBtn.textContent = 'Toggle Visualizations';
-    toggleVisBtn.className = 'visualizations-btn';
-    toggleVisBtn.addEventListener('click', () => this.toggleVisualizations());
+  getRows(keys) {
+    return keys.map(key => this.getRow(key)).filter(Boolean);
+  }
+  
+  /**
+   * Insert a row into the data
+   */
+  addRow(row, position) {
+    return this.addRows([row], position)[0];
+  }
+  
+  /**
+   * Insert rows into the data
+   * Position is an index in the data, 'top' or 'bottom' (default)
+   */
+  addRows(rows, position = 'bottom') {
+    const source = this.options.serverSide ? this.options.data : this.originalData;
+    let index = source.length;
     
-    this.toolbarElement.querySelector('.export-buttons').appendChild(toggleVisBtn);
+    if (position === 'top') {
+      index = 0;
+    } else if (typeof position === 'number') {
+      index = Math.max(0, Math.min(position, source.length));
+    }
     
-    // Add visualization mode selector
-    const visModeContainer = document.createElement('div');
-    visModeContainer.className = 'visualization-mode-container';
-    visModeContainer.style.display = 'none';
+    source.splice(index, 0, ...rows);
     
-    const visModeLabel = document.createElement('span');
-    visModeLabel.textContent = 'Visualization Mode: ';
+    if (this.options.batchEdit) {
+      rows.forEach(row => this.batchAdded.set(String(this.getRowKey(row)), row));
+    }
     
-    const visModeSelector = document.createElement('select');
-    visModeSelector.className = 'vis-mode-selector';
+    this.syncRows({ added: rows });
     
-    ['cell', 'row', 'column', 'summary'].forEach(mode => {
-      const option = document.createElement('option');
-      option.value = mode;
-      option.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
-      option.selected = this.options.visualizationPosition === mode;
-      visModeSelector.appendChild(option);
-    });
+    return rows;
+  }
+  
+  /**
+   * Apply changes to a row
+   */
+  updateRow(key, patch) {
+    return this.updateRows([{ key, patch }])[0] || null;
+  }
+  
+  /**
+   * Apply changes to several rows
+   * Each update is an object with the row key and a patch: { key, patch }
+   */
+  updateRows(updates) {
+    const updated = [];
     
-    visModeSelector.addEventListener('change', (e) => {
-      this.options.visualizationPosition = e.target.value;
-      this.renderVisualizations();
+    updates.forEach(({ key, patch }) => {
+      const row = this.findRowByKey(key);
+      if (!row) return;
+      
+      const oldValues = {};
+      Object.keys(patch).forEach(field => {
+        oldValues[field] = row[field];
+      });
+      
+      Object.assign(row, patch);
+      this.reindexRow(row, key);
+      
+      // In batch mode, changed fields are staged like cell edits
+      if (this.options.batchEdit) {
+        Object.keys(patch).forEach(field => {
+          if (!this.isSameValue(oldValues[field], row[field])) {
+            this.stageCellChange(row, field, oldValues[field]);
+          }
+        });
+      }
+      
+      updated.push(row);
     });
     
-    visModeContainer.appendChild(visModeLabel);
-    visModeContainer.appendChild(visModeSelector);
-    this.toolbarElement.appendChild(visModeContainer);
+    this.syncRows({ updated });
     
-    // Store reference to the visualization mode container
-    this.visModeContainer = visModeContainer;
+    return updated;
   }
   
   /**
-   * Toggle data visualizations
+   * Remove a row from the data
    */
-  toggleVisualizations() {
-    const isActive = this.tableContainer.classList.toggle('show-visualizations');
-    
-    if (isActive) {
-      this.renderVisualizations();
-      this.visModeContainer.style.display = 'flex';
-    } else {
-      this.clearVisualizations();
-      this.visModeContainer.style.display = 'none';
-    }
+  removeRow(key) {
+    return this.removeRows([key])[0] || null;
   }
   
   /**
-   * Render data visualizations
+   * Remove several rows from the data
    */
-  renderVisualizations() {
-    // Clear any existing visualizations
-    this.clearVisualizations();
+  removeRows(keys) {
+    const source = this.options.serverSide ? this.options.data : this.originalData;
+    const removed = [];
+    const marked = [];
+    
+    keys.forEach(key => {
+      const row = this.findRowByKey(key);
+      if (!row) return;
+      
+      // In batch mode, existing rows stay until the removal is committed
+      if (this.options.batchEdit && !this.batchAdded.delete(String(key))) {
+        this.batchRemoved.set(String(key), row);
+        marked.push(row);
+        return;
+      }
+      
+      source.splice(source.indexOf(row), 1);
+      removed.push(row);
+    });
     
-    // Different visualization approaches based on position setting
-    switch (this.options.visualizationPosition) {
-      case 'cell':
-        this.renderCellVisualizations();
-        break;
-      case 'row':
-        this.renderRowVisualizations();
-        break;
-      case 'column':
-        this.renderColumnVisualizations();
-        break;
-      case 'summary':
-        this.renderSummaryVisualizations();
-        break;
-    }
+    this.syncRows({ removed, updated: marked });
+    
+    return [...removed, ...marked];
   }
   
   /**
-   * Clear all visualizations
+   * Bring the view and rendered rows in line after rows were added, updated or removed,
+   * keeping the current page or loaded rows
    */
-  clearVisualizations() {
-    // Remove all visualization elements
-    this.tableContainer.querySelectorAll('.visualization').forEach(el => el.remove());
+  syncRows({ added = [], updated = [], removed = [] } = {}) {
+    this.rowIndex = null;
     
-    // Remove all visualization classes from cells
-    this.tableElement.querySelectorAll('td.has-visualization').forEach(td => {
-      td.classList.remove('has-visualization');
+    const renderedRows = Array.from(this.tableElement.querySelectorAll(':scope > tbody > tr'))
+      .map(tr => tr._data)
+      .filter(Boolean);
+    
+    if (this.options.serverSide) {
+      this.totalRecords = Math.max(0, this.totalRecords + added.length - removed.length);
+    } else {
+      this.invalidateWorkerData();
+      this.processClientData();
+    }
+    
+    // Forget the detail content of removed rows
+    removed.forEach(row => {
+      const key = String(this.getRowKey(row));
+      this.detailElements.delete(key);
+      this.detailToggles.delete(key);
     });
     
-    // Clear summary visualizations
-    if (this.summaryVisualizationsElement) {
-      this.summaryVisualizationsElement.innerHTML = '';
+    // Removed rows leave the selection
+    const deselected = removed.filter(row => this.selectedRows.delete(String(this.getRowKey(row))));
+    
+    // Group aggregates may have changed
+    this.displayRows = null;
+    const data = this.getDisplayRows();
+    
+    if (this.isVirtualScroll()) {
+      this.totalRecords = this.options.data.length;
+      this.renderVirtualRows(updated);
+      this.updateFooter();
+    } else if (this.options.infiniteScroll || this.options.lazyLoad) {
+      if (this.options.serverSide) {
+        this.loadedRows = this.options.data.length;
+      } else {
+        // Rows added within the loaded range and removed loaded rows change the count
+        let count = this.loadedRows - removed.filter(row => renderedRows.includes(row)).length;
+        count += added.filter(row => {
+          const index = data.indexOf(row);
+          return index !== -1 && index <= count;
+        }).length;
+        
+        this.loadedRows = Math.min(data.length, Math.max(count, this.options.pageSize));
+        this.hasMoreData = this.loadedRows < data.length;
+      }
+      
+      this.patchRenderedRows(data.slice(0, this.loadedRows), updated);
+    } else {
+      if (this.options.serverSide) {
+        this.patchRenderedRows(data, updated);
+      } else {
+        this.totalRecords = this.options.data.length;
+        this.totalPages = Math.max(1, Math.ceil(data.length / this.options.pageSize));
+        this.currentPage = Math.min(this.currentPage, this.totalPages);
+        
+        const startIndex = (this.currentPage - 1) * this.options.pageSize;
+        this.patchRenderedRows([
+          ...this.getGroupContext(data, startIndex),
+          ...data.slice(startIndex, startIndex + this.options.pageSize)
+        ], updated);
+      }
+      
+      if (this.paginationElement) {
+        this.updatePaginationInfo();
+      }
+    }
+    
+    if (deselected.length > 0) {
+      this.refreshSelection();
     }
   }
   
   /**
-   * Render visualizations inside cells
+   * Render a list of rows, reusing existing row elements
+   * and rebuilding only the new and changed ones
    */
-  renderCellVisualizations() {
-    // Only visualize numeric data in cells
-    this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-      const rowData = row._data;
+  patchRenderedRows(rows, changedRows = []) {
+    if (rows.length === 0) {
+      this.renderData([]);
+      return;
+    }
+    
+    const tbody = this.tableElement.querySelector('tbody');
+    const changed = new Set(changedRows);
+    const existing = new Map();
+    
+    tbody.querySelectorAll(':scope > tr').forEach(tr => {
+      if (tr._data) {
+        existing.set(tr._data, tr);
+      } else {
+        // Remove message rows such as "No data available"
+        tr.remove();
+      }
+    });
+    
+    rows.forEach((row, index) => {
+      let tr = existing.get(row);
       
-      if (!rowData) return;
+      if (tr && !changed.has(row)) {
+        existing.delete(row);
+        tr.setAttribute('data-row-index', index);
+      } else {
+        tr = this.createBodyRow(row, index);
+      }
       
-      // Process each cell
-      this.options.columns.forEach((column, columnIndex) => {
-        const value = rowData[column.field];
-        if (value !== null && value !== undefined && !isNaN(parseFloat(value))) {
-          const numericValue = parseFloat(value);
-          const cell = row.querySelectorAll('td')[columnIndex];
-          
-          if (!cell) return;
-          
-          // Check if we should add visualization (for numbers)
-          if (column.visualization !== false) {
-            this.addCellVisualization(cell, numericValue, column);
-          }
-        }
-      });
+      // Appending moves reused rows into their new position
+      tbody.appendChild(tr);
     });
+    
+    // Remove rows that are no longer shown
+    existing.forEach(tr => tr.remove());
+    
+    this.renderDetailRows();
+    this.updateSelectionControls();
+    this.updateCellRange();
+    this.updateFooter();
   }
   
   /**
-   * Add visualization to a single cell
+   * Normalize the groupBy option to a list of fields
    */
-  addCellVisualization(cell, value, column) {
-    // Determine the type of visualization to use
-    let visType = column.visualizationType || this.options.visualizationTypes[0];
+  normalizeGroupBy(groupBy) {
+    return (Array.isArray(groupBy) ? groupBy : [groupBy]).filter(Boolean);
+  }
+  
+  /**
+   * Check whether rows are grouped
+   */
+  isGrouped() {
+    return this.options.groupBy.length > 0;
+  }
+  
+  /**
+   * Check whether a display row is a group header
+   */
+  isGroupRow(item) {
+    return !!item && typeof item === 'object' && this.groupRows.has(item);
+  }
+  
+  /**
+   * Get the rows to render: the data rows, or when grouping,
+   * group headers followed by the rows of expanded groups
+   */
+  getDisplayRows() {
+    const data = this.options.data || [];
     
-    // Check if valid vis type
-    if (!this.options.visualizationTypes.includes(visType)) {
-      visType = 'bar';
+    if (!this.isGrouped()) return data;
+    
+    if (this.displayRows && this.displayRows.data === data && this.displayRows.version === this.groupVersion) {
+      return this.displayRows.rows;
     }
     
-    // Preserve original cell content
-    const originalContent = cell.innerHTML;
-    const cellWidth = cell.offsetWidth;
-    const cellHeight = cell.offsetHeight;
+    const rows = [];
     
-    // Add visualization class
-    cell.classList.add('has-visualization');
-    
-    // Find column min/max for scaling
-    let columnValues = [];
-    this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-      const rowData = row._data;
-      if (rowData) {
-        const cellValue = rowData[column.field];
-        if (cellValue !== null && cellValue !== undefined && !isNaN(parseFloat(cellValue))) {
-          columnValues.push(parseFloat(cellValue));
+    const addGroups = groups => {
+      groups.forEach(group => {
+        rows.push(group);
+        
+        if (!this.isGroupExpanded(group.key)) return;
+        
+        if (group.groups) {
+          addGroups(group.groups);
+        } else {
+          group.rows.forEach(row => rows.push(row));
         }
+      });
+    };
+    
+    addGroups(this.buildGroups(data));
+    this.displayRows = { data, version: this.groupVersion, rows };
+    
+    return rows;
+  }
+  
+  /**
+   * Split rows into nested groups by the groupBy fields
+   * Groups are ordered by their value, following the sort direction of the field when it is sorted.
+   */
+  buildGroups(data, level = 0, parent = null) {
+    const field = this.options.groupBy[level];
+    const column = this.getColumn(field);
+    const groups = new Map();
+    
+    data.forEach(row => {
+      const value = row[field];
+      const id = value === null || value === undefined ? '' : String(value);
+      
+      if (!groups.has(id)) {
+        const path = parent ? [...parent.path, id] : [id];
+        const group = { key: JSON.stringify(path), path, field, value, level, parent, rows: [] };
+        
+        this.groupRows.add(group);
+        groups.set(id, group);
       }
+      
+      groups.get(id).rows.push(row);
     });
     
-    const minValue = Math.min(...columnValues);
-    const maxValue = Math.max(...columnValues);
+    const sort = this.sortModel.find(sortItem => sortItem.field === field);
+    const direction = sort && sort.direction === 'desc' ? -1 : 1;
     
-    let visualization;
+    const result = Array.from(groups.values()).map(group => ({
+      group,
+      value: this.getSortValue(group.rows[0], column)
+    }));
     
-    // Create visualization based on type
-    switch (visType) {
-      case 'bar':
-        visualization = this.createBarVisualization(value, minValue, maxValue);
-        break;
-      case 'progress':
-        visualization = this.createProgressVisualization(value, 0, 100);
-        break;
-      case 'sparkline':
-        visualization = this.createSparklineVisualization(column.field);
-        break;
-      case 'pie':
-        visualization = this.createPieVisualization(value, 100);
-        break;
-    }
+    result.sort((a, b) => {
+      // Empty values go last
+      if (a.value === null || b.value === null) {
+        return (a.value === null ? 1 : 0) - (b.value === null ? 1 : 0);
+      }
+      
+      return direction * this.compareValues(a.value, b.value, column);
+    });
     
-    if (visualization) {
-      visualization.style.bottom = '0';
-      visualization.style.left = '0';
-      visualization.style.right = '0';
-      visualization.style.pointerEvents = 'none';
-      visualization.style.opacity = '0.7';
+    return result.map(({ group }) => {
+      if (level < this.options.groupBy.length - 1) {
+        group.groups = this.buildGroups(group.rows, level + 1, group);
+      }
       
-      // Adjust cell for visualization
-      cell.style.position = 'relative';
+      return group;
+    });
+  }
+  
+  /**
+   * Get the headers of the groups a page starts in the middle of,
+   * so they can be repeated at the top of the page
+   */
+  getGroupContext(rows, startIndex) {
+    const context = [];
+    if (!this.isGrouped() || startIndex <= 0 || startIndex >= rows.length) return context;
+    
+    const first = rows[startIndex];
+    let level = this.isGroupRow(first) ? first.level : this.options.groupBy.length;
+    
+    for (let i = startIndex - 1; i >= 0 && level > 0; i--) {
+      const item = rows[i];
       
-      // Add visualization to cell
-      cell.appendChild(visualization);
+      if (this.isGroupRow(item) && item.level < level) {
+        const continued = { ...item, continued: true };
+        
+        this.groupRows.add(continued);
+        context.unshift(continued);
+        level = item.level;
+      }
     }
+    
+    return context;
   }
   
   /**
-   * Create a bar visualization
+   * Create a group header row with its toggle, label, row count and aggregates
    */
-  createBarVisualization(value, min, max) {
-    const container = document.createElement('div');
-    container.className = 'visualization bar-visualization';
+  createGroupRow(group) {
+    const tr = document.createElement('tr');
+    const expanded = this.isGroupExpanded(group.key);
     
-    // Calculate percentage
-    const range = max - min;
-    const percentage = range === 0 ? 50 : ((value - min) / range) * 100;
+    tr.className = `group-row group-level-${group.level}`;
+    tr.setAttribute('data-group-key', group.key);
+    tr.setAttribute('aria-expanded', expanded);
+    tr.tabIndex = 0;
+    tr._group = group;
     
-    // Create bar element
-    const bar = document.createElement('div');
-    bar.className = 'vis-bar';
-    bar.style.width = `${percentage}%`;
-    bar.style.backgroundColor = this.getColorForValue(percentage);
-    bar.style.height = '4px';
+    if (group.continued) {
+      tr.classList.add('group-continued');
+    }
     
-    container.appendChild(bar);
-    return container;
+    const groupColumn = this.getColumn(group.field);
+    const visibleColumns = this.getVisibleColumns();
+    const labelColumn = visibleColumns.length > 0 ? visibleColumns[0] : this.options.columns[0];
+    
+    this.options.columns.forEach(column => {
+      const td = document.createElement('td');
+      
+      if (column === labelColumn) {
+        td.className = 'group-label';
+        td.style.paddingLeft = `${8 + group.level * 20}px`;
+        
+        const toggle = document.createElement('span');
+        toggle.className = 'group-toggle';
+        toggle.textContent = expanded ? '▾' : '▸';
+        td.appendChild(toggle);
+        
+        const value = group.value === null || group.value === undefined || group.value === '' ? '(empty)' : group.value;
+        const label = document.createElement('span');
+        label.textContent = `${groupColumn.title || group.field}: ${value}${group.continued ? ' (continued)' : ''}`;
+        td.appendChild(label);
+        
+        const count = document.createElement('span');
+        count.className = 'group-count';
+        count.textContent = `(${group.rows.length})`;
+        td.appendChild(count);
+      } else if (this.getAggregateConfig(column.groupAggregate)) {
+        const config = this.getAggregateConfig(column.groupAggregate);
+        const value = this.computeAggregate(config.type, group.rows, column);
+        
+        td.className = 'group-aggregate';
+        td.textContent = this.formatAggregate(value, column, config.formatter);
+      }
+      
+      if (column.visible === false) {
+        td.style.display = 'none';
+      }
+      
+      tr.appendChild(td);
+    });
+    
+    return tr;
   }
   
   /**
-   * Create a progress visualization
+   * Normalize an aggregate option to { type, formatter }, or null without one
+   * The option is an aggregate type, a function or an object with a type and formatter.
    */
-  createProgressVisualization(value, min, max) {
-    const container = document.createElement('div');
-    container.className = 'visualization progress-visualization';
-    
-    // Calculate percentage (clamp between 0-100)
-    const percentage = Math.min(100, Math.max(0, value));
+  getAggregateConfig(aggregate) {
+    if (!aggregate) return null;
     
-    // Create progress bar
-    const progress = document.createElement('div');
-    progress.className = 'vis-progress';
-    progress.style.width = `${percentage}%`;
-    progress.style.height = '4px';
-    progress.style.backgroundColor = this.getColorForValue(percentage);
+    if (typeof aggregate === 'string' || typeof aggregate === 'function') {
+      return { type: aggregate };
+    }
     
-    container.appendChild(progress);
-    return container;
+    return aggregate.type ? { ...aggregate } : null;
   }
   
   /**
-   * Create a sparkline visualization
+   * Aggregate the values of a column over a set of rows
+   * The aggregate is 'count', 'sum', 'avg', 'min', 'max', 'distinct', 'median'
+   * or a function(values, rows, column).
    */
-  createSparklineVisualization(field) {
-    const container = document.createElement('div');
-    container.className = 'visualization sparkline-visualization';
+  computeAggregate(aggregate, rows, column) {
+    if (typeof aggregate === 'function') {
+      return aggregate(rows.map(row => row[column.field]), rows, column);
+    }
     
-    // Get data for this field across all visible rows
-    const values = [];
-    this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-      const rowData = row._data;
-      if (rowData && rowData[field] !== undefined && !isNaN(parseFloat(rowData[field]))) {
-        values.push(parseFloat(rowData[field]));
+    if (aggregate === 'count' || aggregate === 'distinct') {
+      const values = rows
+        .map(row => row[column.field])
+        .filter(value => value !== null && value !== undefined && value !== '');
+      
+      return aggregate === 'count' ? values.length : new Set(values.map(String)).size;
+    }
+    
+    const values = rows
+      .map(row => this.getNumericValue(row[column.field], column))
+      .filter(value => value !== null);
+    
+    if (values.length === 0) return null;
+    
+    switch (aggregate) {
+      case 'sum':
+        return values.reduce((a, b) => a + b, 0);
+      case 'avg':
+        return values.reduce((a, b) => a + b, 0) / values.length;
+      case 'min':
+        return values.reduce((a, b) => Math.min(a, b), Infinity);
+      case 'max':
+        return values.reduce((a, b) => Math.max(a, b), -Infinity);
+      case 'median': {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
       }
-    });
+      default:
+        console.warn(`Unknown aggregate: ${aggregate}`);
+        return null;
+    }
+  }
+  
+  /**
+   * Format an aggregate value for display, using the aggregate's formatter
+   * or column.aggregateFormatter when provided
+   */
+  formatAggregate(value, column, formatter = column.aggregateFormatter) {
+    if (typeof formatter === 'function') {
+      return formatter(value, column);
+    }
     
-    if (values.length < 2) {
-      return container; // Not enough data for sparkline
+    if (value === null || value === undefined) return '';
+    
+    if (typeof value === 'number') {
+      return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
     }
     
-    // Normalize values to fit in container
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const range = max - min;
+    return String(value);
+  }
+  
+  /**
+   * Check whether any column has a footer aggregate
+   */
+  hasFooter() {
+    return this.options.columns.some(column => this.getAggregateConfig(column.aggregate));
+  }
+  
+  /**
+   * Get the rows summarized in the footer
+   * With virtual scrolling the footer always covers all rows.
+   */
+  getFooterRows() {
+    if (this.options.footerScope === 'page' && !this.isVirtualScroll()) {
+      return Array.from(this.tableElement.querySelectorAll(':scope > tbody > tr'))
+        .map(tr => tr._data)
+        .filter(Boolean);
+    }
     
-    // Create SVG for sparkline
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', '100%');
-    svg.setAttribute('height', '20');
-    svg.setAttribute('viewBox', `0 0 ${values.length} 100`);
-    svg.style.display = 'block';
+    return this.options.data || [];
+  }
+  
+  /**
+   * Compute the footer aggregates of all columns
+   * Returns one { column, value, text } entry per column.
+   */
+  getFooterSummary() {
+    const rows = this.getFooterRows();
+    const visibleColumns = this.getVisibleColumns();
+    const labelColumn = visibleColumns.length > 0 ? visibleColumns[0] : null;
     
-    // Create sparkline path
-    let pathD = '';
-    values.forEach((value, i) => {
-      const x = i;
-      const y = range === 0 ? 50 : 100 - ((value - min) / range * 100);
+    return this.options.columns.map(column => {
+      const config = this.getAggregateConfig(column.aggregate);
       
-      if (i === 0) {
-        pathD += `M ${x},${y}`;
-      } else {
-        pathD += ` L ${x},${y}`;
+      if (!config) {
+        return { column, value: null, text: column === labelColumn ? this.options.footerLabel : '' };
       }
+      
+      const value = this.computeAggregate(config.type, rows, column);
+      return { column, value, text: this.formatAggregate(value, column, config.formatter) };
     });
-    
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathD);
-    path.setAttribute('stroke', '#2196F3');
-    path.setAttribute('stroke-width', '2');
-    path.setAttribute('fill', 'none');
-    
-    svg.appendChild(path);
-    container.appendChild(svg);
-    
-    return container;
   }
   
   /**
-   * Create a pie visualization
+   * Get the footer aggregate values by field
    */
-  createPieVisualization(value, total) {
-    const container = document.createElement('div');
-    container.className = 'visualization pie-visualization';
+  getSummary() {
+    const summary = {};
     
-    // Calculate percentage
-    const percentage = (value / total) * 100;
+    this.getFooterSummary().forEach(({ column, value }) => {
+      if (this.getAggregateConfig(column.aggregate)) {
+        summary[column.field] = value;
+      }
+    });
     
-    // Create SVG for pie chart
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', '20');
-    svg.setAttribute('height', '20');
-    svg.setAttribute('viewBox', '0 0 100 100');
+    return summary;
+  }
+  
+  /**
+   * Render the summary row in the table footer, or remove it when no column has an aggregate
+   */
+  updateFooter() {
+    if (!this.tableElement) return;
     
-    // Background circle
-    const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    bgCircle.setAttribute('cx', '50');
-    bgCircle.setAttribute('cy', '50');
-    bgCircle.setAttribute('r', '40');
-    bgCircle.setAttribute('fill', '#e0e0e0');
+    let tfoot = this.tableElement.querySelector('tfoot.advanced-table-footer');
     
-    svg.appendChild(bgCircle);
+    if (!this.hasFooter()) {
+      if (tfoot) tfoot.remove();
+      return;
+    }
     
-    // Calculate the arc path for the value
-    const startX = 50;
-    const startY = 10;
-    const endAngle = 2 * Math.PI * (percentage / 100);
-    const endX = 50 + 40 * Math.sin(endAngle);
-    const endY = 50 - 40 * Math.cos(endAngle);
-    const largeArcFlag = percentage > 50 ? 1 : 0;
+    if (!tfoot) {
+      tfoot = document.createElement('tfoot');
+      tfoot.className = 'advanced-table-footer';
+      this.tableElement.appendChild(tfoot);
+    }
     
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', `M 50 50 L ${startX} ${startY} A 40 40 0 ${largeArcFlag} 1 ${endX} ${endY} Z`);
-    path.setAttribute('fill', this.getColorForValue(percentage));
+    const tr = document.createElement('tr');
+    tr.className = 'summary-row';
     
-    svg.appendChild(path);
-    container.appendChild(svg);
+    this.getFooterSummary().forEach(({ column, text }) => {
+      const td = document.createElement('td');
+      td.setAttribute('data-field', column.field);
+      td.textContent = text;
+      
+      if (this.getAggregateConfig(column.aggregate)) {
+        td.className = 'summary-aggregate';
+      }
+      
+      if (column.visible === false) {
+        td.style.display = 'none';
+      }
+      
+      tr.appendChild(td);
+    });
     
-    return container;
+    tfoot.innerHTML = '';
+    tfoot.appendChild(tr);
   }
   
   /**
-   * Render visualizations for entire rows
+   * Get the footer as an export row, keyed like the rows from getExportData
    */
-  renderRowVisualizations() {
-    // Create a chart for each row that visualizes all its numeric values
-    this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-      const rowData = row._data;
-      if (!rowData) return;
-      
-      // Get numeric data from this row
-      const labels = [];
-      const values = [];
-      
-      this.options.columns.forEach(column => {
-        const value = rowData[column.field];
-        if (value !== null && value !== undefined && !isNaN(parseFloat(value))) {
-          labels.push(column.title || column.field);
-          values.push(parseFloat(value));
-        }
-      });
-      
-      if (values.length < 2) return; // Not enough data to visualize
-      
-      // Create a visualization container
-      const container = document.createElement('div');
-      container.className = 'visualization row-visualization';
+  getFooterExportRow() {
+    const exportRow = {};
+    
+    this.getFooterSummary().forEach(({ column, value, text }) => {
+      if (column.visible === false) return;
       
-      // Create horizontal bar chart for the row
-      const chart = this.createHorizontalBarChart(labels, values);
-      container.appendChild(chart);
+      // Keep plain numbers numeric so spreadsheets can use them
+      const config = this.getAggregateConfig(column.aggregate);
+      const plainNumber = config && typeof value === 'number' && !config.formatter && !column.aggregateFormatter;
       
-      // Add the visualization after the row
-      const nextRow = row.nextElementSibling;
-      if (nextRow) {
-        nextRow.parentNode.insertBefore(container, nextRow);
-      } else {
-        row.parentNode.appendChild(container);
-      }
+      exportRow[column.title || column.field] = plainNumber ? value : text;
     });
+    
+    return exportRow;
   }
   
   /**
-   * Create a horizontal bar chart
+   * Show a pivot of the data, or the source table again when config is null
+   * The config has row dimensions, column dimensions and value fields:
+   * { rows: ['region'], columns: ['year'], values: [{ field: 'sales', aggregate: 'sum' }] }
    */
-  createHorizontalBarChart(labels, values) {
-    const container = document.createElement('div');
-    container.className = 'horizontal-bar-chart';
-    container.style.width = '100%';
-    container.style.padding = '10px';
-    container.style.boxSizing = 'border-box';
+  setPivot(config) {
+    if (this.options.serverSide) {
+      console.warn('Pivot mode is only available for client-side data');
+      return;
+    }
     
-    // Find max value for scaling
-    const maxValue = Math.max(...values);
+    this.applyPivot(config);
     
-    // Create bars
-    labels.forEach((label, i) => {
-      const barContainer = document.createElement('div');
-      barContainer.className = 'bar-container';
-      barContainer.style.display = 'flex';
-      barContainer.style.alignItems = 'center';
-      barContainer.style.marginBottom = '5px';
+    // Reset view state
+    this.currentPage = 1;
+    this.loadedRows = 0;
+    this.hasMoreData = true;
+    
+    this.rebuildHeader();
+    this.tableContainer.classList.toggle('pivot-mode', !!this.pivotConfig);
+    this.updateClearFiltersButton();
+    
+    if (this.groupControlsElement) {
+      this.groupControlsElement.style.display = this.isGrouped() ? '' : 'none';
+    }
+    
+    if (this.searchElement) {
+      this.searchElement.querySelector('input').value = this.searchTerm;
+    }
+    
+    this.loadData();
+    this.emit('pivotChange', this.getPivot());
+  }
+  
+  /**
+   * Get the active pivot configuration, or null when not pivoting
+   */
+  getPivot() {
+    return this.pivotConfig ? { ...this.pivotConfig } : null;
+  }
+  
+  /**
+   * Swap the source columns and data for the pivoted ones, or restore them when config is null
+   * Subtotals are shown as group headers and grand totals in the summary footer.
+   */
+  applyPivot(config) {
+    if (config) {
+      if (!this.pivotSource) {
+        this.pivotSource = {
+          columns: this.options.columns,
+          data: this.originalData,
+          rowKey: this.options.rowKey,
+          groupBy: this.options.groupBy,
+          columnFilters: this.columnFilters,
+          searchTerm: this.searchTerm,
+          sortModel: this.sortModel
+        };
+      }
       
-      const labelElem = document.createElement('div');
-      labelElem.className = 'bar-label';
-      labelElem.textContent = label;
-      labelElem.style.width = '100px';
-      labelElem.style.overflow = 'hidden';
-      labelElem.style.textOverflow = 'ellipsis';
-      labelElem.style.whiteSpace = 'nowrap';
-      labelElem.style.marginRight = '10px';
+      this.pivotConfig = this.normalizePivot(config);
+      
+      const { columns, rows } = this.buildPivot(this.pivotSource.data, this.pivotConfig);
+      
+      this.options.columns = columns;
+      this.originalData = rows;
+      this.options.rowKey = null;
+      this.options.groupBy = this.pivotConfig.subtotals ? this.pivotConfig.rows.slice(0, -1) : [];
+      this.columnFilters = {};
+      this.searchTerm = '';
+      this.sortModel = [];
+    } else if (this.pivotSource) {
+      this.options.columns = this.pivotSource.columns;
+      this.originalData = this.pivotSource.data;
+      this.options.rowKey = this.pivotSource.rowKey;
+      this.options.groupBy = this.pivotSource.groupBy;
+      this.columnFilters = this.pivotSource.columnFilters;
+      this.searchTerm = this.pivotSource.searchTerm;
+      this.sortModel = this.pivotSource.sortModel;
+      this.pivotSource = null;
+      this.pivotConfig = null;
+    }
+    
+    this.groupToggles.clear();
+    this.groupVersion++;
+    this.invalidateWorkerData();
+    this.processClientData();
+  }
+  
+  /**
+   * Fill in the defaults of a pivot configuration
+   */
+  normalizePivot(config) {
+    const toList = value => (Array.isArray(value) ? value : [value]).filter(Boolean);
+    
+    return {
+      subtotals: true,
+      grandTotals: true,
+      drillDown: true,
+      ...config,
+      rows: toList(config.rows),
+      columns: toList(config.columns),
+      values: toList(config.values).map(value => (
+        typeof value === 'string' ? { field: value, aggregate: 'sum' } : { aggregate: 'sum', ...value }
+      ))
+    };
+  }
+  
+  /**
+   * Build the pivot columns and rows from the source data
+   * There is a column per value field and combination of column dimension values,
+   * and a row per combination of row dimension values.
+   */
+  buildPivot(data, pivot) {
+    const getSourceColumn = field => this.pivotSource.columns.find(column => column.field === field) || { field };
+    const getKey = (row, fields) => JSON.stringify(fields.map(field => (
+      row[field] === null || row[field] === undefined ? '' : String(row[field])
+    )));
+    
+    const combinations = new Map();
+    const rowGroups = new Map();
+    
+    data.forEach(row => {
+      const comboKey = getKey(row, pivot.columns);
       
-      const barWrapper = document.createElement('div');
-      barWrapper.className = 'bar-wrapper';
-      barWrapper.style.flex = '1';
-      barWrapper.style.height = '20px';
-      barWrapper.style.backgroundColor = '#f5f5f5';
-      barWrapper.style.borderRadius = '4px';
-      barWrapper.style.overflow = 'hidden';
+      if (!combinations.has(comboKey)) {
+        combinations.set(comboKey, pivot.columns.map(field => row[field]));
+      }
       
-      const bar = document.createElement('div');
-      bar.className = 'bar';
-      bar.style.height = '100%';
-      bar.style.width = `${(values[i] / maxValue) * 100}%`;
-      bar.style.backgroundColor = this.getColorForIndex(i);
+      this.pivotComboKeys.set(row, comboKey);
       
-      const valueElem = document.createElement('div');
-      valueElem.className = 'bar-value';
-      valueElem.textContent = values[i].toLocaleString();
-      valueElem.style.marginLeft = '5px';
-      valueElem.style.fontSize = '12px';
+      const rowKey = getKey(row, pivot.rows);
       
-      barWrapper.appendChild(bar);
-      barContainer.appendChild(labelElem);
-      barContainer.appendChild(barWrapper);
-      barContainer.appendChild(valueElem);
-      container.appendChild(barContainer);
+      if (!rowGroups.has(rowKey)) {
+        rowGroups.set(rowKey, { first: row, rows: [] });
+      }
+      
+      rowGroups.get(rowKey).rows.push(row);
     });
     
-    return container;
-  }
-  
-  /**
-   * Render visualizations for columns
-   */
-  renderColumnVisualizations() {
-    // Find columns with numeric data
-    const numericColumns = [];
+    // Order the column combinations by their values, empty values last
+    const comboList = Array.from(combinations.entries());
     
-    this.options.columns.forEach((column, index) => {
-      let numericCount = 0;
-      
-      // Count numeric values in the column
-      this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-        const rowData = row._data;
-        if (rowData && rowData[column.field] !== undefined && !isNaN(parseFloat(rowData[column.field]))) {
-          numericCount++;
+    comboList.sort(([, valuesA], [, valuesB]) => {
+      for (let i = 0; i < pivot.columns.length; i++) {
+        const column = getSourceColumn(pivot.columns[i]);
+        const valA = this.getSortValue({ [column.field]: valuesA[i] }, column);
+        const valB = this.getSortValue({ [column.field]: valuesB[i] }, column);
+        
+        if (valA === null || valB === null) {
+          if (valA === null && valB === null) continue;
+          return valA === null ? 1 : -1;
         }
+        
+        const result = this.compareValues(valA, valB, column);
+        if (result !== 0) return result;
+      }
+      
+      return 0;
+    });
+    
+    // Row dimension columns keep the look of their source columns
+    const columns = pivot.rows.map(field => {
+      const { title, type, parse, render, width, className } = getSourceColumn(field);
+      return { field, title, type, parse, render, width, className };
+    });
+    
+    const cells = [];
+    
+    const getSourceRows = pivotRows => {
+      const sourceRows = [];
+      pivotRows.forEach(row => (this.pivotSourceRows.get(row) || []).forEach(sourceRow => sourceRows.push(sourceRow)));
+      return sourceRows;
+    };
+    
+    const getValueTitle = value => {
+      if (value.title) return value.title;
+      
+      const sourceColumn = getSourceColumn(value.field);
+      const aggregate = typeof value.aggregate === 'string' 
+        ? value.aggregate.charAt(0).toUpperCase() + value.aggregate.slice(1) 
+        : 'Value';
+      
+      return `${aggregate} of ${sourceColumn.title || value.field}`;
+    };
+    
+    const addValueColumn = (title, value, comboKey, comboValues) => {
+      const sourceColumn = getSourceColumn(value.field);
+      const formatter = value.formatter || sourceColumn.aggregateFormatter;
+      const field = `pivot_${columns.length}`;
+      
+      // Aggregate the source rows of a pivot cell, subtotal or total
+      const aggregateRows = sourceRows => this.computeAggregate(
+        value.aggregate,
+        comboKey === null ? sourceRows : sourceRows.filter(row => this.pivotComboKeys.get(row) === comboKey),
+        sourceColumn
+      );
+      
+      const aggregate = { type: (values, pivotRows) => aggregateRows(getSourceRows(pivotRows)), formatter };
+      
+      columns.push({
+        field,
+        title,
+        type: 'number',
+        className: 'pivot-value',
+        render: cellValue => this.formatAggregate(cellValue, sourceColumn, formatter),
+        groupAggregate: pivot.subtotals ? aggregate : null,
+        aggregate: pivot.grandTotals ? aggregate : null,
+        pivotValues: comboValues
       });
       
-      if (numericCount >= this.options.visualizationThreshold) {
-        numericColumns.push({ column, index });
-      }
+      cells.push({ field, aggregateRows });
+    };
+    
+    comboList.forEach(([comboKey, comboValues]) => {
+      const comboLabel = comboValues
+        .map(value => (value === null || value === undefined || value === '' ? '(empty)' : value))
+        .join(' / ');
+      
+      pivot.values.forEach(value => {
+        let title = getValueTitle(value);
+        
+        if (pivot.columns.length > 0) {
+          title = pivot.values.length > 1 ? `${comboLabel} · ${title}` : comboLabel;
+        }
+        
+        addValueColumn(title, value, comboKey, comboValues);
+      });
     });
     
-    // For each numeric column, add a visualization
-    numericColumns.forEach(({ column, index }) => {
-      this.createColumnVisualization(column, index);
+    // Row totals across the column dimensions
+    if (pivot.grandTotals && pivot.columns.length > 0) {
+      pivot.values.forEach(value => {
+        addValueColumn(pivot.values.length > 1 ? `Total ${getValueTitle(value)}` : 'Total', value, null, null);
+      });
+    }
+    
+    const rows = Array.from(rowGroups.values()).map(({ first, rows: sourceRows }) => {
+      const row = {};
+      
+      pivot.rows.forEach(field => {
+        row[field] = first[field];
+      });
+      
+      cells.forEach(({ field, aggregateRows }) => {
+        row[field] = aggregateRows(sourceRows);
+      });
+      
+      this.pivotSourceRows.set(row, sourceRows);
+      return row;
     });
+    
+    return { columns, rows };
   }
   
   /**
-   * Create visualization for a column
+   * Leave pivot mode and filter the source table to the rows behind a pivot cell
+   * The row dimensions of the pivot row are always used, and the column dimensions
+   * too when the field is a pivot value column.
    */
-  createColumnVisualization(column, columnIndex) {
-    // Collect all numeric values for this column
-    const values = [];
+  drillDown(row, field) {
+    if (!this.pivotConfig || !row) return;
     
-    this.tableElement.querySelectorAll('tbody tr').forEach(row => {
-      const rowData = row._data;
-      if (rowData && rowData[column.field] !== undefined && !isNaN(parseFloat(rowData[column.field]))) {
-        values.push(parseFloat(rowData[column.field]));
-      }
-    });
+    const pivot = this.pivotConfig;
+    const values = {};
     
-    if (values.length === 0) return;
+    pivot.rows.forEach(dimension => {
+      values[dimension] = row[dimension];
+    });
     
-    // Calculate statistics
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const sum = values.reduce((a, b) => a + b, 0);
-    const avg = sum / values.length;
+    const column = this.options.columns.find(col => col.field === field);
     
-    // Create visualization container
-    const visContainer = document.createElement('div');
-    visContainer.className = 'visualization column-visualization';
-    visContainer.style.position = 'absolute';
-    visContainer.style.top = '-40px';
-    visContainer.style.left = '0';
-    visContainer.style.right = '0';
-    visContainer.style.height = '40px';
-    visContainer.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
-    visContainer.style.borderBottom = '1px solid #ddd';
-    visContainer.style.display = 'flex';
-    visContainer.style.alignItems = 'center';
-    visContainer.style.justifyContent = 'center';
-    visContainer.style.fontSize = '12px';
+    if (column && column.pivotValues) {
+      pivot.columns.forEach((dimension, index) => {
+        values[dimension] = column.pivotValues[index];
+      });
+    }
     
-    // Create sparkline
-    const sparklineContainer = document.createElement('div');
-    sparklineContainer.style.width = '80px';
-    sparklineContainer.style.height = '30px';
-    sparklineContainer.style.marginRight = '10px';
+    if (this.emit('beforeDrillDown', values) === false) return;
     
-    // Create SVG for sparkline
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', '80');
-    svg.setAttribute('height', '30');
-    svg.setAttribute('viewBox', `0 0 ${values.length} 100`);
+    const filters = {};
     
-    // Create sparkline path
-    let pathD = '';
-    values.forEach((value, i) => {
-      const x = i * (80 / values.length);
-      const y = 30 - ((value - min) / (max - min) * 30);
+    Object.keys(values).forEach(dimension => {
+      const sourceColumn = this.pivotSource.columns.find(col => col.field === dimension) || { field: dimension };
+      const filter = this.getDrillDownFilter(sourceColumn, values[dimension]);
       
-      if (i === 0) {
-        pathD += `M ${x},${y}`;
-      } else {
-        pathD += ` L ${x},${y}`;
+      if (!this.isFilterEmpty(filter)) {
+        filters[dimension] = filter;
       }
     });
     
-    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    path.setAttribute('d', pathD);
-    path.setAttribute('stroke', '#2196F3');
-    path.setAttribute('stroke-width', '2');
-    path.setAttribute('fill', 'none');
-    
-    svg.appendChild(path);
-    sparklineContainer.appendChild(svg);
+    // Apply the filters to the restored source table
+    this.pivotSource.columnFilters = { ...this.pivotSource.columnFilters, ...filters };
+    this.setPivot(null);
     
-    // Create stats container
-    const statsContainer = document.createElement('div');
-    statsContainer.style.display = 'flex';
-    statsContainer.style.flexDirection = 'column';
-    statsContainer.style.fontSize = '10px';
-    statsContainer.style.textAlign = 'left';
+    this.emit('drillDown', values, this.getFilters());
+  }
+  
+  /**
+   * Get a column filter matching a single value, in the shape of the column's filter type
+   */
+  getDrillDownFilter(column, value) {
+    const config = this.getFilterConfig(column) || { type: 'text' };
+    
+    // The "(empty)" dimension value matches rows without a value
+    if (value === null || value === undefined || value === '') {
+      return { empty: true };
+    }
+    
+    switch (config.type) {
+      case 'number':
+        return { min: value, max: value };
+      case 'date':
+        return { from: value, to: value };
+      case 'select':
+        return { values: [value] };
+      case 'boolean':
+        return { value: this.parseValue(value, column, 'boolean') };
+      default:
+        return { value: value === null || value === undefined ? '' : String(value), operator: 'equals' };
+    }
+  }
+  
+  /**
+   * Index the tree: children, parents and top-level rows
+   * Uses the children field, or the parent field when treeParentField is set.
+   */
+  buildTree() {
+    const childrenField = this.options.treeChildrenField;
+    const parentField = this.options.treeParentField;
     
-    const avgElem = document.createElement('div');
-    avgElem.textContent = `Avg: ${avg.toFixed(2)}`;
+    // Server-side trees are built from the loaded page rows
+    const source = this.options.serverSide ? this.treePageRows : this.originalData;
     
-    const rangeElem = document.createElement('div');
-    rangeElem.textContent = `Range: ${min.toFixed(2)} - ${max.toFixed(2)}`;
+    this.treeChildren = new WeakMap();
+    this.treeParents = new WeakMap();
     
-    statsContainer.appendChild(avgElem);
-    statsContainer.appendChild(rangeElem);
+    if (parentField) {
+      // Flat rows pointing at their parent
+      const rowsByKey = new Map();
+      source.forEach(row => rowsByKey.set(String(this.getRowKey(row)), row));
+      
+      this.treeRoots = [];
+      
+      source.forEach(row => {
+        const parentKey = row[parentField];
+        const parent = parentKey === null || parentKey === undefined ? null : rowsByKey.get(String(parentKey));
+        
+        if (parent && parent !== row) {
+          if (!this.treeChildren.has(parent)) this.treeChildren.set(parent, []);
+          this.treeChildren.get(parent).push(row);
+          this.treeParents.set(row, parent);
+        } else {
+          this.treeRoots.push(row);
+        }
+      });
+      
+      return;
+    }
     
-    visContainer.appendChild(sparklineContainer);
-    visContainer.appendChild(statsContainer);
+    // Nested rows
+    const addChildren = row => {
+      const children = Array.isArray(row[childrenField]) ? row[childrenField] : [];
+      this.treeChildren.set(row, children);
+      
+      children.forEach(child => {
+        this.treeParents.set(child, row);
+        addChildren(child);
+      });
+    };
     
-    // Add visualization to header
-    const header = this.tableElement.querySelector(`th:nth-child(${columnIndex + 1})`);
-    if (header) {
-      header.style.position = 'relative';
-      header.appendChild(visContainer);
-    }
+    this.treeRoots = [...source];
+    this.treeRoots.forEach(addChildren);
   }
   
   /**
-   * Render summary visualizations for the entire table
+   * Get the child rows of a tree row
    */
-  renderSummaryVisualizations() {
-    // Create a container for the visualizations
-    if (!this.summaryVisualizationsElement) {
-      this.summaryVisualizationsElement = document.createElement('div');
-      this.summaryVisualizationsElement.className = 'summary-visualizations';
-      this.summaryVisualizationsElement.style.padding = '20px';
-      this.summaryVisualizationsElement.style.backgroundColor = '#fff';
-      this.summaryVisualizationsElement.style.border = '1px solid #ddd';
-      this.summaryVisualizationsElement.style.borderRadius = '4px';
-      this.summaryVisualizationsElement.style.marginTop = '20px';
-      
-      this.tableContainer.appendChild(this.summaryVisualizationsElement);
-    } else {
-      this.summaryVisualizationsElement.innerHTML = '';
-    }
+  getTreeChildren(row) {
+    return this.treeChildren.get(row) || [];
+  }
+  
+  /**
+   * Get all tree rows, parents before their children
+   */
+  getTreeRows() {
+    const rows = [];
     
-    // Find numeric columns
-    const numericColumns = this.options.columns.filter(column => {
-      let hasNumericValues = false;
-      for (const row of this.originalData) {
-        if (row[column.field] !== undefined && !isNaN(parseFloat(row[column.field]))) {
-          hasNumericValues = true;
-          break;
-        }
-      }
-      return hasNumericValues;
-    });
-    
-    if (numericColumns.length === 0) {
-      this.summaryVisualizationsElement.textContent = 'No numeric data to visualize';
-      return;
-    }
-    
-    // Create a title
-    const title = document.createElement('h3');
-    title.textContent = 'Data Visualizations';
-    title.style.margin = '0 0 20px 0';
+    const addRows = siblings => {
+      siblings.forEach(row => {
+        rows.push(row);
+        addRows(this.getTreeChildren(row));
+      });
+    };
     
-    this.summaryVisualizationsElement.appendChild(title);
+    addRows(this.treeRoots);
+    return rows;
+  }
+  
+  /**
+   * Check whether a tree row has children, loaded or still to be loaded
+   */
+  hasTreeChildren(row) {
+    if (this.getTreeChildren(row).length > 0) return true;
     
-    // Create tabs for different types of visualizations
-    const tabContainer = document.createElement('div');
-    tabContainer.className = 'tabs-container';
-    tabContainer.style.marginBottom = '20px';
+    return !!this.options.treeLazy && !!row[this.options.treeHasChildrenField] && 
+      !this.treeLoaded.has(String(this.getRowKey(row)));
+  }
+  
+  /**
+   * Check whether a tree row is expanded
+   */
+  isTreeRowExpanded(row) {
+    const key = String(this.getRowKey(row));
+    return this.treeToggles.has(key) ? this.treeToggles.get(key) : this.options.treeExpanded;
+  }
+  
+  /**
+   * Build the visible tree rows in display order
+   * Siblings are sorted by the sort model. While searching or filtering,
+   * matching rows are shown with all their ancestors expanded.
+   */
+  buildTreeView() {
+    this.buildTree();
     
-    const tabContent = document.createElement('div');
-    tabContent.className = 'tab-content';
+    let visible = null;
     
-    const tabs = ['Bar Chart', 'Line Chart', 'Distribution'];
+    // The server searches and filters server-side trees
+    const filtered = (this.searchTerm && this.searchTerm.trim() !== '') || Object.keys(this.columnFilters).length > 0;
     
-    const tabButtons = tabs.map((tabName, index) => {
-      const button = document.createElement('button');
-      button.textContent = tabName;
-      button.className = index === 0 ? 'active' : '';
-      button.style.padding = '10px 15px';
-      button.style.border = '1px solid #ddd';
-      button.style.borderBottom = 'none';
-      button.style.backgroundColor = index === 0 ? '#fff' : '#f5f5f5';
-      button.style.borderRadius = '4px 4px 0 0';
-      button.style.marginRight = '5px';
-      button.style.cursor = 'pointer';
+    if (filtered && !this.options.serverSide) {
+      let matches = this.filterData(this.getTreeRows(), this.searchTerm);
       
-      button.addEventListener('click', () => {
-        // Deactivate all tabs
-        tabButtons.forEach(btn => {
-          btn.classList.remove('active');
-          btn.style.backgroundColor = '#f5f5f5';
-        });
-        
-        // Activate clicked tab
-        button.classList.add('active');
-        button.style.backgroundColor = '#fff';
+      if (Object.keys(this.columnFilters).length > 0) {
+        matches = matches.filter(row => this.matchesColumnFilters(row));
+      }
+      
+      // Keep the ancestors of matching rows visible
+      visible = new Set();
+      
+      matches.forEach(row => {
+        let node = row;
         
-        // Show corresponding content
-        this.showTabContent(tabName, numericColumns);
+        while (node && !visible.has(node)) {
+          visible.add(node);
+          node = this.treeParents.get(node);
+        }
       });
-      
-      return button;
-    });
+    }
     
-    tabButtons.forEach(button => tabContainer.appendChild(button));
+    const rows = [];
     
-    this.summaryVisualizationsElement.appendChild(tabContainer);
-    this.summaryVisualizationsElement.appendChild(tabContent);
+    const addRows = (siblings, level) => {
+      let list = visible ? siblings.filter(row => visible.has(row)) : siblings;
+      
+      if (this.sortModel.length > 0) {
+        list = this.sortData(list, this.sortModel);
+      }
+      
+      list.forEach(row => {
+        rows.push(row);
+        this.treeLevels.set(row, level);
+        
+        if (visible || this.isTreeRowExpanded(row)) {
+          addRows(this.getTreeChildren(row), level + 1);
+        }
+      });
+    };
     
-    // Show initial tab content
-    this.showTabContent('Bar Chart', numericColumns);
+    addRows(this.treeRoots, 0);
+    return rows;
   }
   
   /**
-   * Show specific tab content in summary visualizations
+   * Indent the first visible cell of a tree row and add its expand/collapse toggle
    */
-  showTabContent(tabName, numericColumns) {
-    const tabContent = this.summaryVisualizationsElement.querySelector('.tab-content');
-    tabContent.innerHTML = '';
+  addTreeToggle(tr, row) {
+    const level = this.treeLevels.get(row) || 0;
+    const hasChildren = this.hasTreeChildren(row);
+    const expanded = hasChildren && this.isTreeRowExpanded(row);
     
-    switch (tabName) {
-      case 'Bar Chart':
-        this.createSummaryBarChart(tabContent, numericColumns);
-        break;
-      case 'Line Chart':
-        this.createSummaryLineChart(tabContent, numericColumns);
-        break;
-      case 'Distribution':
-        this.createSummaryDistribution(tabContent, numericColumns);
-        break;
+    tr.classList.add('tree-row');
+    tr.setAttribute('aria-level', level + 1);
+    
+    if (hasChildren) {
+      tr.setAttribute('aria-expanded', expanded);
+    }
+    
+    const columnIndex = this.options.columns.findIndex(column => column.visible !== false);
+    const cell = tr.cells[columnIndex === -1 ? 0 : columnIndex];
+    if (!cell) return;
+    
+    cell.classList.add('tree-cell');
+    cell.style.paddingLeft = `${8 + level * this.options.treeIndent}px`;
+    
+    const toggle = document.createElement('span');
+    toggle.className = 'tree-toggle';
+    
+    if (this.treeLoading.has(String(this.getRowKey(row)))) {
+      toggle.classList.add('loading');
+      toggle.textContent = '…';
+    } else if (hasChildren) {
+      toggle.textContent = expanded ? '▾' : '▸';
+    } else {
+      toggle.classList.add('leaf');
     }
+    
+    cell.insertBefore(toggle, cell.firstChild);
   }
   
   /**
-   * Create a bar chart for the summary visualization
+   * Expand or collapse a tree row by its key, loading lazy children first
+   * Without an expanded flag, the row is toggled
    */
-  createSummaryBarChart(container, numericColumns) {
-    // If more than one column, create a dropdown to select the column
-    const columnSelectContainer = document.createElement('div');
-    columnSelectContainer.style.marginBottom = '20px';
+  toggleTreeRow(key, expanded) {
+    const row = this.findRowByKey(key);
+    if (!row) return;
     
-    const columnSelect = document.createElement('select');
-    columnSelect.className = 'column-select';
+    const isExpanded = expanded === undefined ? !this.isTreeRowExpanded(row) : !!expanded;
+    this.treeToggles.set(String(key), isExpanded);
     
-    numericColumns.forEach((column, index) => {
-      const option = document.createElement('option');
-      option.value = column.field;
-      option.textContent = column.title || column.field;
-      option.selected = index === 0;
-      columnSelect.appendChild(option);
-    });
+    if (isExpanded && this.getTreeChildren(row).length === 0 && this.hasTreeChildren(row)) {
+      this.loadTreeChildren(row);
+    }
     
-    columnSelectContainer.appendChild(columnSelect);
-    container.appendChild(columnSelectContainer);
+    this.refreshTree();
+    this.emit('treeToggle', row, isExpanded);
+  }
+  
+  /**
+   * Expand all loaded tree rows
+   */
+  expandAllRows() {
+    this.treeToggles.clear();
+    this.options.treeExpanded = true;
+    this.refreshTree();
+  }
+  
+  /**
+   * Collapse all tree rows
+   */
+  collapseAllRows() {
+    this.treeToggles.clear();
+    this.options.treeExpanded = false;
+    this.refreshTree();
+  }
+  
+  /**
+   * Load the children of a tree row, from treeLazy when it is a function or from serverUrl
+   */
+  loadTreeChildren(row) {
+    const key = String(this.getRowKey(row));
+    if (this.treeLoading.has(key)) return;
     
-    // Create chart container
-    const chartContainer = document.createElement('div');
-    chartContainer.className = 'bar-chart-container';
-    chartContainer.style.height = '300px';
-    chartContainer.style.width = '100%';
-    chartContainer.style.overflowX = 'auto';
-    chartContainer.style.overflowY = 'hidden';
+    this.treeLoading.add(key);
     
-    container.appendChild(chartContainer);
+    let request;
     
-    // Function to create the bar chart
-    const createChart = (field) => {
-      chartContainer.innerHTML = '';
-      
-      // Collect data for the selected column
-      const dataPoints = this.originalData
-        .filter(row => row[field] !== undefined && !isNaN(parseFloat(row[field])))
-        .map(row => ({
-          label: row[this.options.columns[0].field] || '',
-          value: parseFloat(row[field])
-        }))
-        .sort((a, b) => b.value - a.value) // Sort by value descending
-        .slice(0, 20); // Limit to top 20
-      
-      if (dataPoints.length === 0) {
-        chartContainer.textContent = 'No numeric data to display';
-        return;
-      }
-      
-      // Find max value for scaling
-      const maxValue = Math.max(...dataPoints.map(dp => dp.value));
-      
-      // Create SVG for the chart
-      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      svg.setAttribute('width', '100%');
-      svg.setAttribute('height', '300');
-      svg.style.display = 'block';
+    if (typeof this.options.treeLazy === 'function') {
+      request = Promise.resolve(this.options.treeLazy(row))
+        .then(result => (Array.isArray(result) ? result : (result && (result.items || result.data)) || []));
+    } else {
+      // Child rows are requested and read through the server protocol, with the timeout and retries of page loads
+      const serverRequest = this.getServerRequest(this.getRowKey(row));
       
-      // Add horizontal grid lines
-      for (let i = 0; i <= 4; i++) {
-        const y = 250 - (i * 250 / 4);
-        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        gridLine.setAttribute('x1', '40');
-        gridLine.setAttribute('y1', y);
-        gridLine.setAttribute('x2', '100%');
-        gridLine.setAttribute('y2', y);
-        gridLine.setAttribute('stroke', '#e0e0e0');
-        gridLine.setAttribute('stroke-width', '1');
-        svg.appendChild(gridLine);
+      if (!this.treeLoadController) {
+        this.treeLoadController = new AbortController();
       }
       
-      // Calculate bar width
-      const barWidth = Math.min(40, (chartContainer.offsetWidth - 50) / dataPoints.length - 10);
-      
-      // Draw bars
-      dataPoints.forEach((dataPoint, i) => {
-        const x = 40 + (i * ((chartContainer.offsetWidth - 50) / dataPoints.length));
-        const height = (dataPoint.value / maxValue) * 250;
-        const y = 250 - height;
+      request = this.fetchServerWithRetry(this.buildServerParams(serverRequest), this.treeLoadController.signal)
+        .then(data => (Array.isArray(data) 
+          ? data 
+          : (this.getServerAdapter().parseResponse(data, serverRequest, this) || {}).items || []));
+    }
+    
+    request
+      .then(children => {
+        if (this.options.treeParentField) {
+          // Flat rows join the data and point at their parent
+          children.forEach(child => {
+            if (child[this.options.treeParentField] === undefined) {
+              child[this.options.treeParentField] = this.getRowKey(row);
+            }
+          });
+          
+          (this.options.serverSide ? this.treePageRows : this.originalData).push(...children);
+        } else {
+          row[this.options.treeChildrenField] = children;
+        }
         
-        // Create bar
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', x);
-        rect.setAttribute('y', y);
-        rect.setAttribute('width', barWidth);
-        rect.setAttribute('height', height);
-        rect.setAttribute('fill', this.getColorForIndex(i));
+        this.treeLoaded.add(key);
+        this.emit('childrenLoad', row, children);
+      })
+      .catch(error => {
+        this.treeToggles.set(key, false);
         
-        // Add value text
-        const valueText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        valueText.setAttribute('x', x + barWidth / 2);
-        valueText.setAttribute('y', y - 5);
-        valueText.setAttribute('text-anchor', 'middle');
-        valueText.setAttribute('font-size', '12');
-        valueText.textContent = dataPoint.value.toLocaleString();
+        // Child loads are cancelled when the tree rows are replaced
+        if (error.name === 'AbortError') return;
         
-        // Add label text
-        const labelText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        labelText.setAttribute('x', x + barWidth / 2);
-        labelText.setAttribute('y', 295);
-        labelText.setAttribute('text-anchor', 'middle');
-        labelText.setAttribute('font-size', '10');
-        labelText.setAttribute('transform', `rotate(45, ${x + barWidth / 2}, 295)`);
-        labelText.textContent = dataPoint.label.toString().substring(0, 15);
+        console.error('Error loading child rows:', error);
+        this.emit('error', error);
+      })
+      .then(() => {
+        this.treeLoading.delete(key);
         
-        svg.appendChild(rect);
-        svg.appendChild(valueText);
-        svg.appendChild(labelText);
+        if (this.tableElement) {
+          this.refreshTree();
+        }
       });
-      
-      chartContainer.appendChild(svg);
-    };
+  }
+  
+  /**
+   * Re-render the tree rows, keeping the current page or loaded rows
+   */
+  refreshTree() {
+    // Server-side trees re-render the loaded rows, reloading would drop loaded children
+    if (this.options.serverSide) {
+      this.options.data = this.buildTreeView();
+      this.renderData(this.getDisplayRows());
+      return;
+    }
     
-    // Initial chart creation
-    createChart(columnSelect.value);
+    this.invalidateWorkerData();
+    this.processClientData();
+    this.loadData();
+  }
+  
+  /**
+   * Check whether the detail row of a row is expanded
+   */
+  isDetailExpanded(row) {
+    const key = String(this.getRowKey(row));
+    return this.detailToggles.has(key) ? this.detailToggles.get(key) : this.detailsExpanded;
+  }
+  
+  /**
+   * Add the detail expand/collapse button to the first visible cell of a row
+   */
+  addDetailToggle(tr, row) {
+    const columnIndex = this.options.columns.findIndex(column => column.visible !== false);
+    const cell = tr.cells[columnIndex === -1 ? 0 : columnIndex];
+    if (!cell) return;
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'detail-toggle';
+    toggle.tabIndex = -1;
+    toggle.setAttribute('aria-label', 'Toggle details');
+    
+    cell.insertBefore(toggle, cell.firstChild);
+    this.updateDetailToggle(tr, row);
+  }
+  
+  /**
+   * Show the expanded state of a row's detail on the row and its toggle
+   */
+  updateDetailToggle(tr, row) {
+    const expanded = this.isDetailExpanded(row);
+    const toggle = tr.querySelector('.detail-toggle');
     
-    // Update chart when column selection changes
-    columnSelect.addEventListener('change', (e) => {
-      createChart(e.target.value);
-    });
+    tr.setAttribute('aria-expanded', expanded);
+    
+    if (toggle) {
+      toggle.textContent = expanded ? '−' : '+';
+      toggle.setAttribute('aria-expanded', expanded);
+    }
   }
   
   /**
-   * Create a line chart for the summary visualization
+   * Insert detail rows after the rendered rows whose detail is expanded
    */
-  createSummaryLineChart(container, numericColumns) {
-    // Create column selection checkboxes
-    const columnSelectContainer = document.createElement('div');
-    columnSelectContainer.style.marginBottom = '20px';
-    columnSelectContainer.style.display = 'flex';
-    columnSelectContainer.style.flexWrap = 'wrap';
-    columnSelectContainer.style.gap = '10px';
+  renderDetailRows() {
+    if (typeof this.options.detailRenderer !== 'function' || !this.tableElement) return;
     
-    const selectedColumns = [];
+    const tbody = this.tableElement.querySelector('tbody');
+    tbody.querySelectorAll(':scope > tr.detail-row').forEach(tr => tr.remove());
     
-    numericColumns.forEach((column, index) => {
-      const checkboxContainer = document.createElement('label');
-      checkboxContainer.style.display = 'flex';
-      checkboxContainer.style.alignItems = 'center';
+    Array.from(tbody.rows).forEach(tr => {
+      if (!tr._data) return;
       
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.value = column.field;
-      checkbox.checked = index < 3; // Select first 3 by default
+      this.updateDetailToggle(tr, tr._data);
       
-      if (checkbox.checked) {
-        selectedColumns.push(column.field);
+      if (this.isDetailExpanded(tr._data)) {
+        tr.after(this.createDetailRow(tr._data));
       }
+    });
+  }
+  
+  /**
+   * Create the detail row of a row, reusing its content when it was rendered before
+   */
+  createDetailRow(row) {
+    const key = String(this.getRowKey(row));
+    let content = this.detailElements.get(key);
+    let created = false;
+    
+    if (!content) {
+      content = document.createElement('div');
+      content.className = 'detail-content';
       
-      const colorIndicator = document.createElement('span');
-      colorIndicator.style.display = 'inline-block';
-      colorIndicator.style.width = '12px';
-      colorIndicator.style.height = '12px';
-      colorIndicator.style.backgroundColor = this.getColorForIndex(index);
-      colorIndicator.style.marginRight = '5px';
-      colorIndicator.style.marginLeft = '5px';
-      
-      const label = document.createElement('span');
-      label.textContent = column.title || column.field;
+      const result = this.options.detailRenderer(row, content);
       
-      checkbox.addEventListener('change', () => {
-        if (checkbox.checked) {
-          selectedColumns.push(column.field);
-        } else {
-          const index = selectedColumns.indexOf(column.field);
-          if (index !== -1) {
-            selectedColumns.splice(index, 1);
-          }
-        }
-        
-        updateChart();
-      });
+      if (typeof result === 'string') {
+        content.innerHTML = result;
+      } else if (result instanceof Node) {
+        content.appendChild(result);
+      }
       
-      checkboxContainer.appendChild(checkbox);
-      checkboxContainer.appendChild(colorIndicator);
-      checkboxContainer.appendChild(label);
-      columnSelectContainer.appendChild(checkboxContainer);
-    });
+      this.detailElements.set(key, content);
+      created = true;
+    }
     
-    container.appendChild(columnSelectContainer);
+    const tr = document.createElement('tr');
+    tr.className = 'detail-row';
+    tr.setAttribute('data-detail-key', key);
     
-    // Create chart container
-    const chartContainer = document.createElement('div');
-    chartContainer.className = 'line-chart-container';
-    chartContainer.style.height = '300px';
-    chartContainer.style.width = '100%';
+    const td = document.createElement('td');
+    td.colSpan = this.options.columns.length;
+    td.appendChild(content);
+    tr.appendChild(td);
     
-    container.appendChild(chartContainer);
+    if (created) {
+      this.emit('detailOpen', row, content, key);
+    }
     
-    // Function to update the chart
-    const updateChart = () => {
-      chartContainer.innerHTML = '';
-      
-      if (selectedColumns.length === 0) {
-        chartContainer.textContent = 'Select at least one column to display';
-        return;
+    return tr;
+  }
+  
+  /**
+   * Open or close the detail row of a row by its key
+   * Without an expanded flag, the detail is toggled
+   */
+  toggleDetail(key, expanded) {
+    const row = this.findRowByKey(key);
+    if (!row) return;
+    
+    const isExpanded = expanded === undefined ? !this.isDetailExpanded(row) : !!expanded;
+    if (isExpanded === this.isDetailExpanded(row)) return;
+    
+    // Content rendered before is shown again, so announce the reopening here
+    const reopened = isExpanded && this.detailElements.has(String(key));
+    
+    this.detailToggles.set(String(key), isExpanded);
+    this.refreshDetails();
+    
+    if (reopened) {
+      this.emit('detailOpen', row, this.detailElements.get(String(key)), key);
+    } else if (!isExpanded) {
+      this.emit('detailClose', row, key);
+    }
+  }
+  
+  /**
+   * Open the detail rows of all rows
+   */
+  expandAll() {
+    this.detailToggles.clear();
+    this.detailsExpanded = true;
+    this.refreshDetails();
+  }
+  
+  /**
+   * Close the detail rows of all rows
+   */
+  collapseAll() {
+    this.detailToggles.clear();
+    this.detailsExpanded = false;
+    this.refreshDetails();
+  }
+  
+  /**
+   * Update the detail rows without re-rendering the data rows
+   */
+  refreshDetails() {
+    if (this.isVirtualScroll()) {
+      // Row offsets change with the detail heights
+      this.virtualOffsets = null;
+      this.virtualRange = null;
+      this.renderVirtualRows();
+    } else {
+      this.renderDetailRows();
+    }
+  }
+  
+  /**
+   * Create the toolbar area with the selection count and bulk actions
+   */
+  createBulkActions() {
+    this.bulkActionsElement = document.createElement('div');
+    this.bulkActionsElement.className = 'bulk-actions';
+    this.bulkActionsElement.style.display = 'none';
+    
+    const count = document.createElement('span');
+    count.className = 'selection-count';
+    this.bulkActionsElement.appendChild(count);
+    
+    const selectAllBtn = document.createElement('button');
+    selectAllBtn.className = 'select-all-matching-btn';
+    selectAllBtn.addEventListener('click', () => this.selectAllMatchingRows());
+    this.bulkActionsElement.appendChild(selectAllBtn);
+    
+    const clearBtn = document.createElement('button');
+    clearBtn.textContent = 'Clear selection';
+    clearBtn.className = 'clear-selection-btn';
+    clearBtn.addEventListener('click', () => this.clearSelection());
+    this.bulkActionsElement.appendChild(clearBtn);
+    
+    (this.options.bulkActions || []).forEach(item => {
+      const actionBtn = document.createElement('button');
+      actionBtn.textContent = item.icon ? `${item.icon} ${item.text}` : item.text;
+      actionBtn.className = 'bulk-action-btn';
+      
+      if (item.className) {
+        actionBtn.classList.add(item.className);
       }
       
-      // Collect data for each selected column
-      const dataSeriesList = [];
-      
-      selectedColumns.forEach(field => {
-        const dataSeries = this.originalData
-          .filter(row => row[field] !== undefined && !isNaN(parseFloat(row[field])))
-          .map((row, index) => ({
-            x: index,
-            y: parseFloat(row[field])
-          }));
-          
-        dataSeriesList.push({
-          field,
-          data: dataSeries
-        });
-      });
-      
-      // Find overall min and max values
-      let allValues = [];
-      dataSeriesList.forEach(series => {
-        allValues = allValues.concat(series.data.map(d => d.y));
+      actionBtn.addEventListener('click', () => {
+        if (typeof item.action === 'function') {
+          item.action(this.getSelectedRows(), this.getSelection());
+        }
       });
       
-      const minValue = Math.min(...allValues);
-      const maxValue = Math.max(...allValues);
-      
-      // Create SVG for the chart
-      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      svg.setAttribute('width', '100%');
-      svg.setAttribute('height', '300');
-      svg.style.display = 'block';
-      
-      // Add a grid
-      for (let i = 0; i <= 4; i++) {
-        const y = 250 - (i * 250 / 4);
-        
-        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        gridLine.setAttribute('x1', '40');
-        gridLine.setAttribute('y1', y);
-        gridLine.setAttribute('x2', '100%');
-        gridLine.setAttribute('y2', y);
-        gridLine.setAttribute('stroke', '#e0e0e0');
-        gridLine.setAttribute('stroke-width', '1');
-        
-        svg.appendChild(gridLine);
-      }
-      
-      // Draw each data series
-      dataSeriesList.forEach((series, seriesIndex) => {
-        const column = numericColumns.find(col => col.field === series.field);
-        const color = this.getColorForIndex(numericColumns.indexOf(column));
-        
-        // Draw line
-        let pathD = '';
+      this.bulkActionsElement.appendChild(actionBtn);
+    });
+    
+    this.toolbarElement.appendChild(this.bulkActionsElement);
+  }
+  
+  /**
+   * Add the selection checkbox to the first visible cell of a row
+   */
+  addSelectionCheckbox(tr) {
+    const columnIndex = this.options.columns.findIndex(column => column.visible !== false);
+    const cell = tr.cells[columnIndex === -1 ? 0 : columnIndex];
+    if (!cell) return;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'row-select-checkbox';
+    checkbox.tabIndex = -1;
+    checkbox.setAttribute('aria-label', 'Select row');
+    
+    cell.insertBefore(checkbox, cell.firstChild);
+  }
+  
+  /**
+   * Show the selected state of a rendered row
+   */
+  updateRowSelection(tr) {
+    const selected = this.isRowSelected(tr._data);
+    const checkbox = tr.querySelector('.row-select-checkbox');
+    
+    tr.classList.toggle('selected', selected);
+    tr.setAttribute('aria-selected', selected);
+    
+    if (checkbox) {
+      checkbox.checked = selected;
+    }
+    
+    // Server-side pages bring new objects for rows that stay selected
+    if (selected && this.selectedRows.has(String(this.getRowKey(tr._data)))) {
+      this.selectedRows.set(String(this.getRowKey(tr._data)), tr._data);
+    }
+  }
+  
+  /**
+   * Update the select-all checkbox and the bulk actions for the current selection
+   */
+  updateSelectionControls() {
+    if (!this.options.selection || !this.tableElement) return;
+    
+    const pageRows = this.getPageRows();
+    const selectedOnPage = pageRows.filter(row => this.isRowSelected(row)).length;
+    const allOnPage = pageRows.length > 0 && selectedOnPage === pageRows.length;
+    const count = this.getSelectionCount();
+    
+    // The select-all checkbox sits in the first visible header cell
+    if (this.options.selection === 'multiple' && this.options.selectionCheckbox && this.tableElement.tHead) {
+      const columnIndex = this.options.columns.findIndex(column => column.visible !== false);
+      const header = this.tableElement.tHead.rows[0].cells[columnIndex === -1 ? 0 : columnIndex];
+      let checkbox = this.tableElement.tHead.querySelector('.select-all-checkbox');
+      
+      if (!checkbox) {
+        checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'select-all-checkbox';
+        checkbox.setAttribute('aria-label', 'Select all rows on this page');
         
-        series.data.forEach((point, i) => {
-          const x = 40 + (i * (chartContainer.offsetWidth - 50) / Math.max(series.data.length - 1, 1));
-          const y = 250 - ((point.y - minValue) / (maxValue - minValue) * 250);
-          
-          if (i === 0) {
-            pathD += `M ${x},${y}`;
+        // Don't sort when clicking the checkbox
+        checkbox.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) {
+            this.selectAll();
           } else {
-            pathD += ` L ${x},${y}`;
+            this.setRowsSelected(this.getPageRows(), false);
           }
         });
-        
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        path.setAttribute('d', pathD);
-        path.setAttribute('stroke', color);
-        path.setAttribute('stroke-width', '2');
-        path.setAttribute('fill', 'none');
-        
-        svg.appendChild(path);
-        
-        // Add data points
-        series.data.forEach((point, i) => {
-          const x = 40 + (i * (chartContainer.offsetWidth - 50) / Math.max(series.data.length - 1, 1));
-          const y = 250 - ((point.y - minValue) / (maxValue - minValue) * 250);
-          
-          const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-          circle.setAttribute('cx', x);
-          circle.setAttribute('cy', y);
-          circle.setAttribute('r', '3');
-          circle.setAttribute('fill', color);
-          
-          svg.appendChild(circle);
-        });
-      });
+      }
       
-      chartContainer.appendChild(svg);
-    };
+      if (header && checkbox.parentNode !== header) {
+        header.insertBefore(checkbox, header.firstChild);
+      }
+      
+      checkbox.checked = allOnPage;
+      checkbox.indeterminate = selectedOnPage > 0 && !allOnPage;
+    }
     
-    // Initial chart creation
-    updateChart();
+    if (this.bulkActionsElement) {
+      const matching = this.getMatchingCount();
+      const selectAllBtn = this.bulkActionsElement.querySelector('.select-all-matching-btn');
+      
+      this.bulkActionsElement.style.display = count > 0 ? '' : 'none';
+      this.bulkActionsElement.querySelector('.selection-count').textContent = this.selectAllMatching
+        ? `All ${count} matching rows selected`
+        : `${count} selected`;
+      
+      // Offer to extend a full page selection to all matching rows
+      selectAllBtn.textContent = `Select all ${matching} matching rows`;
+      selectAllBtn.style.display = this.options.selection === 'multiple' && allOnPage && !this.selectAllMatching && count < matching
+        ? ''
+        : 'none';
+    }
+  }
+  
+  /**
+   * Get the selectable rows of the current page, or the loaded rows without pagination
+   */
+  getPageRows() {
+    if (this.isVirtualScroll()) {
+      return this.options.data;
+    }
     
-    // Update chart on window resize
-    window.addEventListener('resize', updateChart);
+    return Array.from(this.tableElement.querySelectorAll(':scope > tbody > tr'))
+      .map(tr => tr._data)
+      .filter(Boolean);
   }
   
   /**
-   * Create a distribution chart for the summary visualization
+   * Get the number of rows matching the current search and filters
    */
-  createSummaryDistribution(container, numericColumns) {
-    // Create column selection
-    const columnSelectContainer = document.createElement('div');
-    columnSelectContainer.style.marginBottom = '20px';
+  getMatchingCount() {
+    return this.options.serverSide ? this.totalRecords : this.options.data.length;
+  }
+  
+  /**
+   * Get the search and filters that define the matching rows
+   */
+  getSelectionQuery() {
+    return JSON.stringify({ search: this.searchTerm, filters: this.getFilters() });
+  }
+  
+  /**
+   * Check whether a row is selected
+   */
+  isRowSelected(row) {
+    const key = String(this.getRowKey(row));
+    return this.selectAllMatching ? !this.selectionExclusions.has(key) : this.selectedRows.has(key);
+  }
+  
+  /**
+   * Get the number of selected rows
+   */
+  getSelectionCount() {
+    return this.selectAllMatching
+      ? Math.max(0, this.getMatchingCount() - this.selectionExclusions.size)
+      : this.selectedRows.size;
+  }
+  
+  /**
+   * Select or deselect rows
+   * With replace, the rows become the whole selection
+   */
+  setRowsSelected(rows, selected, replace = false) {
+    if (!this.options.selection) return;
     
-    const columnSelect = document.createElement('select');
-    columnSelect.className = 'column-select';
+    // In single mode a selected row replaces the selection
+    if (this.options.selection === 'single' && selected) {
+      rows = rows.slice(-1);
+      replace = true;
+    }
     
-    numericColumns.forEach((column, index) => {
-      const option = document.createElement('option');
-      option.value = column.field;
-      option.textContent = column.title || column.field;
-      option.selected = index === 0;
-      columnSelect.appendChild(option);
-    });
+    const keys = rows.map(row => String(this.getRowKey(row)));
     
-    columnSelectContainer.appendChild(columnSelect);
-    container.appendChild(columnSelectContainer);
+    // Nothing changes when the rows already are the whole selection
+    if (replace && selected && !this.selectAllMatching && this.selectedRows.size === new Set(keys).size &&
+        keys.every(key => this.selectedRows.has(key))) {
+      return;
+    }
     
-    // Create chart container
-    const chartContainer = document.createElement('div');
-    chartContainer.className = 'distribution-container';
-    chartContainer.style.height = '300px';
-    chartContainer.style.width = '100%';
+    let changed = false;
     
-    container.appendChild(chartContainer);
+    if (replace && this.getSelectionCount() > 0) {
+      this.selectedRows.clear();
+      this.selectionExclusions.clear();
+      this.selectAllMatching = false;
+      changed = true;
+    }
     
-    // Stats container
-    const statsContainer = document.createElement('div');
-    statsContainer.className = 'stats-container';
-    statsContainer.style.marginTop = '20px';
-    statsContainer.style.display = 'flex';
-    statsContainer.style.justifyContent = 'space-around';
-    statsContainer.style.textAlign = 'center';
-    statsContainer.style.padding = '10px';
-    statsContainer.style.backgroundColor = '#f9f9f9';
-    statsContainer.style.borderRadius = '4px';
+    rows.forEach((row, index) => {
+      const key = keys[index];
+      
+      if (this.selectAllMatching) {
+        // Deselected rows are kept as exclusions from all matching rows
+        if (selected && this.selectionExclusions.delete(key)) {
+          changed = true;
+        } else if (!selected && !this.selectionExclusions.has(key)) {
+          this.selectionExclusions.set(key, this.getRowKey(row));
+          changed = true;
+        }
+      } else if (selected && !this.selectedRows.has(key)) {
+        this.selectedRows.set(key, row);
+        changed = true;
+      } else if (!selected && this.selectedRows.delete(key)) {
+        changed = true;
+      }
+    });
     
-    container.appendChild(statsContainer);
+    if (changed) {
+      this.refreshSelection();
+    }
+  }
+  
+  /**
+   * Update the rendered rows and controls after the selection changed and announce it
+   */
+  refreshSelection() {
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      if (tr._data) {
+        this.updateRowSelection(tr);
+      }
+    });
     
-    // Function to create the distribution chart
-    const createDistribution = (field) => {
-      chartContainer.innerHTML = '';
-      statsContainer.innerHTML = '';
+    this.updateSelectionControls();
+    this.emit('selectionChange', this.getSelectedRows(), this.getSelection());
+  }
+  
+  /**
+   * Select rows for a click or key press on a row
+   * Shift selects the range from the last clicked row, Ctrl/Cmd and checkboxes toggle the row
+   */
+  handleSelectionClick(row, e, toggle = false) {
+    const key = this.getRowKey(row);
+    
+    if (e.shiftKey && this.options.selection === 'multiple' && this.selectionAnchor !== null) {
+      this.selectRange(this.selectionAnchor, key);
+      return;
+    }
+    
+    this.selectionAnchor = key;
+    
+    if (toggle || e.ctrlKey || e.metaKey) {
+      this.setRowsSelected([row], !this.isRowSelected(row));
+    } else {
+      this.setRowsSelected([row], true, true);
+    }
+  }
+  
+  /**
+   * Select a row by its key
+   */
+  selectRow(key) {
+    this.selectRows([key]);
+  }
+  
+  /**
+   * Select rows by their keys, adding them to the selection
+   */
+  selectRows(keys) {
+    this.setRowsSelected(this.getRows(keys), true);
+  }
+  
+  /**
+   * Deselect a row by its key
+   */
+  deselectRow(key) {
+    this.deselectRows([key]);
+  }
+  
+  /**
+   * Deselect rows by their keys
+   */
+  deselectRows(keys) {
+    this.setRowsSelected(this.getRows(keys), false);
+  }
+  
+  /**
+   * Select or deselect a row by its key
+   * Without a selected flag, the selection of the row is toggled
+   */
+  toggleRowSelection(key, selected) {
+    const row = this.getRow(key);
+    if (!row) return;
+    
+    this.setRowsSelected([row], selected === undefined ? !this.isRowSelected(row) : !!selected);
+  }
+  
+  /**
+   * Select the rows between two rows, in display order
+   */
+  selectRange(fromKey, toKey) {
+    const rows = this.getDisplayRows().filter(item => !this.isGroupRow(item));
+    const from = rows.findIndex(row => String(this.getRowKey(row)) === String(fromKey));
+    const to = rows.findIndex(row => String(this.getRowKey(row)) === String(toKey));
+    if (from === -1 || to === -1) return;
+    
+    this.setRowsSelected(rows.slice(Math.min(from, to), Math.max(from, to) + 1), true);
+  }
+  
+  /**
+   * Select all rows of the current page, or all loaded rows without pagination
+   */
+  selectAll() {
+    if (this.options.selection !== 'multiple') return;
+    
+    this.setRowsSelected(this.getPageRows(), true);
+  }
+  
+  /**
+   * Select all rows matching the current search and filters, across pages
+   * In server-side mode, rows that are not loaded are covered by getSelection()
+   */
+  selectAllMatchingRows() {
+    if (this.options.selection !== 'multiple') return;
+    
+    if (!this.options.serverSide) {
+      this.setRowsSelected(this.options.data, true);
+      return;
+    }
+    
+    this.selectedRows.clear();
+    this.selectionExclusions.clear();
+    this.selectAllMatching = true;
+    this.selectionQuery = this.getSelectionQuery();
+    this.refreshSelection();
+  }
+  
+  /**
+   * Deselect all rows
+   */
+  clearSelection() {
+    if (!this.selectAllMatching && this.selectedRows.size === 0) return;
+    
+    this.selectedRows.clear();
+    this.selectionExclusions.clear();
+    this.selectAllMatching = false;
+    this.refreshSelection();
+  }
+  
+  /**
+   * Get the selected rows
+   * When all matching server-side rows are selected, only the loaded ones are returned
+   */
+  getSelectedRows() {
+    if (this.selectAllMatching) {
+      return this.options.data.filter(row => this.isRowSelected(row));
+    }
+    
+    return Array.from(this.selectedRows.values());
+  }
+  
+  /**
+   * Get a description of the selection that also covers rows not loaded
+   */
+  getSelection() {
+    const selection = {
+      allMatching: this.selectAllMatching,
+      keys: this.selectAllMatching ? [] : Array.from(this.selectedRows.values()).map(row => this.getRowKey(row)),
+      excludedKeys: Array.from(this.selectionExclusions.values()),
+      count: this.getSelectionCount()
+    };
+    
+    // The server can find the matching rows again from the search and filters
+    if (this.selectAllMatching) {
+      const query = JSON.parse(this.selectionQuery);
+      selection.search = query.search;
+      selection.filters = query.filters;
+    }
+    
+    return selection;
+  }
+  
+  /**
+   * Drop selected rows that are no longer in the client-side data
+   */
+  pruneSelection() {
+    let changed = false;
+    
+    this.selectedRows.forEach((row, key) => {
+      const current = this.findRowByKey(key);
       
-      // Collect data for the selected column
-      const values = this.originalData
-        .filter(row => row[field] !== undefined && !isNaN(parseFloat(row[field])))
-        .map(row => parseFloat(row[field]));
+      if (current) {
+        this.selectedRows.set(key, current);
+      } else {
+        this.selectedRows.delete(key);
+        changed = true;
+      }
+    });
+    
+    if (changed) {
+      this.refreshSelection();
+    }
+  }
+  
+  /**
+   * Set up cell range selection with the mouse and keyboard, and copy and paste of ranges
+   */
+  initCellSelection() {
+    const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+    const tbody = this.tableElement.querySelector('tbody');
+    
+    // Let the table receive clipboard events when rows aren't focusable
+    if (!tableWrapper.hasAttribute('tabindex')) {
+      tableWrapper.tabIndex = -1;
+    }
+    
+    const getCellPosition = (target) => {
+      const cell = target.closest('td');
+      const row = cell && cell.parentNode;
+      if (!row || row.parentNode !== tbody || !row._data) return null;
       
-      if (values.length === 0) {
-        chartContainer.textContent = 'No data to display';
+      const column = this.options.columns[cell.cellIndex];
+      return column ? { key: this.getRowKey(row._data), field: column.field } : null;
+    };
+    
+    tbody.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 || e.target.closest('a, button, input, select, textarea')) return;
+      
+      const position = getCellPosition(e.target);
+      if (!position) return;
+      
+      // Prevent text selection while dragging, and focus the table for the clipboard
+      e.preventDefault();
+      const row = e.target.closest('tr');
+      (row.hasAttribute('tabindex') ? row : tableWrapper).focus({ preventScroll: true });
+      
+      this.setCellRange(e.shiftKey && this.cellRange ? this.cellRange.anchor : position, position);
+      
+      this.rangeSelecting = true;
+      this.tableElement.classList.add('range-selecting');
+      
+      document.addEventListener('mouseup', () => {
+        this.rangeSelecting = false;
+        
+        if (this.tableElement) {
+          this.tableElement.classList.remove('range-selecting');
+        }
+      }, { once: true });
+    });
+    
+    tbody.addEventListener('mouseover', (e) => {
+      if (!this.rangeSelecting) return;
+      
+      const position = getCellPosition(e.target);
+      const focus = this.cellRange.focus;
+      
+      if (position && (String(position.key) !== String(focus.key) || position.field !== focus.field)) {
+        this.setCellRange(this.cellRange.anchor, position);
+      }
+    });
+    
+    tableWrapper.addEventListener('keydown', (e) => {
+      if (!this.cellRange || e.target.closest('input, select, textarea')) return;
+      
+      if (e.key === 'Escape') {
+        this.clearCellRange();
         return;
       }
       
-      // Calculate statistics
-      const min = Math.min(...values);
-      const max = Math.max(...values);
-      const range = max - min;
-      const avg = values.reduce((a, b) => a + b, 0) / values.length;
+      // Shift+arrows extend the range
+      const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+      if (!e.shiftKey || !moves[e.key]) return;
       
-      // Sort values for median and percentiles
-      const sortedValues = [...values].sort((a, b) => a - b);
-      const median = sortedValues[Math.floor(sortedValues.length / 2)];
+      e.preventDefault();
+      this.moveCellRangeFocus(...moves[e.key]);
+    });
+    
+    tableWrapper.addEventListener('copy', (e) => {
+      if (!this.cellRange || e.target.closest('input, select, textarea')) return;
       
-      // Calculate standard deviation
-      const variance = values.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / values.length;
-      const stdDev = Math.sqrt(variance);
+      const clipboard = this.getCellRangeClipboard();
+      if (!clipboard) return;
       
-      // Create histogram buckets (10 buckets)
-      const bucketCount = 10;
-      const bucketSize = range / bucketCount;
-      const buckets = Array(bucketCount).fill(0);
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', clipboard.text);
+      e.clipboardData.setData('text/html', clipboard.html);
+      
+      this.emit('copy', this.getCellRange());
+    });
+    
+    tableWrapper.addEventListener('paste', (e) => {
+      if (!this.cellRange || e.target.closest('input, select, textarea')) return;
+      
+      const text = e.clipboardData && e.clipboardData.getData('text/plain');
+      if (!text) return;
+      
+      e.preventDefault();
+      this.pasteCells(text);
+    });
+  }
+  
+  /**
+   * Set the selected cell range from its anchor and focus cells, given as { key, field }
+   */
+  setCellRange(anchor, focus) {
+    this.cellRange = { anchor, focus };
+    this.updateCellRange();
+    this.emit('rangeChange', this.getCellRange());
+  }
+  
+  /**
+   * Select the cells between two cells, given as { key, field }
+   */
+  selectCellRange(from, to = from) {
+    this.setCellRange(from, to);
+  }
+  
+  /**
+   * Clear the selected cell range
+   */
+  clearCellRange() {
+    if (!this.cellRange) return;
+    
+    this.cellRange = null;
+    this.updateCellRange();
+    this.emit('rangeChange', null);
+  }
+  
+  /**
+   * Move the focus cell of the range by a number of rows and columns
+   */
+  moveCellRangeFocus(rowDelta, columnDelta) {
+    const rows = this.getPageRows();
+    const columns = this.getVisibleColumns();
+    const { anchor, focus } = this.cellRange;
+    
+    let rowIndex = rows.findIndex(row => String(this.getRowKey(row)) === String(focus.key));
+    let columnIndex = columns.findIndex(column => column.field === focus.field);
+    if (rowIndex === -1 || columnIndex === -1) return;
+    
+    rowIndex = Math.max(0, Math.min(rows.length - 1, rowIndex + rowDelta));
+    columnIndex = Math.max(0, Math.min(columns.length - 1, columnIndex + columnDelta));
+    
+    this.setCellRange(anchor, { key: this.getRowKey(rows[rowIndex]), field: columns[columnIndex].field });
+  }
+  
+  /**
+   * Get the rows and visible columns covered by the cell range,
+   * or null when its cells are not on the current page
+   */
+  getCellRangeBounds() {
+    if (!this.cellRange) return null;
+    
+    const rows = this.getPageRows();
+    const columns = this.getVisibleColumns();
+    const rowIndex = cell => rows.findIndex(row => String(this.getRowKey(row)) === String(cell.key));
+    const columnIndex = cell => columns.findIndex(column => column.field === cell.field);
+    
+    const { anchor, focus } = this.cellRange;
+    const rowIndexes = [rowIndex(anchor), rowIndex(focus)];
+    const columnIndexes = [columnIndex(anchor), columnIndex(focus)];
+    
+    if (rowIndexes.includes(-1) || columnIndexes.includes(-1)) return null;
+    
+    return {
+      rows: rows.slice(Math.min(...rowIndexes), Math.max(...rowIndexes) + 1),
+      columns: columns.slice(Math.min(...columnIndexes), Math.max(...columnIndexes) + 1)
+    };
+  }
+  
+  /**
+   * Get the selected cell range with its rows, columns and values
+   */
+  getCellRange() {
+    const bounds = this.getCellRangeBounds();
+    if (!bounds) return null;
+    
+    return {
+      ...bounds,
+      values: bounds.rows.map(row => bounds.columns.map(column => row[column.field]))
+    };
+  }
+  
+  /**
+   * Highlight the cells of the selected range
+   */
+  updateCellRange() {
+    if (!this.options.cellSelection || !this.tableElement) return;
+    
+    this.tableElement.querySelectorAll(':scope > tbody > tr > td.range-selected').forEach(td => {
+      td.classList.remove('range-selected');
+    });
+    
+    const bounds = this.getCellRangeBounds();
+    if (!bounds) return;
+    
+    const keys = new Set(bounds.rows.map(row => String(this.getRowKey(row))));
+    const columnIndexes = bounds.columns.map(column => this.options.columns.indexOf(column));
+    
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      if (!tr._data || !keys.has(String(this.getRowKey(tr._data)))) return;
+      
+      columnIndexes.forEach(index => {
+        if (tr.cells[index]) {
+          tr.cells[index].classList.add('range-selected');
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get the cell range as tab-separated text and as an HTML table
+   */
+  getCellRangeClipboard() {
+    const range = this.getCellRange();
+    if (!range) return null;
+    
+    const toText = value => {
+      if (value === null || value === undefined) return '';
+      return value instanceof Date ? value.toISOString() : String(value);
+    };
+    
+    // Quote values with tabs, line breaks or quotes like spreadsheets do
+    const text = range.values.map(values => values.map(value => {
+      const cellText = toText(value);
+      return /[\t\n\r"]/.test(cellText) ? `"${cellText.replace(/"/g, '""')}"` : cellText;
+    }).join('\t')).join('\n');
+    
+    const escapeHtml = value => toText(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    
+    const html = `<table>${range.values.map(values => 
+      `<tr>${values.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`
+    ).join('')}</table>`;
+    
+    return { text, html };
+  }
+  
+  /**
+   * Copy the cell range to the clipboard
+   * Returns a Promise resolving to whether anything was copied
+   */
+  copyCellRange() {
+    const clipboard = this.getCellRangeClipboard();
+    
+    if (!clipboard || !navigator.clipboard) {
+      return Promise.resolve(false);
+    }
+    
+    const write = typeof ClipboardItem !== 'undefined' && navigator.clipboard.write
+      ? navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([clipboard.text], { type: 'text/plain' }),
+        'text/html': new Blob([clipboard.html], { type: 'text/html' })
+      })])
+      : navigator.clipboard.writeText(clipboard.text);
+    
+    return write.then(() => {
+      this.emit('copy', this.getCellRange());
+      return true;
+    });
+  }
+  
+  /**
+   * Split tab-separated clipboard text from spreadsheets into rows of values
+   */
+  parseClipboardText(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char !== '"') {
+          value += char;
+        } else if (text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === '\t') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    
+    // Spreadsheets end the text with a line break
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+    
+    return rows;
+  }
+  
+  /**
+   * Convert text typed or pasted into a cell to the column's value type
+   * Returns undefined when the text is not a valid value for the column
+   */
+  parseCellInput(text, column) {
+    if (typeof column.parse === 'function') {
+      const parsed = column.parse(text);
+      return typeof parsed === 'number' && isNaN(parsed) ? undefined : parsed;
+    }
+    
+    const empty = String(text).trim() === '';
+    
+    switch (column.type) {
+      case 'number':
+      case 'currency':
+      case 'percent':
+      case 'boolean': {
+        const parsed = this.parseValue(text, column);
+        return parsed === null && !empty ? undefined : parsed;
+      }
+      
+      case 'date':
+        // Dates keep their text when it can be read as a date
+        if (empty) return null;
+        return this.parseValue(text, column) === null ? undefined : String(text).trim();
+      
+      default:
+        return text;
+    }
+  }
+  
+  /**
+   * Paste tab-separated text or rows of values into the table, starting at the cell range
+   * A single value fills the whole range. Values go through the column parsers
+   * and the same save path as edits; read-only cells and invalid values are skipped
+   */
+  pasteCells(data) {
+    const values = typeof data === 'string' ? this.parseClipboardText(data) : data;
+    const bounds = this.getCellRangeBounds();
+    if (!bounds || values.length === 0) return [];
+    
+    if (this.emit('beforePaste', values, this.getCellRange()) === false) return [];
+    
+    const rows = this.getPageRows();
+    const columns = this.getVisibleColumns();
+    const startRow = rows.indexOf(bounds.rows[0]);
+    const startColumn = columns.indexOf(bounds.columns[0]);
+    
+    const fill = values.length === 1 && values[0].length === 1;
+    const height = fill ? bounds.rows.length : values.length;
+    const width = fill ? bounds.columns.length : Math.max(...values.map(row => row.length));
+    
+    const changes = [];
+    const rejected = [];
+    let lastRow = startRow;
+    let lastColumn = startColumn;
+    
+    // The pasted cells are undone as one step
+    this.transaction(() => {
+      for (let r = 0; r < height && startRow + r < rows.length; r++) {
+        const row = rows[startRow + r];
+        
+        for (let c = 0; c < width && startColumn + c < columns.length; c++) {
+          const column = columns[startColumn + c];
+          const text = fill ? values[0][0] : values[r][c];
+          if (text === undefined) continue;
+          
+          lastRow = Math.max(lastRow, startRow + r);
+          lastColumn = Math.max(lastColumn, startColumn + c);
+          
+          if (!this.isCellEditable(row, column)) {
+            rejected.push({ row, field: column.field, value: text, reason: 'readonly' });
+            continue;
+          }
+          
+          const value = this.parseCellInput(text, column);
+          
+          if (value === undefined) {
+            rejected.push({ row, field: column.field, value: text, reason: 'invalid' });
+            continue;
+          }
+          
+          const oldValue = row[column.field];
+          const rowElement = this.getRowElement(this.getRowKey(row));
+          const cell = rowElement && rowElement.cells[this.options.columns.indexOf(column)];
+          
+          if (this.saveCellEdit(row, column, value, cell)) {
+            changes.push({ row, field: column.field, value, oldValue });
+          }
+        }
+      }
+    });
+    
+    this.updateFooter();
+    
+    // Select the pasted cells
+    this.setCellRange(
+      { key: this.getRowKey(rows[startRow]), field: columns[startColumn].field },
+      { key: this.getRowKey(rows[lastRow]), field: columns[lastColumn].field }
+    );
+    
+    this.emit('paste', changes, rejected);
+    
+    return changes;
+  }
+  
+  /**
+   * Check whether a group is expanded
+   */
+  isGroupExpanded(key) {
+    return this.groupToggles.has(key) ? this.groupToggles.get(key) : this.groupsExpanded;
+  }
+  
+  /**
+   * Expand or collapse a group by its key
+   * Without an expanded flag, the group is toggled
+   */
+  toggleGroup(key, expanded) {
+    const isExpanded = expanded === undefined ? !this.isGroupExpanded(key) : !!expanded;
+    
+    this.groupToggles.set(key, isExpanded);
+    this.groupVersion++;
+    this.refreshGroups();
+    
+    this.emit('groupToggle', key, isExpanded);
+  }
+  
+  /**
+   * Expand all groups
+   */
+  expandAllGroups() {
+    this.setAllGroupsExpanded(true);
+  }
+  
+  /**
+   * Collapse all groups
+   */
+  collapseAllGroups() {
+    this.setAllGroupsExpanded(false);
+  }
+  
+  /**
+   * Expand or collapse all groups
+   */
+  setAllGroupsExpanded(expanded) {
+    this.groupToggles.clear();
+    this.groupsExpanded = expanded;
+    this.groupVersion++;
+    this.currentPage = 1;
+    this.loadedRows = 0;
+    this.refreshGroups();
+    
+    this.emit('groupToggle', null, expanded);
+  }
+  
+  /**
+   * Group rows by one or more fields, or remove grouping with an empty list
+   */
+  setGroupBy(fields) {
+    this.options.groupBy = this.normalizeGroupBy(fields);
+    this.groupToggles.clear();
+    this.groupsExpanded = this.options.groupExpanded;
+    this.groupVersion++;
+    this.currentPage = 1;
+    this.loadedRows = 0;
+    
+    if (this.groupControlsElement) {
+      this.groupControlsElement.style.display = this.isGrouped() ? '' : 'none';
+    }
+    
+    this.refreshGroups();
+    this.emit('groupChange', this.getGroupBy());
+  }
+  
+  /**
+   * Get the fields rows are grouped by
+   */
+  getGroupBy() {
+    return [...this.options.groupBy];
+  }
+  
+  /**
+   * Re-render the rows after grouping changed, without reloading server data
+   */
+  refreshGroups() {
+    if (this.options.serverSide) {
+      this.renderData(this.getDisplayRows());
+    } else {
+      this.loadData();
+    }
+  }
+  
+  /**
+   * Add an event listener
+   */
+  on(eventName, handler) {
+    if (typeof handler !== 'function') return this;
+    
+    if (!this.eventHandlers[eventName]) {
+      this.eventHandlers[eventName] = [];
+    }
+    
+    this.eventHandlers[eventName].push(handler);
+    return this;
+  }
+  
+  /**
+   * Add an event listener that is removed after its first call
+   */
+  once(eventName, handler) {
+    if (typeof handler !== 'function') return this;
+    
+    const wrapper = (...args) => {
+      this.off(eventName, wrapper);
+      return handler.apply(this, args);
+    };
+    wrapper.originalHandler = handler;
+    
+    return this.on(eventName, wrapper);
+  }
+  
+  /**
+   * Remove an event listener
+   * Without a handler, all listeners for the event are removed
+   */
+  off(eventName, handler) {
+    if (!this.eventHandlers[eventName]) return this;
+    
+    if (!handler) {
+      delete this.eventHandlers[eventName];
+      return this;
+    }
+    
+    this.eventHandlers[eventName] = this.eventHandlers[eventName].filter(
+      fn => fn !== handler && fn.originalHandler !== handler
+    );
+    return this;
+  }
+  
+  /**
+   * Call all listeners for an event
+   * Returns false if any listener returned false, which cancels "before" events
+   */
+  emit(eventName, ...args) {
+    const handlers = this.eventHandlers[eventName];
+    if (!handlers || handlers.length === 0) return true;
+    
+    let result = true;
+    
+    // Copy the list so handlers can unsubscribe while being called
+    [...handlers].forEach(handler => {
+      try {
+        if (handler.apply(this, args) === false) {
+          result = false;
+        }
+      } catch (error) {
+        console.error(`Error in "${eventName}" event handler:`, error);
+      }
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Refresh the table data
+   */
+  refresh() {
+    // Cursors can change with the data
+    this.pageCursors = null;
+    
+    if (this.options.infiniteScroll || this.options.lazyLoad) {
+      this.loadedRows = 0;
+      this.hasMoreData = true;
+    } else {
+      this.currentPage = 1;
+    }
+    
+    this.loadData();
+  }
+  
+  /**
+   * Destroy the table and clean up
+   */
+  destroy() {
+    this.cancelLoad();
+    
+    if (this.tableContainer && this.tableContainer.parentNode) {
+      this.tableContainer.parentNode.removeChild(this.tableContainer);
+    }
+    
+    if (this.contextMenuElement && this.contextMenuElement.parentNode) {
+      this.contextMenuElement.parentNode.removeChild(this.contextMenuElement);
+    }
+    
+    if (this.filterMenuElement && this.filterMenuElement.parentNode) {
+      this.filterMenuElement.parentNode.removeChild(this.filterMenuElement);
+    }
+    
+    if (this.filterMenuCloseHandler) {
+      document.removeEventListener('click', this.filterMenuCloseHandler);
+      this.filterMenuCloseHandler = null;
+    }
+    
+    // Filter inputs still waiting to apply would find no table
+    this.filterTimers.forEach(timer => clearTimeout(timer));
+    this.filterTimers.clear();
+    
+    this.tableElement = null;
+    this.tableContainer = null;
+    this.paginationElement = null;
+    this.toolbarElement = null;
+    this.searchElement = null;
+    this.clearFiltersButton = null;
+    this.contextMenuElement = null;
+    this.filterMenuElement = null;
+    this.loadErrorElement = null;
+    
+    if (this.rowElementObserver) {
+      this.rowElementObserver.disconnect();
+      this.rowElementObserver = null;
+    }
+    this.rowElements = null;
+    this.rowIndex = null;
+    
+    // Clean up collaboration resources
+    this.cleanupCollaboration();
+    
+    this.detailElements.clear();
+    
+    // Stop the data worker
+    this.viewRequestId = null;
+    this.terminateWorker();
+    
+    // Remove all event listeners
+    this.eventHandlers = {};
+  }
+  
+  /**
+   * Quick static method to create a table from an existing HTML table
+   */
+  static fromHTML(selector, options = {}) {
+    return new Tablein({
+      ...options,
+      container: selector,
+      useHTML: selector
+    });
+  }
+  
+  /**
+   * Quick static method to create a table with infinite scroll
+   */
+  static createInfiniteTable(selector, columns, data, options = {}) {
+    return new Tablein({
+      container: selector,
+      columns,
+      data,
+      infiniteScroll: true,
+      pageSize: options.batchSize || 20,
+      ...options
+    });
+  }
+  
+  /**
+   * Quick method to create a server-side table
+   */
+  static createServerTable(selector, columns, serverUrl, options = {}) {
+    return new Tablein({
+      container: selector,
+      columns,
+      serverSide: true,
+      serverUrl,
+      pageSize: options.pageSize || 20,
+      ...options
+    });
+  }
+  
+  /**
+   * Register a cell editor for all tables
+   * The editor is a function(context) returning { element, getValue, focus, multiline, destroy }
+   */
+  static registerEditor(name, editor) {
+    EDITORS[name] = editor;
+  }
+  
+  /**
+   * Register a server protocol adapter for all tables, used with serverProtocol
+   * The adapter is { buildRequest(request, table), parseResponse(data, request, table) }
+   */
+  static registerAdapter(name, adapter) {
+    SERVER_ADAPTERS[name] = adapter;
+  }
+  
+  /**
+   * Initialize collaboration features
+   */
+  initCollaboration() {
+    if (!this.options.collaboration) return;
+    
+    // Generated row keys differ between clients, so changes can't be shared without a rowKey
+    if (!this.options.rowKey) {
+      console.warn('Collaboration needs the rowKey option; changes will not be sent');
+    }
+    
+    // Set up WebSocket connection
+    if (this.options.collaborationMode === 'websocket' && this.options.collaborationUrl) {
+      this.initWebSocketConnection();
+    } 
+    // Set up polling for changes
+    else if (this.options.collaborationMode === 'polling' && this.options.collaborationUrl) {
+      this.startPollingForChanges();
+    }
+  }
+  
+  /**
+   * Initialize WebSocket connection for real-time collaboration
+   */
+  initWebSocketConnection() {
+    try {
+      this.collaborationSocket = new WebSocket(this.options.collaborationUrl);
+      
+      this.collaborationSocket.onopen = () => {
+        console.log('Collaboration WebSocket connected');
+        // Send initial connection info
+        this.collaborationSocket.send(JSON.stringify({
+          type: 'connect',
+          user: this.options.collaborationUser || {
+            id: 'anonymous-' + Math.random().toString(36).substring(2, 9),
+            name: 'Anonymous User'
+          },
+          tableId: this.options.id || 'table-' + Math.random().toString(36).substring(2, 9)
+        }));
+      };
+      
+      this.collaborationSocket.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          this.handleCollaborationMessage(message);
+        } catch (e) {
+          console.error('Error processing message:', e);
+        }
+      };
+      
+      this.collaborationSocket.onerror = (error) => {
+        console.error('Collaboration WebSocket error:', error);
+      };
+      
+      this.collaborationSocket.onclose = () => {
+        console.log('Collaboration WebSocket closed');
+        // Try to reconnect after a delay
+        setTimeout(() => this.initWebSocketConnection(), 5000);
+      };
+    } catch (e) {
+      console.error('Failed to connect to collaboration server:', e);
+    }
+  }
+  
+  /**
+   * Start polling for changes
+   */
+  startPollingForChanges() {
+    // Clear any existing polling
+    if (this.collaborationTimer) {
+      clearInterval(this.collaborationTimer);
+    }
+    
+    // Start new polling interval
+    this.collaborationTimer = setInterval(() => {
+      this.fetchCollaborationChanges();
+      this.sendPendingChanges();
+    }, this.options.collaborationInterval || 2000);
+  }
+  
+  /**
+   * Fetch changes from server
+   */
+  fetchCollaborationChanges() {
+    if (!this.options.collaborationUrl) return;
+    
+    this.sendRequest(this.options.collaborationUrl + '/changes', {
+      params: { since: this.lastChangeTimestamp || 0 }
+    })
+    .then(response => response.json())
+    .then(data => {
+      if (data.changes && Array.isArray(data.changes)) {
+        data.changes.forEach(change => {
+          this.handleCollaborationMessage(change);
+        });
+        
+        if (data.timestamp) {
+          this.lastChangeTimestamp = data.timestamp;
+        }
+      }
+    })
+    .catch(error => {
+      console.error('Error fetching collaboration changes:', error);
+    });
+  }
+  
+  /**
+   * Send pending changes to server
+   */
+  sendPendingChanges() {
+    if (this.pendingChanges.length === 0) return;
+    
+    const changes = [...this.pendingChanges];
+    this.pendingChanges = [];
+    
+    this.sendRequest(this.options.collaborationUrl + '/changes', {
+      method: 'POST',
+      params: {
+        changes: changes,
+        user: this.options.collaborationUser || {
+          id: 'anonymous-' + Math.random().toString(36).substring(2, 9),
+          name: 'Anonymous User'
+        },
+        tableId: this.options.id || 'table-' + Math.random().toString(36).substring(2, 9)
+      }
+    })
+    .catch(error => {
+      console.error('Error sending changes:', error);
+      // Push changes back to pending queue
+      this.pendingChanges.push(...changes);
+    });
+  }
+  
+  /**
+   * Handle incoming collaboration message
+   */
+  handleCollaborationMessage(message) {
+    if (!message || !message.type) return;
+    
+    switch (message.type) {
+      case 'cell-change':
+        if (message.rowKey !== undefined && 
+            message.columnField !== undefined && 
+            message.value !== undefined) {
+          this.updateCellFromCollaboration(
+            message.rowKey, 
+            message.columnField, 
+            message.value,
+            message.user
+          );
+        }
+        break;
+        
+      case 'user-connected':
+      case 'user-disconnected':
+        // Handle user presence changes
+        this.updateCollaboratorPresence(message);
+        break;
+        
+      case 'cursor-position':
+        // Show remote user cursor position
+        this.updateUserCursor(message);
+        break;
+        
+      default:
+        console.log('Unknown message type:', message.type);
+    }
+  }
+  
+  /**
+   * Update cell value from collaboration event
+   */
+  updateCellFromCollaboration(rowKey, columnField, value, user) {
+    // Ignore our own messages
+    if (user && this.options.collaborationUser && 
+        user.id === this.options.collaborationUser.id) {
+      return;
+    }
+    
+    // Find column index
+    const columnIndex = this.options.columns.findIndex(col => col.field === columnField);
+    if (columnIndex === -1) return;
+    
+    // Update data
+    const rowData = this.findRowByKey(rowKey);
+    
+    if (rowData) {
+      // The remote change wins over an editor open on the cell
+      if (this.activeEditor && String(this.activeEditor.key) === String(rowKey) && 
+          this.activeEditor.field === columnField) {
+        this.activeEditor.finish(false);
+      }
+      
+      rowData[columnField] = value;
+      this.reindexRow(rowData, rowKey);
+      this.invalidateWorkerData();
+      this.updateFooter();
+      
+      // Find cell in DOM and update it
+      const row = this.getRowElement(rowKey);
+      
+      if (row && row.cells[columnIndex]) {
+        this.refreshCell(row.cells[columnIndex], rowData, this.options.columns[columnIndex]);
+        
+        // The row is re-created when its first cell holds toggles
+        const cell = this.getRowElement(rowKey).cells[columnIndex];
+        
+        // Add highlight effect to show change
+        cell.classList.add('cell-changed');
+        setTimeout(() => {
+          cell.classList.remove('cell-changed');
+        }, 2000);
+        
+        // Show tooltip with user info if provided
+        if (user && user.name) {
+          const tooltip = document.createElement('div');
+          tooltip.className = 'collaboration-tooltip';
+          tooltip.textContent = `Changed by ${user.name}`;
+          
+          if (user.color) {
+            tooltip.style.backgroundColor = user.color;
+          }
+          
+          cell.appendChild(tooltip);
+          
+          setTimeout(() => {
+            tooltip.remove();
+          }, 3000);
+        }
+      }
+      
+      // Add to version history if enabled
+      if (this.options.versionHistory) {
+        this.addToVersionHistory(rowKey, columnField, value, user);
+      }
+    }
+  }
+  
+  /**
+   * Open cell editors on the configured edit triggers
+   * Whether a cell can be edited is decided by isCellEditable
+   */
+  makeTableEditable() {
+    // Add event listener to table body
+    const tbody = this.tableElement.querySelector('tbody');
+    const triggers = this.options.editTriggers || [];
+    
+    const editFromEvent = (event) => {
+      const cell = event.target.closest('td');
+      if (!cell || cell.classList.contains('editing')) return;
+      
+      // Ignore rows of nested tables, e.g. inside detail rows
+      const row = cell.closest('tr');
+      const rowData = row._data;
+      if (!rowData || row.parentNode !== tbody) return;
+      
+      // Find column index and field
+      const columnIndex = Array.from(row.cells).indexOf(cell);
+      const column = this.options.columns[columnIndex];
+      
+      if (!column) return;
+      
+      this.editCell(this.getRowKey(rowData), column.field);
+    };
+    
+    if (triggers.includes('dblclick')) {
+      tbody.addEventListener('dblclick', editFromEvent);
+    }
+    
+    if (triggers.includes('click')) {
+      tbody.addEventListener('click', (event) => {
+        // Leave controls inside cells, such as toggles and checkboxes, working
+        if (!event.target.closest('a, button, input, select, textarea')) {
+          editFromEvent(event);
+        }
+      });
+    }
+    
+    // Remember the clicked cell for keyboard triggers
+    tbody.addEventListener('click', (event) => {
+      const cell = event.target.closest('td');
+      const row = cell && cell.parentNode;
+      
+      if (row && row._data && row.parentNode === tbody) {
+        this.activeCell = { rowIndex: Number(row.getAttribute('data-row-index')), columnIndex: cell.cellIndex };
+      }
+    });
+    
+    // Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes local changes
+    if (this.options.keyboardShortcuts) {
+      const tableWrapper = this.tableElement.closest('.advanced-table-wrapper');
+      
+      tableWrapper.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, select, textarea')) return;
+        
+        const key = e.key.toLowerCase();
+        
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          this.redo();
+        }
+      });
+    }
+    
+    // Enter or F2 on a focused row edits its active cell, or its first editable cell
+    // Rows with details keep Enter for toggling the detail, so only F2 edits them
+    const enterEdits = triggers.includes('enter') && typeof this.options.detailRenderer !== 'function';
+    
+    tbody.addEventListener('keydown', (e) => {
+      const row = e.target.closest('tr');
+      if (!row || !row._data || row.parentNode !== tbody || e.target !== row) return;
+      if (!(e.key === 'Enter' && enterEdits) && !(e.key === 'F2' && triggers.includes('f2'))) return;
+      
+      const rowData = row._data;
+      let column = this.activeCell.rowIndex === Number(row.getAttribute('data-row-index'))
+        ? this.options.columns[this.activeCell.columnIndex]
+        : null;
+      
+      if (!column || column.visible === false || !this.isCellEditable(rowData, column)) {
+        column = this.getVisibleColumns().find(col => this.isCellEditable(rowData, col));
+      }
+      
+      if (column && this.editCell(this.getRowKey(rowData), column.field)) {
+        e.preventDefault();
+      }
+    });
+  }
+  
+  /**
+   * Open the editor of a cell
+   * Returns false when the cell is not rendered or not editable
+   */
+  editCell(key, field) {
+    const rowData = this.findRowByKey(key);
+    const columnIndex = this.options.columns.findIndex(col => col.field === field);
+    const column = this.options.columns[columnIndex];
+    const row = this.getRowElement(key);
+    const cell = row && row.cells[columnIndex];
+    
+    if (!rowData || !column || !cell || !this.isCellEditable(rowData, column)) return false;
+    
+    // Only one cell is edited at a time
+    if (this.activeEditor) {
+      this.activeEditor.finish(true);
+    }
+    
+    // Get current value
+    const value = rowData[column.field];
+    let done = false;
+    
+    const finish = (save, direction = 0, refocus = false) => {
+      // Replacing the editor can blur it after the edit was already handled
+      if (done) return;
+      done = true;
+      this.activeEditor = null;
+      
+      const newValue = save ? editor.getValue() : undefined;
+      
+      // Editors return undefined for values they can't accept
+      const saved = newValue !== undefined && !this.isSameValue(newValue, value) &&
+        this.saveCellEdit(rowData, column, newValue, cell);
+      
+      if (saved) {
+        this.updateFooter();
+      } else {
+        // Restore the original content
+        cell.classList.remove('editing');
+        cell.replaceChildren(...originalContent);
+      }
+      
+      if (typeof editor.destroy === 'function') {
+        editor.destroy();
+      }
+      
+      this.emit('editEnd', key, field, saved);
+      
+      if (direction) {
+        this.editAdjacentCell(key, field, direction);
+      } else if (refocus) {
+        // Give the focus back to the row after editing with the keyboard
+        const rowElement = this.getRowElement(key);
+        if (rowElement && rowElement.hasAttribute('tabindex')) rowElement.focus();
+      }
+    };
+    
+    const editor = this.createEditor(column, {
+      value,
+      row: rowData,
+      column,
+      options: column.editorOptions || {},
+      table: this,
+      commit: () => finish(true),
+      cancel: () => finish(false)
+    });
+    
+    // Save original content
+    const originalContent = Array.from(cell.childNodes);
+    
+    // Replace content with the editor
+    cell.replaceChildren(editor.element);
+    cell.classList.add('editing');
+    editor.focus();
+    
+    editor.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Tab') {
+        // Tab and Shift+Tab move to the next or previous editable cell
+        e.preventDefault();
+        finish(true, e.shiftKey ? -1 : 1);
+      } else if (e.key === 'Enter' && (!editor.multiline || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        finish(true, 0, true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false, 0, true);
+      }
+      
+      // Keep table shortcuts out of the editor
+      e.stopPropagation();
+    });
+    
+    // Save when the focus leaves the editor
+    editor.element.addEventListener('focusout', (e) => {
+      if (!editor.element.contains(e.relatedTarget)) {
+        finish(true);
+      }
+    });
+    
+    this.activeEditor = { key, field, finish };
+    this.emit('editStart', key, field, value);
+    
+    return true;
+  }
+  
+  /**
+   * Open the editor of the next or previous editable cell on the page
+   */
+  editAdjacentCell(key, field, direction) {
+    const rows = this.getPageRows();
+    const columns = this.getVisibleColumns();
+    const rowIndex = rows.findIndex(row => String(this.getRowKey(row)) === String(key));
+    const columnIndex = columns.findIndex(column => column.field === field);
+    if (rowIndex === -1 || columnIndex === -1) return false;
+    
+    // Walk the cells row by row until an editable one is found
+    for (let index = rowIndex * columns.length + columnIndex + direction; index >= 0 && index < rows.length * columns.length; index += direction) {
+      const row = rows[Math.floor(index / columns.length)];
+      const column = columns[index % columns.length];
+      
+      if (this.isCellEditable(row, column)) {
+        return this.editCell(this.getRowKey(row), column.field);
+      }
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Create the editor for a column
+   * column.editor is an editor name or a function(context) returning { element, getValue, focus };
+   * without it, the editor is picked by the column type
+   */
+  createEditor(column, context) {
+    let editor = column.editor;
+    
+    if (!editor) {
+      const types = { number: 'number', currency: 'number', percent: 'number', date: 'date', boolean: 'checkbox' };
+      editor = types[column.type] || 'text';
+    }
+    
+    if (typeof editor === 'string') {
+      const name = editor;
+      editor = (this.options.editors && this.options.editors[name]) || EDITORS[name];
+      
+      if (!editor) {
+        console.warn(`Unknown editor "${name}", using a text editor`);
+        editor = EDITORS.text;
+      }
+    }
+    
+    return editor(context);
+  }
+  
+  /**
+   * Record a local cell change for undo
+   */
+  recordUndo(change) {
+    // Changes made by undo and redo themselves are not recorded
+    if (!this.options.undoLimit || this.applyingHistory) return;
+    
+    if (this.undoTransaction) {
+      this.undoTransaction.push(change);
+    } else {
+      this.pushUndoStep([change]);
+    }
+  }
+  
+  /**
+   * Add a step to the undo history, which ends the redo history
+   */
+  pushUndoStep(changes) {
+    this.undoStack.push({ changes });
+    
+    if (this.undoStack.length > this.options.undoLimit) {
+      this.undoStack.shift();
+    }
+    
+    this.redoStack = [];
+  }
+  
+  /**
+   * Run a function whose cell changes are undone and redone as one step
+   */
+  transaction(callback) {
+    // Nested transactions join the outer one
+    if (this.undoTransaction) {
+      callback();
+      return;
+    }
+    
+    this.undoTransaction = [];
+    
+    try {
+      callback();
+    } finally {
+      const changes = this.undoTransaction;
+      this.undoTransaction = null;
+      
+      if (changes.length > 0) {
+        this.pushUndoStep(changes);
+      }
+    }
+  }
+  
+  /**
+   * Undo the last step of local cell changes
+   * Returns false when there is nothing to undo
+   */
+  undo() {
+    const step = this.undoStack.pop();
+    if (!step) return false;
+    
+    // A step whose cells were all changed by someone else since is dropped
+    const applied = this.applyHistoryStep(step, true);
+    if (applied.length === 0) return false;
+    
+    this.redoStack.push(step);
+    this.emit('undo', applied);
+    
+    return true;
+  }
+  
+  /**
+   * Redo the last undone step
+   * Returns false when there is nothing to redo
+   */
+  redo() {
+    const step = this.redoStack.pop();
+    if (!step) return false;
+    
+    // A step whose cells were all changed by someone else since is dropped
+    const applied = this.applyHistoryStep(step, false);
+    if (applied.length === 0) return false;
+    
+    this.undoStack.push(step);
+    this.emit('redo', applied);
+    
+    return true;
+  }
+  
+  /**
+   * Check whether there are changes to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  /**
+   * Check whether there are undone changes to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  /**
+   * Forget the undo and redo history
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+  
+  /**
+   * Apply the old or new values of an undo step through the edit save path,
+   * so undo and redo are validated, versioned and sent to collaborators like edits
+   * Cells changed by someone else since are left alone
+   */
+  applyHistoryStep(step, undo) {
+    const changes = undo ? [...step.changes].reverse() : step.changes;
+    const applied = [];
+    
+    this.applyingHistory = true;
+    
+    try {
+      changes.forEach(change => {
+        const row = this.findRowByKey(change.key);
+        const column = this.getColumn(change.field);
+        if (!row || !column) return;
+        
+        if (!this.isSameValue(row[change.field], undo ? change.newValue : change.oldValue)) return;
+        
+        const rowElement = this.getRowElement(change.key);
+        const cell = rowElement && rowElement.cells[this.options.columns.indexOf(column)];
+        
+        if (this.saveCellEdit(row, column, undo ? change.oldValue : change.newValue, cell)) {
+          applied.push(change);
+        }
+      });
+    } finally {
+      this.applyingHistory = false;
+    }
+    
+    this.updateFooter();
+    this.updateCellRange();
+    
+    return applied;
+  }
+  
+  /**
+   * Remember the original value of a cell edited in batch mode
+   */
+  stageCellChange(row, field, oldValue) {
+    const key = String(this.getRowKey(row));
+    
+    // Added rows are committed whole
+    if (this.batchAdded.has(key)) return;
+    
+    const entry = this.batchOriginals.get(key) || { row, values: {} };
+    
+    if (!(field in entry.values)) {
+      entry.values[field] = oldValue;
+    } else if (this.isSameValue(entry.values[field], row[field])) {
+      // The cell is back at its original value
+      delete entry.values[field];
+    }
+    
+    if (Object.keys(entry.values).length > 0) {
+      this.batchOriginals.set(key, entry);
+    } else {
+      this.batchOriginals.delete(key);
+    }
+  }
+  
+  /**
+   * Check whether a cell has a staged change in batch mode
+   */
+  isCellDirty(row, field) {
+    const entry = this.batchOriginals.get(String(this.getRowKey(row)));
+    return !!entry && field in entry.values;
+  }
+  
+  /**
+   * Check whether there are staged changes in batch mode
+   */
+  hasChanges() {
+    return this.batchOriginals.size > 0 || this.batchAdded.size > 0 || this.batchRemoved.size > 0;
+  }
+  
+  /**
+   * Get the rows added, updated and removed in batch mode
+   */
+  getChanges() {
+    return {
+      added: Array.from(this.batchAdded.values()),
+      updated: Array.from(this.batchOriginals.values())
+        .map(entry => entry.row)
+        .filter(row => !this.batchRemoved.has(String(this.getRowKey(row)))),
+      removed: Array.from(this.batchRemoved.values())
+    };
+  }
+  
+  /**
+   * Save the staged changes to commitUrl or with the commitHandler
+   * Returns a Promise that rejects while business rules fail or when saving fails
+   */
+  commitChanges() {
+    const changes = this.getChanges();
+    
+    // Commits are blocked while changed rows break business rules
+    const errors = this.validateRows([...changes.added, ...changes.updated]);
+    
+    if (errors.length > 0) {
+      this.emit('validate', errors);
+      
+      const error = new Error('Changes have validation errors');
+      error.errors = errors;
+      return Promise.reject(error);
+    }
+    
+    // Allow listeners to cancel the commit
+    if (this.emit('beforeCommit', changes) === false) {
+      return Promise.resolve(null);
+    }
+    
+    // Save the values as they are now, edits made while saving are staged for the next commit
+    const payload = {
+      added: changes.added.map(row => ({ ...row })),
+      updated: changes.updated.map(row => ({ ...row })),
+      removed: changes.removed.map(row => ({ ...row }))
+    };
+    const saved = Array.from(this.batchOriginals.entries()).map(([key, entry]) => {
+      const values = {};
+      Object.keys(entry.values).forEach(field => {
+        values[field] = entry.row[field];
+      });
+      
+      return { key, row: entry.row, values };
+    });
+    
+    changes.added.forEach((row, index) => {
+      saved.push({ key: String(this.getRowKey(row)), row, values: payload.added[index] });
+    });
+    
+    let save;
+    
+    if (typeof this.options.commitHandler === 'function') {
+      save = Promise.resolve(this.options.commitHandler(payload));
+    } else if (this.options.commitUrl) {
+      save = this.sendRequest(this.options.commitUrl, { method: 'POST', params: payload })
+        // The response body is optional
+        .then(response => response.json().catch(() => null));
+    } else {
+      save = Promise.resolve(null);
+    }
+    
+    return save.then(result => {
+      changes.added.forEach(row => this.batchAdded.delete(String(this.getRowKey(row))));
+      changes.removed.forEach(row => this.batchRemoved.delete(String(this.getRowKey(row))));
+      
+      // The saved values become the originals; fields edited since stay dirty
+      saved.forEach(({ key, row, values }) => {
+        const entry = this.batchOriginals.get(key) || { row, values: {} };
+        const isAdded = changes.added.includes(row);
+        const isRemoved = changes.removed.includes(row);
+        
+        Object.keys(values).forEach(field => {
+          if (this.isSameValue(row[field], values[field])) {
+            delete entry.values[field];
+          } else {
+            entry.values[field] = values[field];
+          }
+          
+          // Committed edits reach collaborators now
+          if (!isAdded && !isRemoved) {
+            this.sendCellChange(this.getRowKey(row), field, values[field]);
+          }
+        });
+        
+        if (Object.keys(entry.values).length > 0 && !isRemoved) {
+          this.batchOriginals.set(key, entry);
+        } else {
+          this.batchOriginals.delete(key);
+        }
+      });
+      
+      // Removed rows leave the data now
+      const source = this.options.serverSide ? this.options.data : this.originalData;
+      
+      changes.removed.forEach(row => {
+        const index = source.indexOf(row);
+        if (index !== -1) source.splice(index, 1);
+      });
+      
+      this.clearHistory();
+      this.syncRows({ removed: changes.removed, updated: [...changes.added, ...changes.updated] });
+      this.emit('commit', changes, result);
+      
+      return result;
+    }).catch(error => {
+      console.error('Error committing changes:', error);
+      this.emit('error', error);
+      throw error;
+    });
+  }
+  
+  /**
+   * Undo the staged changes: restore edited values, drop added rows and keep removed rows
+   */
+  revertChanges() {
+    const changes = this.getChanges();
+    const edited = Array.from(this.batchOriginals.values());
+    
+    edited.forEach(({ row, values }) => Object.assign(row, values));
+    
+    // Added rows leave the data
+    const source = this.options.serverSide ? this.options.data : this.originalData;
+    
+    changes.added.forEach(row => {
+      const index = source.indexOf(row);
+      if (index !== -1) source.splice(index, 1);
+    });
+    
+    this.batchOriginals.clear();
+    this.batchAdded.clear();
+    this.batchRemoved.clear();
+    
+    // The restored values can fix or bring back validation errors
+    if (this.validationErrors.size > 0) {
+      this.validateRows(edited.map(entry => entry.row));
+    }
+    
+    this.clearHistory();
+    this.syncRows({
+      removed: changes.added,
+      updated: [...edited.map(entry => entry.row), ...changes.removed]
+    });
+    this.emit('revert', changes);
+    
+    return changes;
+  }
+  
+  /**
+   * Compare cell values, including dates and lists
+   */
+  isSameValue(a, b) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((value, index) => this.isSameValue(value, b[index]));
+    }
+    
+    return a === b;
+  }
+  
+  /**
+   * Save an edited cell value: update the data and the cell, validate it,
+   * and record the change for collaboration and version history, by historyUser when given
+   * Returns false when the value is unchanged or a beforeEdit listener rejected it
+   */
+  saveCellEdit(rowData, column, newValue, cell, historyUser) {
+    const value = rowData[column.field];
+    if (newValue === value) return false;
+    
+    const rowKey = this.getRowKey(rowData);
+    const rowIndex = this.options.data.indexOf(rowData);
+    
+    // Allow listeners to reject the edit
+    if (this.emit('beforeEdit', rowIndex, column.field, newValue, value, rowKey) === false) {
+      return false;
+    }
+    
+    // Update data
+    rowData[column.field] = newValue;
+    this.reindexRow(rowData, rowKey);
+    this.invalidateWorkerData();
+    
+    if (this.options.validateOnEdit) {
+      const message = this.validateCell(rowData, column);
+      
+      if (message) {
+        this.emit('validationError', rowKey, column.field, message, newValue);
+      }
+    }
+    
+    // Stage the change until the batch is committed, or send it to the collaboration system
+    if (this.options.batchEdit) {
+      this.stageCellChange(rowData, column.field, value);
+    } else {
+      this.sendCellChange(rowKey, column.field, newValue);
+    }
+    
+    if (cell) {
+      this.refreshCell(cell, rowData, column);
+    }
+    
+    // Add to version history if enabled
+    if (this.options.versionHistory) {
+      this.addToVersionHistory(
+        rowKey, 
+        column.field, 
+        newValue, 
+        historyUser || this.options.collaborationUser || { name: 'Local User' }
+      );
+    }
+    
+    this.recordUndo({ key: rowKey, field: column.field, oldValue: value, newValue });
+    
+    this.emit('cellEdit', rowIndex, column.field, newValue, value, rowKey);
+    
+    return true;
+  }
+  
+  /**
+   * Re-render a cell after its value changed
+   */
+  refreshCell(cell, rowData, column) {
+    const tr = cell.parentNode;
+    if (!tr) return;
+    
+    const columnIndex = this.options.columns.indexOf(column);
+    const firstColumn = this.options.columns.findIndex(col => col.visible !== false) === columnIndex;
+    
+    if (firstColumn && (this.options.treeData || typeof this.options.detailRenderer === 'function' || this.options.selectionCheckbox)) {
+      // Re-create the row to keep its toggles
+      tr.replaceWith(this.createRow(rowData, Number(tr.getAttribute('data-row-index'))));
+    } else {
+      tr.replaceChild(this.createCell(rowData, column, columnIndex), cell);
+    }
+  }
+  
+  /**
+   * Check whether a cell accepts edits
+   * The column's editable setting wins over the table's; either can be a predicate
+   * Collaboration makes all cells editable unless the columns say otherwise
+   */
+  isCellEditable(row, column) {
+    // Pivot rows are computed, so they can't be edited
+    if (this.pivotConfig) return false;
+    
+    let editable = column.editable;
+    
+    if (editable === undefined) {
+      editable = this.options.editable || this.options.collaboration;
+    }
+    
+    return typeof editable === 'function' ? !!editable(row, column) : !!editable;
+  }
+  
+  /**
+   * Send cell change to collaboration system
+   */
+  sendCellChange(rowKey, columnField, value) {
+    // Edits without collaboration, or without keys other clients share, stay local
+    if (!this.options.collaboration || !this.options.rowKey) return;
+    
+    const change = {
+      type: 'cell-change',
+      rowKey: rowKey,
+      columnField: columnField,
+      value: value,
+      user: this.options.collaborationUser || { name: 'Local User' },
+      timestamp: Date.now()
+    };
+    
+    // If using WebSocket, send immediately
+    if (this.options.collaborationMode === 'websocket' && 
+        this.collaborationSocket && 
+        this.collaborationSocket.readyState === WebSocket.OPEN) {
+      
+      this.collaborationSocket.send(JSON.stringify(change));
+    } 
+    // Otherwise, add to pending changes
+    else {
+      this.pendingChanges.push(change);
+    }
+  }
+  
+  /**
+   * Add cell change to version history
+   */
+  addToVersionHistory(rowKey, columnField, value, user) {
+    if (!this.options.versionHistory) return;
+    
+    // Create unique key for the cell
+    const cellKey = `${rowKey}:${columnField}`;
+    
+    // Get or initialize version history for this cell
+    if (!this.cellVersions.has(cellKey)) {
+      this.cellVersions.set(cellKey, []);
+    }
+    
+    const versions = this.cellVersions.get(cellKey);
+    
+    // Add new version
+    versions.push({
+      value: value,
+      timestamp: Date.now(),
+      user: user || { name: 'Unknown User' }
+    });
+    
+    // Limit versions count
+    if (versions.length > this.options.maxVersions) {
+      versions.shift(); // Remove oldest version
+    }
+  }
+  
+  /**
+   * Get version history for a cell
+   */
+  getCellVersionHistory(rowKey, columnField) {
+    const cellKey = `${rowKey}:${columnField}`;
+    return this.cellVersions.get(cellKey) || [];
+  }
+  
+  /**
+   * Show version history for a cell
+   */
+  showVersionHistory(rowKey, columnField) {
+    const versions = this.getCellVersionHistory(rowKey, columnField);
+    
+    if (!versions || versions.length === 0) {
+      alert('No version history available for this cell.');
+      return;
+    }
+    
+    // Create version history dialog
+    const dialog = document.createElement('div');
+    dialog.className = 'version-history-dialog';
+    
+    // Create header
+    const header = document.createElement('div');
+    header.className = 'version-history-header';
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Version History';
+    
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.className = 'version-history-close';
+    closeButton.addEventListener('click', () => {
+      document.body.removeChild(dialog);
+    });
+    
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    
+    // Create content
+    const content = document.createElement('div');
+    content.className = 'version-history-content';
+    
+    // Create version list
+    const versionList = document.createElement('ul');
+    versionList.className = 'version-history-list';
+    
+    // Sort versions by timestamp (newest first)
+    versions.sort((a, b) => b.timestamp - a.timestamp);
+    
+    versions.forEach((version, index) => {
+      const item = document.createElement('li');
+      item.className = 'version-history-item';
+      
+      const date = new Date(version.timestamp);
+      const timeString = date.toLocaleString();
+      
+      item.innerHTML = `
+        <div class="version-history-item-header">
+          <span class="version-number">v${versions.length - index}</span>
+          <span class="version-user">${version.user.name || 'Unknown'}</span>
+          <span class="version-time">${timeString}</span>
+        </div>
+        <div class="version-content">${version.value}</div>
+      `;
+      
+      // Add restore button for all except the latest version
+      if (index > 0) {
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore';
+        restoreButton.className = 'version-restore-btn';
+        restoreButton.addEventListener('click', () => {
+          if (confirm('Are you sure you want to restore this version?')) {
+            this.restoreVersion(rowKey, columnField, version.value);
+            document.body.removeChild(dialog);
+          }
+        });
+        
+        item.appendChild(restoreButton);
+      } else {
+        item.classList.add('current-version');
+      }
+      
+      versionList.appendChild(item);
+    });
+    
+    content.appendChild(versionList);
+    
+    dialog.appendChild(header);
+    dialog.appendChild(content);
+    
+    document.body.appendChild(dialog);
+  }
+  
+  /**
+   * Restore a previous version of a cell
+   */
+  restoreVersion(rowKey, columnField, value) {
+    const rowData = this.findRowByKey(rowKey);
+    const column = this.getColumn(columnField);
+    if (!rowData || !column) return;
+    
+    // Restores go through the same path as edits
+    const rowElement = this.getRowElement(rowKey);
+    const cell = rowElement && rowElement.cells[this.options.columns.indexOf(column)];
+    const restored = this.saveCellEdit(rowData, column, value, cell, {
+      name: this.options.collaborationUser?.name + ' (restored)',
+      id: this.options.collaborationUser?.id
+    });
+    
+    if (!restored) return;
+    
+    this.updateFooter();
+    
+    // Add restore highlight effect, the cell can have been re-created
+    const restoredRow = this.getRowElement(rowKey);
+    const restoredCell = restoredRow && restoredRow.cells[this.options.columns.indexOf(column)];
+    
+    if (restoredCell) {
+      restoredCell.classList.add('cell-restored');
+      setTimeout(() => {
+        restoredCell.classList.remove('cell-restored');
+      }, 2000);
+    }
+  }
+
+  
+  /**
+   * Update user presence/cursor in the table
+   */
+  updateUserCursor(message) {
+    if (!message.user || !message.position) return;
+    
+    // Remove any existing cursor for this user
+    const existingCursor = document.querySelector(`.user-cursor[data-user-id="${message.user.id}"]`);
+    if (existingCursor) {
+      existingCursor.remove();
+    }
+    
+    // Create a new cursor element
+    const cursor = document.createElement('div');
+    cursor.className = 'user-cursor';
+    cursor.dataset.userId = message.user.id;
+    
+    if (message.user.color) {
+      cursor.style.backgroundColor = message.user.color;
+    }
+    
+    const userLabel = document.createElement('div');
+    userLabel.className = 'user-cursor-label';
+    userLabel.textContent = message.user.name || 'Anonymous';
+    
+    if (message.user.color) {
+      userLabel.style.backgroundColor = message.user.color;
+    }
+    
+    cursor.appendChild(userLabel);
+    
+    // Position the cursor
+    const { rowKey, columnIndex } = message.position;
+    
+    // Find the cell
+    const row = this.getRowElement(rowKey);
+    
+    if (row) {
+      const cell = row.querySelectorAll('td')[columnIndex];
+      
+      if (cell) {
+        // Position cursor at the cell
+        cell.appendChild(cursor);
+        
+        // Automatically remove cursor after some time
+        setTimeout(() => {
+          if (cursor.parentNode) {
+            cursor.remove();
+          }
+        }, 5000);
+      }
+    }
+  }
+  
+  /**
+   * Update collaborator presence
+   */
+  updateCollaboratorPresence(message) {
+    const { type, user } = message;
+    
+    if (!this.collaboratorsContainer) {
+      // Create collaborators container if it doesn't exist
+      this.collaboratorsContainer = document.createElement('div');
+      this.collaboratorsContainer.className = 'collaborators-container';
+      this.tableContainer.appendChild(this.collaboratorsContainer);
+    }
+    
+    if (type === 'user-connected') {
+      // Add user to collaborators list
+      let userElement = this.collaboratorsContainer.querySelector(`.collaborator[data-user-id="${user.id}"]`);
+      
+      if (!userElement) {
+        userElement = document.createElement('div');
+        userElement.className = 'collaborator';
+        userElement.dataset.userId = user.id;
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'collaborator-avatar';
+        avatar.textContent = user.name.substring(0, 1).toUpperCase();
+        
+        if (user.color) {
+          avatar.style.backgroundColor = user.color;
+        }
+        
+        const name = document.createElement('div');
+        name.className = 'collaborator-name';
+        name.textContent = user.name;
+        
+        userElement.appendChild(avatar);
+        userElement.appendChild(name);
+        
+        this.collaboratorsContainer.appendChild(userElement);
+      }
+    } else if (type === 'user-disconnected') {
+      // Remove user from collaborators list
+      const userElement = this.collaboratorsContainer.querySelector(`.collaborator[data-user-id="${user.id}"]`);
+      
+      if (userElement) {
+        userElement.classList.add('disconnected');
+        
+        setTimeout(() => {
+          if (userElement.parentNode) {
+            userElement.remove();
+          }
+        }, 5000);
+      }
+    }
+  }
+  
+  /**
+   * Update cursor position during collaboration
+   */
+  sendCursorPosition(rowKey, columnIndex) {
+    if (!this.options.collaboration || 
+        !this.options.rowKey ||
+        !this.options.collaborationUser ||
+        (this.options.collaborationMode === 'websocket' && 
+        (!this.collaborationSocket || this.collaborationSocket.readyState !== WebSocket.OPEN))) {
+      return;
+    }
+    
+    const message = {
+      type: 'cursor-position',
+      position: { rowKey, columnIndex },
+      user: this.options.collaborationUser,
+      timestamp: Date.now()
+    };
+    
+    // Send cursor position update
+    if (this.options.collaborationMode === 'websocket') {
+      this.collaborationSocket.send(JSON.stringify(message));
+    } else {
+      this.pendingChanges.push(message);
+    }
+  }
+  
+  /**
+   * Clean up collaboration resources
+   */
+  cleanupCollaboration() {
+    if (this.collaborationSocket) {
+      this.collaborationSocket.close();
+      this.collaborationSocket = null;
+    }
+    
+    if (this.collaborationTimer) {
+      clearInterval(this.collaborationTimer);
+      this.collaborationTimer = null;
+    }
+  }
+  
+  /**
+   * Initialize data visualization features
+   */
+  initVisualizations() {
+    // Add a button to the toolbar to toggle visualizations
+    const toggleVisBtn = document.createElement('button');
+    toggleVisBtn.textContent = 'Toggle Visualizations';
+    toggleVisBtn.className = 'visualizations-btn';
+    toggleVisBtn.addEventListener('click', () => this.toggleVisualizations());
+    
+    this.toolbarElement.querySelector('.export-buttons').appendChild(toggleVisBtn);
+    
+    // Add visualization mode selector
+    const visModeContainer = document.createElement('div');
+    visModeContainer.className = 'visualization-mode-container';
+    visModeContainer.style.display = 'none';
+    
+    const visModeLabel = document.createElement('span');
+    visModeLabel.textContent = 'Visualization Mode: ';
+    
+    const visModeSelector = document.createElement('select');
+    visModeSelector.className = 'vis-mode-selector';
+    
+    ['cell', 'row', 'column', 'summary'].forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = mode.charAt(0).toUpperCase() + mode.slice(1);
+      option.selected = this.options.visualizationPosition === mode;
+      visModeSelector.appendChild(option);
+    });
+    
+    visModeSelector.addEventListener('change', (e) => {
+      this.options.visualizationPosition = e.target.value;
+      this.renderVisualizations();
+    });
+    
+    visModeContainer.appendChild(visModeLabel);
+    visModeContainer.appendChild(visModeSelector);
+    this.toolbarElement.appendChild(visModeContainer);
+    
+    // Store reference to the visualization mode container
+    this.visModeContainer = visModeContainer;
+  }
+  
+  /**
+   * Toggle data visualizations
+   */
+  toggleVisualizations() {
+    const isActive = this.tableContainer.classList.toggle('show-visualizations');
+    
+    if (isActive) {
+      this.renderVisualizations();
+      this.visModeContainer.style.display = 'flex';
+    } else {
+      this.clearVisualizations();
+      this.visModeContainer.style.display = 'none';
+    }
+  }
+  
+  /**
+   * Render data visualizations
+   */
+  renderVisualizations() {
+    // Clear any existing visualizations
+    this.clearVisualizations();
+    
+    // Different visualization approaches based on position setting
+    switch (this.options.visualizationPosition) {
+      case 'cell':
+        this.renderCellVisualizations();
+        break;
+      case 'row':
+        this.renderRowVisualizations();
+        break;
+      case 'column':
+        this.renderColumnVisualizations();
+        break;
+      case 'summary':
+        this.renderSummaryVisualizations();
+        break;
+    }
+  }
+  
+  /**
+   * Clear all visualizations
+   */
+  clearVisualizations() {
+    // Remove all visualization elements
+    this.tableContainer.querySelectorAll('.visualization').forEach(el => el.remove());
+    
+    // Remove all visualization classes from cells
+    this.tableElement.querySelectorAll('td.has-visualization').forEach(td => {
+      td.classList.remove('has-visualization');
+    });
+    
+    // Clear summary visualizations
+    if (this.summaryVisualizationsElement) {
+      this.summaryVisualizationsElement.innerHTML = '';
+    }
+  }
+  
+  /**
+   * Render visualizations inside cells
+   */
+  renderCellVisualizations() {
+    // Only visualize numeric data in cells
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+      const rowData = row._data;
+      
+      if (!rowData) return;
+      
+      // Process each cell
+      this.options.columns.forEach((column, columnIndex) => {
+        const numericValue = this.getNumericValue(rowData[column.field], column);
+        if (numericValue !== null) {
+          const cell = row.querySelectorAll('td')[columnIndex];
+          
+          if (!cell) return;
+          
+          // Check if we should add visualization (for numbers)
+          if (column.visualization !== false) {
+            this.addCellVisualization(cell, numericValue, column);
+          }
+        }
+      });
+    });
+  }
+  
+  /**
+   * Add visualization to a single cell
+   */
+  addCellVisualization(cell, value, column) {
+    // Determine the type of visualization to use
+    let visType = column.visualizationType || this.options.visualizationTypes[0];
+    
+    // Check if valid vis type
+    if (!this.options.visualizationTypes.includes(visType)) {
+      visType = 'bar';
+    }
+    
+    // Preserve original cell content
+    const originalContent = cell.innerHTML;
+    const cellWidth = cell.offsetWidth;
+    const cellHeight = cell.offsetHeight;
+    
+    // Add visualization class
+    cell.classList.add('has-visualization');
+    
+    // Find column min/max for scaling
+    let columnValues = [];
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+      const rowData = row._data;
+      if (rowData) {
+        const cellValue = this.getNumericValue(rowData[column.field], column);
+        if (cellValue !== null) {
+          columnValues.push(cellValue);
+        }
+      }
+    });
+    
+    const minValue = Math.min(...columnValues);
+    const maxValue = Math.max(...columnValues);
+    
+    let visualization;
+    
+    // Create visualization based on type
+    switch (visType) {
+      case 'bar':
+        visualization = this.createBarVisualization(value, minValue, maxValue);
+        break;
+      case 'progress':
+        visualization = this.createProgressVisualization(value, 0, 100);
+        break;
+      case 'sparkline':
+        visualization = this.createSparklineVisualization(column.field);
+        break;
+      case 'pie':
+        visualization = this.createPieVisualization(value, 100);
+        break;
+    }
+    
+    if (visualization) {
+      visualization.style.bottom = '0';
+      visualization.style.left = '0';
+      visualization.style.right = '0';
+      visualization.style.pointerEvents = 'none';
+      visualization.style.opacity = '0.7';
+      
+      // Adjust cell for visualization
+      cell.style.position = 'relative';
+      
+      // Add visualization to cell
+      cell.appendChild(visualization);
+    }
+  }
+  
+  /**
+   * Create a bar visualization
+   */
+  createBarVisualization(value, min, max) {
+    const container = document.createElement('div');
+    container.className = 'visualization bar-visualization';
+    
+    // Calculate percentage
+    const range = max - min;
+    const percentage = range === 0 ? 50 : ((value - min) / range) * 100;
+    
+    // Create bar element
+    const bar = document.createElement('div');
+    bar.className = 'vis-bar';
+    bar.style.width = `${percentage}%`;
+    bar.style.backgroundColor = this.getColorForValue(percentage);
+    bar.style.height = '4px';
+    
+    container.appendChild(bar);
+    return container;
+  }
+  
+  /**
+   * Create a progress visualization
+   */
+  createProgressVisualization(value, min, max) {
+    const container = document.createElement('div');
+    container.className = 'visualization progress-visualization';
+    
+    // Calculate percentage (clamp between 0-100)
+    const percentage = Math.min(100, Math.max(0, value));
+    
+    // Create progress bar
+    const progress = document.createElement('div');
+    progress.className = 'vis-progress';
+    progress.style.width = `${percentage}%`;
+    progress.style.height = '4px';
+    progress.style.backgroundColor = this.getColorForValue(percentage);
+    
+    container.appendChild(progress);
+    return container;
+  }
+  
+  /**
+   * Create a sparkline visualization
+   */
+  createSparklineVisualization(field) {
+    const container = document.createElement('div');
+    container.className = 'visualization sparkline-visualization';
+    
+    // Get data for this field across all visible rows
+    const column = this.getColumn(field);
+    const values = [];
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+      const rowData = row._data;
+      const value = rowData ? this.getNumericValue(rowData[field], column) : null;
+      if (value !== null) {
+        values.push(value);
+      }
+    });
+    
+    if (values.length < 2) {
+      return container; // Not enough data for sparkline
+    }
+    
+    // Normalize values to fit in container
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min;
+    
+    // Create SVG for sparkline
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '20');
+    svg.setAttribute('viewBox', `0 0 ${values.length} 100`);
+    svg.style.display = 'block';
+    
+    // Create sparkline path
+    let pathD = '';
+    values.forEach((value, i) => {
+      const x = i;
+      const y = range === 0 ? 50 : 100 - ((value - min) / range * 100);
+      
+      if (i === 0) {
+        pathD += `M ${x},${y}`;
+      } else {
+        pathD += ` L ${x},${y}`;
+      }
+    });
+    
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', pathD);
+    path.setAttribute('stroke', '#2196F3');
+    path.setAttribute('stroke-width', '2');
+    path.setAttribute('fill', 'none');
+    
+    svg.appendChild(path);
+    container.appendChild(svg);
+    
+    return container;
+  }
+  
+  /**
+   * Create a pie visualization
+   */
+  createPieVisualization(value, total) {
+    const container = document.createElement('div');
+    container.className = 'visualization pie-visualization';
+    
+    // Calculate percentage
+    const percentage = (value / total) * 100;
+    
+    // Create SVG for pie chart
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '20');
+    svg.setAttribute('height', '20');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    
+    // Background circle
+    const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    bgCircle.setAttribute('cx', '50');
+    bgCircle.setAttribute('cy', '50');
+    bgCircle.setAttribute('r', '40');
+    bgCircle.setAttribute('fill', '#e0e0e0');
+    
+    svg.appendChild(bgCircle);
+    
+    // Calculate the arc path for the value
+    const startX = 50;
+    const startY = 10;
+    const endAngle = 2 * Math.PI * (percentage / 100);
+    const endX = 50 + 40 * Math.sin(endAngle);
+    const endY = 50 - 40 * Math.cos(endAngle);
+    const largeArcFlag = percentage > 50 ? 1 : 0;
+    
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', `M 50 50 L ${startX} ${startY} A 40 40 0 ${largeArcFlag} 1 ${endX} ${endY} Z`);
+    path.setAttribute('fill', this.getColorForValue(percentage));
+    
+    svg.appendChild(path);
+    container.appendChild(svg);
+    
+    return container;
+  }
+  
+  /**
+   * Render visualizations for entire rows
+   */
+  renderRowVisualizations() {
+    // Create a chart for each row that visualizes all its numeric values
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+      const rowData = row._data;
+      if (!rowData) return;
+      
+      // Get numeric data from this row
+      const labels = [];
+      const values = [];
+      
+      this.options.columns.forEach(column => {
+        const value = this.getNumericValue(rowData[column.field], column);
+        if (value !== null) {
+          labels.push(column.title || column.field);
+          values.push(value);
+        }
+      });
+      
+      if (values.length < 2) return; // Not enough data to visualize
+      
+      // Create a visualization container
+      const container = document.createElement('div');
+      container.className = 'visualization row-visualization';
+      
+      // Create horizontal bar chart for the row
+      const chart = this.createHorizontalBarChart(labels, values);
+      container.appendChild(chart);
+      
+      // Add the visualization after the row
+      const nextRow = row.nextElementSibling;
+      if (nextRow) {
+        nextRow.parentNode.insertBefore(container, nextRow);
+      } else {
+        row.parentNode.appendChild(container);
+      }
+    });
+  }
+  
+  /**
+   * Create a horizontal bar chart
+   */
+  createHorizontalBarChart(labels, values) {
+    const container = document.createElement('div');
+    container.className = 'horizontal-bar-chart';
+    container.style.width = '100%';
+    container.style.padding = '10px';
+    container.style.boxSizing = 'border-box';
+    
+    // Find max value for scaling
+    const maxValue = Math.max(...values);
+    
+    // Create bars
+    labels.forEach((label, i) => {
+      const barContainer = document.createElement('div');
+      barContainer.className = 'bar-container';
+      barContainer.style.display = 'flex';
+      barContainer.style.alignItems = 'center';
+      barContainer.style.marginBottom = '5px';
+      
+      const labelElem = document.createElement('div');
+      labelElem.className = 'bar-label';
+      labelElem.textContent = label;
+      labelElem.style.width = '100px';
+      labelElem.style.overflow = 'hidden';
+      labelElem.style.textOverflow = 'ellipsis';
+      labelElem.style.whiteSpace = 'nowrap';
+      labelElem.style.marginRight = '10px';
+      
+      const barWrapper = document.createElement('div');
+      barWrapper.className = 'bar-wrapper';
+      barWrapper.style.flex = '1';
+      barWrapper.style.height = '20px';
+      barWrapper.style.backgroundColor = '#f5f5f5';
+      barWrapper.style.borderRadius = '4px';
+      barWrapper.style.overflow = 'hidden';
+      
+      const bar = document.createElement('div');
+      bar.className = 'bar';
+      bar.style.height = '100%';
+      bar.style.width = `${(values[i] / maxValue) * 100}%`;
+      bar.style.backgroundColor = this.getColorForIndex(i);
+      
+      const valueElem = document.createElement('div');
+      valueElem.className = 'bar-value';
+      valueElem.textContent = values[i].toLocaleString();
+      valueElem.style.marginLeft = '5px';
+      valueElem.style.fontSize = '12px';
+      
+      barWrapper.appendChild(bar);
+      barContainer.appendChild(labelElem);
+      barContainer.appendChild(barWrapper);
+      barContainer.appendChild(valueElem);
+      container.appendChild(barContainer);
+    });
+    
+    return container;
+  }
+  
+  /**
+   * Render visualizations for columns
+   */
+  renderColumnVisualizations() {
+    // Find columns with numeric data
+    const numericColumns = [];
+    
+    this.options.columns.forEach((column, index) => {
+      let numericCount = 0;
+      
+      // Typed columns that don't hold numbers are never visualized
+      if (column.type && !this.isNumericColumn(column)) return;
+      
+      // Count numeric values in the column
+      this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+        const rowData = row._data;
+        if (rowData && this.getNumericValue(rowData[column.field], column) !== null) {
+          numericCount++;
+        }
+      });
+      
+      if (numericCount >= this.options.visualizationThreshold) {
+        numericColumns.push({ column, index });
+      }
+    });
+    
+    // For each numeric column, add a visualization
+    numericColumns.forEach(({ column, index }) => {
+      this.createColumnVisualization(column, index);
+    });
+  }
+  
+  /**
+   * Create visualization for a column
+   */
+  createColumnVisualization(column, columnIndex) {
+    // Collect all numeric values for this column
+    const values = [];
+    
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(row => {
+      const rowData = row._data;
+      const value = rowData ? this.getNumericValue(rowData[column.field], column) : null;
+      if (value !== null) {
+        values.push(value);
+      }
+    });
+    
+    if (values.length === 0) return;
+    
+    // Calculate statistics
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const sum = values.reduce((a, b) => a + b, 0);
+    const avg = sum / values.length;
+    
+    // Create visualization container
+    const visContainer = document.createElement('div');
+    visContainer.className = 'visualization column-visualization';
+    visContainer.style.position = 'absolute';
+    visContainer.style.top = '-40px';
+    visContainer.style.left = '0';
+    visContainer.style.right = '0';
+    visContainer.style.height = '40px';
+    visContainer.style.backgroundColor = 'rgba(255, 255, 255, 0.9)';
+    visContainer.style.borderBottom = '1px solid #ddd';
+    visContainer.style.display = 'flex';
+    visContainer.style.alignItems = 'center';
+    visContainer.style.justifyContent = 'center';
+    visContainer.style.fontSize = '12px';
+    
+    // Create sparkline
+    const sparklineContainer = document.createElement('div');
+    sparklineContainer.style.width = '80px';
+    sparklineContainer.style.height = '30px';
+    sparklineContainer.style.marginRight = '10px';
+    
+    // Create SVG for sparkline
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '80');
+    svg.setAttribute('height', '30');
+    svg.setAttribute('viewBox', `0 0 ${values.length} 100`);
+    
+    // Create sparkline path
+    let pathD = '';
+    values.forEach((value, i) => {
+      const x = i * (80 / values.length);
+      const y = 30 - ((value - min) / (max - min) * 30);
+      
+      if (i === 0) {
+        pathD += `M ${x},${y}`;
+      } else {
+        pathD += ` L ${x},${y}`;
+      }
+    });
+    
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', pathD);
+    path.setAttribute('stroke', '#2196F3');
+    path.setAttribute('stroke-width', '2');
+    path.setAttribute('fill', 'none');
+    
+    svg.appendChild(path);
+    sparklineContainer.appendChild(svg);
+    
+    // Create stats container
+    const statsContainer = document.createElement('div');
+    statsContainer.style.display = 'flex';
+    statsContainer.style.flexDirection = 'column';
+    statsContainer.style.fontSize = '10px';
+    statsContainer.style.textAlign = 'left';
+    
+    const avgElem = document.createElement('div');
+    avgElem.textContent = `Avg: ${avg.toFixed(2)}`;
+    
+    const rangeElem = document.createElement('div');
+    rangeElem.textContent = `Range: ${min.toFixed(2)} - ${max.toFixed(2)}`;
+    
+    statsContainer.appendChild(avgElem);
+    statsContainer.appendChild(rangeElem);
+    
+    visContainer.appendChild(sparklineContainer);
+    visContainer.appendChild(statsContainer);
+    
+    // Add visualization to header
+    const header = this.tableElement.querySelector(`th:nth-child(${columnIndex + 1})`);
+    if (header) {
+      header.style.position = 'relative';
+      header.appendChild(visContainer);
+    }
+  }
+  
+  /**
+   * Render summary visualizations for the entire table
+   */
+  renderSummaryVisualizations() {
+    // Create a container for the visualizations
+    if (!this.summaryVisualizationsElement) {
+      this.summaryVisualizationsElement = document.createElement('div');
+      this.summaryVisualizationsElement.className = 'summary-visualizations';
+      this.summaryVisualizationsElement.style.padding = '20px';
+      this.summaryVisualizationsElement.style.backgroundColor = '#fff';
+      this.summaryVisualizationsElement.style.border = '1px solid #ddd';
+      this.summaryVisualizationsElement.style.borderRadius = '4px';
+      this.summaryVisualizationsElement.style.marginTop = '20px';
+      
+      this.tableContainer.appendChild(this.summaryVisualizationsElement);
+    } else {
+      this.summaryVisualizationsElement.innerHTML = '';
+    }
+    
+    // Find numeric columns
+    const numericColumns = this.options.columns.filter(column => {
+      if (column.type && !this.isNumericColumn(column)) return false;
+      
+      let hasNumericValues = false;
+      for (const row of this.originalData) {
+        if (this.getNumericValue(row[column.field], column) !== null) {
+          hasNumericValues = true;
+          break;
+        }
+      }
+      return hasNumericValues;
+    });
+    
+    if (numericColumns.length === 0) {
+      this.summaryVisualizationsElement.textContent = 'No numeric data to visualize';
+      return;
+    }
+    
+    // Create a title
+    const title = document.createElement('h3');
+    title.textContent = 'Data Visualizations';
+    title.style.margin = '0 0 20px 0';
+    
+    this.summaryVisualizationsElement.appendChild(title);
+    
+    // Create tabs for different types of visualizations
+    const tabContainer = document.createElement('div');
+    tabContainer.className = 'tabs-container';
+    tabContainer.style.marginBottom = '20px';
+    
+    const tabContent = document.createElement('div');
+    tabContent.className = 'tab-content';
+    
+    const tabs = ['Bar Chart', 'Line Chart', 'Distribution'];
+    
+    const tabButtons = tabs.map((tabName, index) => {
+      const button = document.createElement('button');
+      button.textContent = tabName;
+      button.className = index === 0 ? 'active' : '';
+      button.style.padding = '10px 15px';
+      button.style.border = '1px solid #ddd';
+      button.style.borderBottom = 'none';
+      button.style.backgroundColor = index === 0 ? '#fff' : '#f5f5f5';
+      button.style.borderRadius = '4px 4px 0 0';
+      button.style.marginRight = '5px';
+      button.style.cursor = 'pointer';
+      
+      button.addEventListener('click', () => {
+        // Deactivate all tabs
+        tabButtons.forEach(btn => {
+          btn.classList.remove('active');
+          btn.style.backgroundColor = '#f5f5f5';
+        });
+        
+        // Activate clicked tab
+        button.classList.add('active');
+        button.style.backgroundColor = '#fff';
+        
+        // Show corresponding content
+        this.showTabContent(tabName, numericColumns);
+      });
+      
+      return button;
+    });
+    
+    tabButtons.forEach(button => tabContainer.appendChild(button));
+    
+    this.summaryVisualizationsElement.appendChild(tabContainer);
+    this.summaryVisualizationsElement.appendChild(tabContent);
+    
+    // Show initial tab content
+    this.showTabContent('Bar Chart', numericColumns);
+  }
+  
+  /**
+   * Show specific tab content in summary visualizations
+   */
+  showTabContent(tabName, numericColumns) {
+    const tabContent = this.summaryVisualizationsElement.querySelector('.tab-content');
+    tabContent.innerHTML = '';
+    
+    switch (tabName) {
+      case 'Bar Chart':
+        this.createSummaryBarChart(tabContent, numericColumns);
+        break;
+      case 'Line Chart':
+        this.createSummaryLineChart(tabContent, numericColumns);
+        break;
+      case 'Distribution':
+        this.createSummaryDistribution(tabContent, numericColumns);
+        break;
+    }
+  }
+  
+  /**
+   * Create a bar chart for the summary visualization
+   */
+  createSummaryBarChart(container, numericColumns) {
+    // If more than one column, create a dropdown to select the column
+    const columnSelectContainer = document.createElement('div');
+    columnSelectContainer.style.marginBottom = '20px';
+    
+    const columnSelect = document.createElement('select');
+    columnSelect.className = 'column-select';
+    
+    numericColumns.forEach((column, index) => {
+      const option = document.createElement('option');
+      option.value = column.field;
+      option.textContent = column.title || column.field;
+      option.selected = index === 0;
+      columnSelect.appendChild(option);
+    });
+    
+    columnSelectContainer.appendChild(columnSelect);
+    container.appendChild(columnSelectContainer);
+    
+    // Create chart container
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'bar-chart-container';
+    chartContainer.style.height = '300px';
+    chartContainer.style.width = '100%';
+    chartContainer.style.overflowX = 'auto';
+    chartContainer.style.overflowY = 'hidden';
+    
+    container.appendChild(chartContainer);
+    
+    // Function to create the bar chart
+    const createChart = (field) => {
+      chartContainer.innerHTML = '';
+      
+      // Collect data for the selected column
+      const column = this.getColumn(field);
+      const dataPoints = this.originalData
+        .filter(row => this.getNumericValue(row[field], column) !== null)
+        .map(row => ({
+          label: row[this.options.columns[0].field] || '',
+          value: this.getNumericValue(row[field], column)
+        }))
+        .sort((a, b) => b.value - a.value) // Sort by value descending
+        .slice(0, 20); // Limit to top 20
+      
+      if (dataPoints.length === 0) {
+        chartContainer.textContent = 'No numeric data to display';
+        return;
+      }
+      
+      // Find max value for scaling
+      const maxValue = Math.max(...dataPoints.map(dp => dp.value));
+      
+      // Create SVG for the chart
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('width', '100%');
+      svg.setAttribute('height', '300');
+      svg.style.display = 'block';
+      
+      // Add horizontal grid lines
+      for (let i = 0; i <= 4; i++) {
+        const y = 250 - (i * 250 / 4);
+        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        gridLine.setAttribute('x1', '40');
+        gridLine.setAttribute('y1', y);
+        gridLine.setAttribute('x2', '100%');
+        gridLine.setAttribute('y2', y);
+        gridLine.setAttribute('stroke', '#e0e0e0');
+        gridLine.setAttribute('stroke-width', '1');
+        svg.appendChild(gridLine);
+      }
+      
+      // Calculate bar width
+      const barWidth = Math.min(40, (chartContainer.offsetWidth - 50) / dataPoints.length - 10);
+      
+      // Draw bars
+      dataPoints.forEach((dataPoint, i) => {
+        const x = 40 + (i * ((chartContainer.offsetWidth - 50) / dataPoints.length));
+        const height = (dataPoint.value / maxValue) * 250;
+        const y = 250 - height;
+        
+        // Create bar
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y);
+        rect.setAttribute('width', barWidth);
+        rect.setAttribute('height', height);
+        rect.setAttribute('fill', this.getColorForIndex(i));
+        
+        // Add value text
+        const valueText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        valueText.setAttribute('x', x + barWidth / 2);
+        valueText.setAttribute('y', y - 5);
+        valueText.setAttribute('text-anchor', 'middle');
+        valueText.setAttribute('font-size', '12');
+        valueText.textContent = dataPoint.value.toLocaleString();
+        
+        // Add label text
+        const labelText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        labelText.setAttribute('x', x + barWidth / 2);
+        labelText.setAttribute('y', 295);
+        labelText.setAttribute('text-anchor', 'middle');
+        labelText.setAttribute('font-size', '10');
+        labelText.setAttribute('transform', `rotate(45, ${x + barWidth / 2}, 295)`);
+        labelText.textContent = dataPoint.label.toString().substring(0, 15);
+        
+        svg.appendChild(rect);
+        svg.appendChild(valueText);
+        svg.appendChild(labelText);
+      });
+      
+      chartContainer.appendChild(svg);
+    };
+    
+    // Initial chart creation
+    createChart(columnSelect.value);
+    
+    // Update chart when column selection changes
+    columnSelect.addEventListener('change', (e) => {
+      createChart(e.target.value);
+    });
+  }
+  
+  /**
+   * Create a line chart for the summary visualization
+   */
+  createSummaryLineChart(container, numericColumns) {
+    // Create column selection checkboxes
+    const columnSelectContainer = document.createElement('div');
+    columnSelectContainer.style.marginBottom = '20px';
+    columnSelectContainer.style.display = 'flex';
+    columnSelectContainer.style.flexWrap = 'wrap';
+    columnSelectContainer.style.gap = '10px';
+    
+    const selectedColumns = [];
+    
+    numericColumns.forEach((column, index) => {
+      const checkboxContainer = document.createElement('label');
+      checkboxContainer.style.display = 'flex';
+      checkboxContainer.style.alignItems = 'center';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = column.field;
+      checkbox.checked = index < 3; // Select first 3 by default
+      
+      if (checkbox.checked) {
+        selectedColumns.push(column.field);
+      }
+      
+      const colorIndicator = document.createElement('span');
+      colorIndicator.style.display = 'inline-block';
+      colorIndicator.style.width = '12px';
+      colorIndicator.style.height = '12px';
+      colorIndicator.style.backgroundColor = this.getColorForIndex(index);
+      colorIndicator.style.marginRight = '5px';
+      colorIndicator.style.marginLeft = '5px';
+      
+      const label = document.createElement('span');
+      label.textContent = column.title || column.field;
+      
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selectedColumns.push(column.field);
+        } else {
+          const index = selectedColumns.indexOf(column.field);
+          if (index !== -1) {
+            selectedColumns.splice(index, 1);
+          }
+        }
+        
+        updateChart();
+      });
+      
+      checkboxContainer.appendChild(checkbox);
+      checkboxContainer.appendChild(colorIndicator);
+      checkboxContainer.appendChild(label);
+      columnSelectContainer.appendChild(checkboxContainer);
+    });
+    
+    container.appendChild(columnSelectContainer);
+    
+    // Create chart container
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'line-chart-container';
+    chartContainer.style.height = '300px';
+    chartContainer.style.width = '100%';
+    
+    container.appendChild(chartContainer);
+    
+    // Function to update the chart
+    const updateChart = () => {
+      chartContainer.innerHTML = '';
+      
+      if (selectedColumns.length === 0) {
+        chartContainer.textContent = 'Select at least one column to display';
+        return;
+      }
+      
+      // Collect data for each selected column
+      const dataSeriesList = [];
+      
+      selectedColumns.forEach(field => {
+        const column = this.getColumn(field);
+        const dataSeries = this.originalData
+          .filter(row => this.getNumericValue(row[field], column) !== null)
+          .map((row, index) => ({
+            x: index,
+            y: this.getNumericValue(row[field], column)
+          }));
+          
+        dataSeriesList.push({
+          field,
+          data: dataSeries
+        });
+      });
+      
+      // Find overall min and max values
+      let allValues = [];
+      dataSeriesList.forEach(series => {
+        allValues = allValues.concat(series.data.map(d => d.y));
+      });
+      
+      const minValue = Math.min(...allValues);
+      const maxValue = Math.max(...allValues);
+      
+      // Create SVG for the chart
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('width', '100%');
+      svg.setAttribute('height', '300');
+      svg.style.display = 'block';
+      
+      // Add a grid
+      for (let i = 0; i <= 4; i++) {
+        const y = 250 - (i * 250 / 4);
+        
+        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        gridLine.setAttribute('x1', '40');
+        gridLine.setAttribute('y1', y);
+        gridLine.setAttribute('x2', '100%');
+        gridLine.setAttribute('y2', y);
+        gridLine.setAttribute('stroke', '#e0e0e0');
+        gridLine.setAttribute('stroke-width', '1');
+        
+        svg.appendChild(gridLine);
+      }
+      
+      // Draw each data series
+      dataSeriesList.forEach((series, seriesIndex) => {
+        const column = numericColumns.find(col => col.field === series.field);
+        const color = this.getColorForIndex(numericColumns.indexOf(column));
+        
+        // Draw line
+        let pathD = '';
+        
+        series.data.forEach((point, i) => {
+          const x = 40 + (i * (chartContainer.offsetWidth - 50) / Math.max(series.data.length - 1, 1));
+          const y = 250 - ((point.y - minValue) / (maxValue - minValue) * 250);
+          
+          if (i === 0) {
+            pathD += `M ${x},${y}`;
+          } else {
+            pathD += ` L ${x},${y}`;
+          }
+        });
+        
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', pathD);
+        path.setAttribute('stroke', color);
+        path.setAttribute('stroke-width', '2');
+        path.setAttribute('fill', 'none');
+        
+        svg.appendChild(path);
+        
+        // Add data points
+        series.data.forEach((point, i) => {
+          const x = 40 + (i * (chartContainer.offsetWidth - 50) / Math.max(series.data.length - 1, 1));
+          const y = 250 - ((point.y - minValue) / (maxValue - minValue) * 250);
+          
+          const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+          circle.setAttribute('cx', x);
+          circle.setAttribute('cy', y);
+          circle.setAttribute('r', '3');
+          circle.setAttribute('fill', color);
+          
+          svg.appendChild(circle);
+        });
+      });
+      
+      chartContainer.appendChild(svg);
+    };
+    
+    // Initial chart creation
+    updateChart();
+    
+    // Update chart on window resize
+    window.addEventListener('resize', updateChart);
+  }
+  
+  /**
+   * Create a distribution chart for the summary visualization
+   */
+  createSummaryDistribution(container, numericColumns) {
+    // Create column selection
+    const columnSelectContainer = document.createElement('div');
+    columnSelectContainer.style.marginBottom = '20px';
+    
+    const columnSelect = document.createElement('select');
+    columnSelect.className = 'column-select';
+    
+    numericColumns.forEach((column, index) => {
+      const option = document.createElement('option');
+      option.value = column.field;
+      option.textContent = column.title || column.field;
+      option.selected = index === 0;
+      columnSelect.appendChild(option);
+    });
+    
+    columnSelectContainer.appendChild(columnSelect);
+    container.appendChild(columnSelectContainer);
+    
+    // Create chart container
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'distribution-container';
+    chartContainer.style.height = '300px';
+    chartContainer.style.width = '100%';
+    
+    container.appendChild(chartContainer);
+    
+    // Stats container
+    const statsContainer = document.createElement('div');
+    statsContainer.className = 'stats-container';
+    statsContainer.style.marginTop = '20px';
+    statsContainer.style.display = 'flex';
+    statsContainer.style.justifyContent = 'space-around';
+    statsContainer.style.textAlign = 'center';
+    statsContainer.style.padding = '10px';
+    statsContainer.style.backgroundColor = '#f9f9f9';
+    statsContainer.style.borderRadius = '4px';
+    
+    container.appendChild(statsContainer);
+    
+    // Function to create the distribution chart
+    const createDistribution = (field) => {
+      chartContainer.innerHTML = '';
+      statsContainer.innerHTML = '';
+      
+      // Collect data for the selected column
+      const column = this.getColumn(field);
+      const values = this.originalData
+        .map(row => this.getNumericValue(row[field], column))
+        .filter(value => value !== null);
+      
+      if (values.length === 0) {
+        chartContainer.textContent = 'No data to display';
+        return;
+      }
+      
+      // Calculate statistics
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const range = max - min;
+      const avg = values.reduce((a, b) => a + b, 0) / values.length;
+      
+      // Sort values for median and percentiles
+      const sortedValues = [...values].sort((a, b) => a - b);
+      const median = sortedValues[Math.floor(sortedValues.length / 2)];
+      
+      // Calculate standard deviation
+      const variance = values.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / values.length;
+      const stdDev = Math.sqrt(variance);
+      
+      // Create histogram buckets (10 buckets)
+      const bucketCount = 10;
+      const bucketSize = range / bucketCount;
+      const buckets = Array(bucketCount).fill(0);
+      
+      values.forEach(value => {
+        const bucketIndex = Math.min(bucketCount - 1, Math.floor((value - min) / bucketSize));
+        buckets[bucketIndex]++;
+      });
+      
+      const maxBucketCount = Math.max(...buckets);
+      
+      // Create SVG for the chart
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('width', '100%');
+      svg.setAttribute('height', '250');
+      svg.style.display = 'block';
+      
+      // X axis
+      const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      xAxis.setAttribute('x1', '40');
+      xAxis.setAttribute('y1', '220');
+      xAxis.setAttribute('x2', '100%');
+      xAxis.setAttribute('y2', '220');
+      xAxis.setAttribute('stroke', '#333');
+      xAxis.setAttribute('stroke-width', '1');
+      
+      svg.appendChild(xAxis);
+      
+      // Y axis
+      const yAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      yAxis.setAttribute('x1', '40');
+      yAxis.setAttribute('y1', '20');
+      yAxis.setAttribute('x2', '40');
+      yAxis.setAttribute('y2', '220');
+      yAxis.setAttribute('stroke', '#333');
+      yAxis.setAttribute('stroke-width', '1');
+      
+      svg.appendChild(yAxis);
+      
+      // Draw histogram bars
+      const barWidth = (chartContainer.offsetWidth - 50) / bucketCount;
+      
+      buckets.forEach((count, i) => {
+        const x = 40 + (i * barWidth);
+        const height = (count / maxBucketCount) * 200;
+        const y = 220 - height;
+        
+        // Create bar
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y);
+        rect.setAttribute('width', barWidth - 2);
+        rect.setAttribute('height', height);
+        rect.setAttribute('fill', `rgba(33, 150, 243, 0.7)`);
+        
+        svg.appendChild(rect);
+        
+        // X axis labels (every other bucket)
+        if (i % 2 === 0 || i === bucketCount - 1) {
+          const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+          label.setAttribute('x', x + barWidth / 2);
+          label.setAttribute('y', '235');
+          label.setAttribute('text-anchor', 'middle');
+          label.setAttribute('font-size', '10');
+          label.textContent = (min + (i * bucketSize)).toFixed(1);
+          
+          svg.appendChild(label);
+        }
+      });
+      
+      // Draw mean line
+      const meanX = 40 + ((avg - min) / range) * (chartContainer.offsetWidth - 50);
+      
+      const meanLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      meanLine.setAttribute('x1', meanX);
+      meanLine.setAttribute('y1', '20');
+      meanLine.setAttribute('x2', meanX);
+      meanLine.setAttribute('y2', '220');
+      meanLine.setAttribute('stroke', 'red');
+      meanLine.setAttribute('stroke-width', '2');
+      meanLine.setAttribute('stroke-dasharray', '5,5');
+      
+      svg.appendChild(meanLine);
+      
+      // Mean label
+      const meanLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      meanLabel.setAttribute('x', meanX);
+      meanLabel.setAttribute('y', '15');
+      meanLabel.setAttribute('text-anchor', 'middle');
+      meanLabel.setAttribute('font-size', '12');
+      meanLabel.setAttribute('fill', 'red');
+      meanLabel.textContent = 'Mean';
+      
+      svg.appendChild(meanLabel);
+      
+      chartContainer.appendChild(svg);
+      
+      // Display stats
+      const createStatElement = (label, value) => {
+        const statElem = document.createElement('div');
+        statElem.className = 'stat-item';
+        
+        const labelElem = document.createElement('div');
+        labelElem.className = 'stat-label';
+        labelElem.textContent = label;
+        labelElem.style.fontWeight = 'bold';
+        
+        const valueElem = document.createElement('div');
+        valueElem.className = 'stat-value';
+        valueElem.textContent = value;
+        
+        statElem.appendChild(labelElem);
+        statElem.appendChild(valueElem);
+        
+        return statElem;
+      };
+      
+      statsContainer.appendChild(createStatElement('Count', values.length));
+      statsContainer.appendChild(createStatElement('Mean', avg.toFixed(2)));
+      statsContainer.appendChild(createStatElement('Median', median.toFixed(2)));
+      statsContainer.appendChild(createStatElement('Std Dev', stdDev.toFixed(2)));
+      statsContainer.appendChild(createStatElement('Min', min.toFixed(2)));
+      statsContainer.appendChild(createStatElement('Max', max.toFixed(2)));
+    };
+    
+    // Initial chart creation
+    createDistribution(columnSelect.value);
+    
+    // Update chart when column selection changes
+    columnSelect.addEventListener('change', (e) => {
+      createDistribution(e.target.value);
+    });
+  }
+  
+  /**
+   * Get a color for a value between 0-100
+   */
+  getColorForValue(percentage) {
+    if (percentage < 25) {
+      return '#F44336'; // Red for low values
+    } else if (percentage < 50) {
+      return '#FFC107'; // Yellow for mid-low values
+    } else if (percentage < 75) {
+      return '#2196F3'; // Blue for mid-high values
+    } else {
+      return '#4CAF50'; // Green for high values
+    }
+  }
+  
+  /**
+   * Get a color from the visualization colors array
+   */
+  getColorForIndex(index) {
+    return this.options.visualizationColors[index % this.options.visualizationColors.length];
+  }
+  
+  /**
+   * Initialize rules engine for conditional formatting and business rules
+   */
+  initRulesEngine() {
+    // Create a button for the toolbar to manage rules if needed
+    if (this.options.businessRules && this.options.businessRules.length > 0) {
+      const rulesBtn = document.createElement('button');
+      rulesBtn.textContent = 'Validate Rules';
+      rulesBtn.className = 'rules-btn';
+      rulesBtn.addEventListener('click', () => this.validateAllRules());
+      
+      this.toolbarElement.querySelector('.export-buttons').appendChild(rulesBtn);
+    }
+    
+    // Initialize rule evaluator
+    this.rulesEngine = {
+      evaluateCondition: (condition, row, column, value) => {
+        try {
+          switch (condition.operator) {
+            // Numeric comparisons
+            case '=':
+            case '==':
+              return value == condition.value;
+            case '===':
+              return value === condition.value;
+            case '!=':
+            case '<>':
+              return value != condition.value;
+            case '!==':
+              return value !== condition.value;
+            case '>':
+              return Number(value) > Number(condition.value);
+            case '>=':
+              return Number(value) >= Number(condition.value);
+            case '<':
+              return Number(value) < Number(condition.value);
+            case '<=':
+              return Number(value) <= Number(condition.value);
+              
+            // String operations
+            case 'contains':
+              return String(value).includes(String(condition.value));
+            case 'not_contains':
+              return !String(value).includes(String(condition.value));
+            case 'starts_with':
+              return String(value).startsWith(String(condition.value));
+            case 'ends_with':
+              return String(value).endsWith(String(condition.value));
+            case 'regex':
+              return new RegExp(condition.value).test(String(value));
+              
+            // Array operations
+            case 'in':
+              return Array.isArray(condition.value) && condition.value.includes(value);
+            case 'not_in':
+              return Array.isArray(condition.value) && !condition.value.includes(value);
+              
+            // Null/empty checks
+            case 'is_null':
+              return value === null || value === undefined;
+            case 'is_not_null':
+              return value !== null && value !== undefined;
+            case 'is_empty':
+              return value === '' || value === null || value === undefined;
+            case 'is_not_empty':
+              return value !== '' && value !== null && value !== undefined;
+              
+            // Custom function
+            case 'function':
+              if (typeof condition.value === 'function') {
+                return condition.value(value, row, column);
+              }
+              return false;
+              
+            default:
+              console.warn('Unknown operator:', condition.operator);
+              return false;
+          }
+        } catch (error) {
+          console.error('Error evaluating condition:', error);
+          return false;
+        }
+      },
+      
+      evaluateRule: (rule, row) => {
+        try {
+          // Check if the rule has a target field
+          if (rule.field) {
+            const column = this.options.columns.find(col => col.field === rule.field);
+            const value = row[rule.field];
+            
+            // Cache key for rule evaluation
+            const cacheKey = `${JSON.stringify(rule)}-${JSON.stringify(value)}`;
+            
+            // Check if we have cached result
+            if (this.ruleEvaluations.has(cacheKey)) {
+              return this.ruleEvaluations.get(cacheKey);
+            }
+            
+            // Evaluate the condition
+            const result = this.rulesEngine.evaluateCondition(rule.condition, row, column, value);
+            
+            // Cache the result
+            this.ruleEvaluations.set(cacheKey, result);
+            
+            return result;
+          } 
+          // If rule is a function, call it with the row
+          else if (typeof rule.evaluate === 'function') {
+            return rule.evaluate(row);
+          }
+          
+          return false;
+        } catch (error) {
+          console.error('Error evaluating rule:', error);
+          return false;
+        }
+      }
+    };
+  }
+  
+  /**
+   * Check a cell value against the business rules of its column
+   * Returns the message of the first failing rule, or null
+   */
+  getValidationMessage(row, column) {
+    const value = row[column.field];
+    
+    const failed = (this.options.businessRules || []).find(rule => {
+      if (rule.field !== column.field) return false;
+      
+      try {
+        if (typeof rule.rule === 'function') {
+          return !rule.rule(value, row, column);
+        }
+        
+        if (rule.condition && this.rulesEngine) {
+          return !this.rulesEngine.evaluateCondition(rule.condition, row, column, value);
+        }
+      } catch (error) {
+        console.error('Error evaluating business rule:', error);
+        return true;
+      }
+      
+      return false;
+    });
+    
+    return failed ? failed.message || `Invalid ${column.title || column.field}` : null;
+  }
+  
+  /**
+   * Validate a cell and remember its error
+   */
+  validateCell(row, column) {
+    const cellKey = `${this.getRowKey(row)}:${column.field}`;
+    const message = this.getValidationMessage(row, column);
+    
+    if (message) {
+      this.validationErrors.set(cellKey, message);
+    } else {
+      this.validationErrors.delete(cellKey);
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Mark a cell element with its validation error
+   */
+  markCellValidation(cell, row, column) {
+    if (this.validationErrors.size === 0 && !cell.classList.contains('validation-error')) return;
+    
+    const message = this.validationErrors.get(`${this.getRowKey(row)}:${column.field}`);
+    
+    if (!message && cell.classList.contains('validation-error')) {
+      cell.removeAttribute('title');
+    }
+    
+    cell.classList.toggle('validation-error', !!message);
+    
+    if (message && this.options.showValidationMessages) {
+      cell.title = message;
+    }
+  }
+  
+  /**
+   * Validate all rows against the business rules and mark the failing cells
+   * Returns the errors as { rowKey, field, message }
+   */
+  validateAllRules() {
+    let rows = this.options.serverSide ? this.options.data : this.originalData;
+    
+    if (this.options.treeData && !this.options.serverSide) {
+      rows = this.getTreeRows();
+    }
+    
+    const errors = this.validateRows(rows);
+    this.emit('validate', errors);
+    
+    return errors;
+  }
+  
+  /**
+   * Validate rows against the business rules and mark the failing rendered cells
+   * Returns the errors as { rowKey, field, message }
+   */
+  validateRows(rows) {
+    const columns = this.options.columns.filter(column => 
+      (this.options.businessRules || []).some(rule => rule.field === column.field)
+    );
+    
+    const errors = [];
+    
+    rows.forEach(row => {
+      columns.forEach(column => {
+        const message = this.validateCell(row, column);
+        
+        if (message) {
+          errors.push({ rowKey: this.getRowKey(row), field: column.field, message });
+        }
+      });
+    });
+    
+    // Mark the rendered cells
+    this.tableElement.querySelectorAll(':scope > tbody > tr').forEach(tr => {
+      if (!tr._data) return;
+      
+      columns.forEach(column => {
+        const cell = tr.cells[this.options.columns.indexOf(column)];
+        
+        if (cell) {
+          this.markCellValidation(cell, tr._data, column);
+        }
+      });
+    });
+    
+    return errors;
+  }
+}
+
+// Methods the data worker is built from; they must not use the DOM
+const WORKER_METHODS = [
+  'buildClientView',
+  'filterData',
+  'getSearchText',
+  'matchesColumnFilters',
+  'getFilterConfig',
+  'sortData',
+  'getSortValue',
+  'compareValues',
+  'getColumn',
+  'parseValue',
+  'getNumericValue',
+  'isNumericColumn',
+  'computeInsights'
+];
+
+// Format a value for date and datetime inputs, or return '' when it isn't a date
+const toDateInputValue = (value, withTime) => {
+  if (value === null || value === undefined || value === '') return '';
+  
+  // Date-only strings are kept as they are, since they parse as UTC
+  if (!withTime && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  
+  const pad = number => String(number).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  
+  return withTime ? `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}` : day;
+};
+
+// Load the options of a select-style editor, given as a list or a function(row, column, query)
+// returning a list or a Promise; options are values or { value, label }
+const loadEditorOptions = (context, query = '') => {
+  const source = context.options.options;
+  const list = typeof source === 'function' ? source(context.row, context.column, query) : source;
+  
+  return Promise.resolve(list || []).then(options => options.map(option => 
+    option !== null && typeof option === 'object' 
+      ? { value: option.value, label: String(option.label !== undefined ? option.label : option.value) }
+      : { value: option, label: String(option) }
+  ));
+};
+
+// Counter for unique autocomplete datalist ids
+let autocompleteCounter = 0;
+
+// Built-in cell editors by name; each returns typed values
+// Editors get a context of { value, row, column, options, table, commit, cancel }
+const EDITORS = {
+  text(context) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'cell-edit-input';
+    input.value = context.value !== null && context.value !== undefined ? context.value : '';
+    
+    return {
+      element: input,
+      // Typed columns convert the text like pasted values
+      getValue: () => context.table.parseCellInput(input.value, context.column),
+      focus: () => {
+        input.focus();
+        input.select();
+      }
+    };
+  },
+  
+  number(context) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'cell-edit-input';
+    
+    ['min', 'max', 'step'].forEach(name => {
+      if (context.options[name] !== undefined) {
+        input[name] = context.options[name];
+      }
+    });
+    
+    const number = context.table.parseValue(context.value, { type: 'number' });
+    input.value = number !== null ? number : '';
+    
+    return {
+      element: input,
+      getValue: () => {
+        if (input.value === '') return null;
+        
+        const value = Number(input.value);
+        return isNaN(value) ? undefined : value;
+      },
+      focus: () => {
+        input.focus();
+        input.select();
+      }
+    };
+  },
+  
+  date(context) {
+    return EDITORS.datetime(context, false);
+  },
+  
+  datetime(context, withTime = true) {
+    const input = document.createElement('input');
+    input.type = withTime ? 'datetime-local' : 'date';
+    input.className = 'cell-edit-input';
+    input.value = toDateInputValue(context.value, withTime);
+    
+    return {
+      element: input,
+      getValue: () => {
+        if (input.value === '') return null;
+        
+        // Date objects stay Date objects, strings stay strings
+        return context.value instanceof Date ? new Date(input.value) : input.value;
+      },
+      focus: () => input.focus()
+    };
+  },
+  
+  select(context) {
+    const select = document.createElement('select');
+    select.className = 'cell-edit-input';
+    
+    let options = [];
+    const loading = document.createElement('option');
+    loading.textContent = 'Loading...';
+    loading.disabled = true;
+    select.appendChild(loading);
+    
+    loadEditorOptions(context).then(list => {
+      options = context.options.allowEmpty ? [{ value: null, label: '' }, ...list] : list;
+      select.innerHTML = '';
+      
+      options.forEach((option, index) => {
+        const element = document.createElement('option');
+        element.value = index;
+        element.textContent = option.label;
+        element.selected = String(option.value) === String(context.value);
+        select.appendChild(element);
+      });
+    });
+    
+    return {
+      element: select,
+      // Options are picked by position so their values keep their type
+      getValue: () => {
+        const option = options[select.selectedIndex];
+        return option ? option.value : undefined;
+      },
+      focus: () => select.focus()
+    };
+  },
+  
+  multiselect(context) {
+    const container = document.createElement('div');
+    container.className = 'cell-edit-multiselect';
+    container.tabIndex = -1;
+    
+    let options = [];
+    const selected = (Array.isArray(context.value) ? context.value : []).map(String);
+    
+    loadEditorOptions(context).then(list => {
+      options = list;
+      
+      options.forEach((option, index) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = index;
+        checkbox.checked = selected.includes(String(option.value));
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${option.label}`));
+        container.appendChild(label);
+      });
+      
+      const first = container.querySelector('input');
+      if (first && container.contains(document.activeElement)) first.focus();
+    });
+    
+    return {
+      element: container,
+      getValue: () => Array.from(container.querySelectorAll('input:checked')).map(checkbox => options[checkbox.value].value),
+      focus: () => {
+        const first = container.querySelector('input');
+        (first || container).focus();
+      }
+    };
+  },
+  
+  checkbox(context) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'cell-edit-checkbox';
+    checkbox.checked = context.table.parseValue(context.value, { type: 'boolean' }) === true;
+    
+    return {
+      element: checkbox,
+      getValue: () => checkbox.checked,
+      focus: () => checkbox.focus()
+    };
+  },
+  
+  textarea(context) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'cell-edit-input';
+    textarea.rows = context.options.rows || 3;
+    textarea.value = context.value !== null && context.value !== undefined ? context.value : '';
+    
+    return {
+      element: textarea,
+      // Enter adds a line, Ctrl+Enter saves
+      multiline: true,
+      getValue: () => textarea.value,
+      focus: () => textarea.focus()
+    };
+  },
+  
+  autocomplete(context) {
+    const container = document.createElement('div');
+    container.className = 'cell-edit-autocomplete';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'cell-edit-input';
+    input.value = context.value !== null && context.value !== undefined ? context.value : '';
+    
+    // Suggestions are shown with a datalist linked to the input
+    const datalist = document.createElement('datalist');
+    datalist.id = `tablein-autocomplete-${++autocompleteCounter}`;
+    input.setAttribute('list', datalist.id);
+    
+    let options = [];
+    let request = 0;
+    
+    const update = () => {
+      const id = ++request;
+      
+      loadEditorOptions(context, input.value).then(list => {
+        // Ignore suggestions for an older query
+        if (id !== request) return;
+        
+        options = list;
+        datalist.innerHTML = '';
+        
+        list.slice(0, context.options.limit || 50).forEach(option => {
+          const element = document.createElement('option');
+          element.value = option.label;
+          datalist.appendChild(element);
+        });
+      });
+    };
+    
+    input.addEventListener('input', update);
+    update();
+    
+    container.appendChild(input);
+    container.appendChild(datalist);
+    
+    return {
+      element: container,
+      getValue: () => {
+        // A picked suggestion gives its value, other text is kept unless options are strict
+        const option = options.find(option => option.label === input.value);
+        if (option) return option.value;
+        
+        return context.options.strict ? undefined : context.table.parseCellInput(input.value, context.column);
+      },
+      focus: () => {
+        input.focus();
+        input.select();
+      }
+    };
+  }
+};
+
+// Quote a value for an OData query
+const toODataLiteral = value => {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  
+  return `'${String(value).replace(/'/g, "''")}'`;
+};
+
+// Format a date range bound as an OData Edm.Date or Edm.DateTimeOffset literal
+const toODataDate = value => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? toODataLiteral(value) : date.toISOString();
+};
+
+// Field of the parent key that protocols filtering by field use for lazy child rows
+const getParentField = table => table.options.treeParentField || 'parentId';
+
+// Columns searched by protocols that turn the global search into column conditions
+const getTextColumns = request => request.columns.filter(column => 
+  !['number', 'currency', 'percent', 'date', 'datetime', 'boolean'].includes(column.type) && column.searchable !== false
+);
+
+// Paging variables of a GraphQL load: { offset, limit }, or { first, after } and { last } for Relay
+// cursor connections, plus the number of leading rows to skip when reading on from an earlier page
+const getGraphQLPaging = (request, table) => {
+  const config = table.options.graphql || {};
+  
+  if (config.pagination !== 'cursor') {
+    return { variables: { offset: request.start, limit: request.length }, skip: 0 };
+  }
+  
+  // Child rows of a lazy tree row are read from the start and leave the page cursors alone
+  if (request.parentId !== null) {
+    return { variables: { first: request.pageSize }, skip: 0 };
+  }
+  
+  // Cursors only hold for the search, filters and sort they were loaded with
+  const query = JSON.stringify([request.search, request.filters, request.sort, request.pageSize]);
+  
+  if (!table.pageCursors || table.pageCursors.query !== query) {
+    table.pageCursors = { query, cursors: new Map([[0, null]]) };
+  }
+  
+  const cursors = table.pageCursors.cursors;
+  const page = request.page;
+  
+  if (cursors.has(page - 1)) {
+    return { variables: { first: request.pageSize, after: cursors.get(page - 1) }, skip: 0 };
+  }
+  
+  // The last page can be read backwards from the end
+  const lastPageSize = table.totalRecords - (page - 1) * request.pageSize;
+  
+  if (!request.infinite && page === table.totalPages && lastPageSize > 0) {
+    return { variables: { last: lastPageSize }, skip: 0 };
+  }
+  
+  // Other pages are read on from the closest page with a known cursor
+  let known = page - 1;
+  while (!cursors.has(known)) known--;
+  
+  const skip = (page - 1 - known) * request.pageSize;
+  
+  return { variables: { first: skip + request.pageSize, after: cursors.get(known) }, skip };
+};
+
+// Server protocol adapters by name
+// buildRequest(request, table) turns the request from getServerRequest() into request params,
+// parseResponse(data, request, table) turns the response into { items, totalRecords, totalPages }
+const SERVER_ADAPTERS = {
+  default: {
+    buildRequest(request) {
+      const params = request.infinite
+        ? { start: request.start, length: request.length }
+        : { page: request.page, pageSize: request.pageSize };
+      
+      if (request.search) {
+        params.search = request.search;
+      }
+      
+      if (request.filters.length > 0) {
+        params.filters = request.filters;
+      }
+      
+      if (request.sort.length > 0) {
+        // Primary sort as plain params, plus the full sort model
+        params.sortField = request.sort[0].field;
+        params.sortOrder = request.sort[0].direction;
+        params.sort = request.sort;
+      }
+      
+      if (request.parentId !== null) {
+        params.parentId = request.parentId;
+      }
+      
+      return params;
+    },
+    
+    parseResponse(data) {
+      return {
+        items: data.items || data.data || [],
+        totalRecords: data.totalRecords || data.recordsTotal || data.recordsFiltered || 0,
+        totalPages: data.totalPages
+      };
+    }
+  },
+  
+  // DataTables server-side processing protocol
+  datatables: {
+    buildRequest(request) {
+      const params = {
+        draw: request.sequence,
+        start: request.start,
+        length: request.length,
+        'search[value]': request.search,
+        'search[regex]': false
+      };
+      
+      request.columns.forEach((column, index) => {
+        const filter = request.filters.find(item => item.field === column.field);
+        let value = '';
+        let regex = false;
+        
+        if (filter && filter.values) {
+          // Select filters match any of their values
+          value = filter.values.map(item => String(item).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+          regex = true;
+        } else if (filter && filter.value !== undefined) {
+          value = String(filter.value);
+        } else if (filter) {
+          // Range filters are sent as JSON
+          const { field, type, ...range } = filter;
+          value = JSON.stringify(range);
+        }
+        
+        params[`columns[${index}][data]`] = column.field;
+        params[`columns[${index}][name]`] = column.field;
+        params[`columns[${index}][searchable]`] = column.searchable !== false;
+        params[`columns[${index}][orderable]`] = column.sortable !== false;
+        params[`columns[${index}][search][value]`] = value;
+        params[`columns[${index}][search][regex]`] = regex;
+      });
       
-      values.forEach(value => {
-        const bucketIndex = Math.min(bucketCount - 1, Math.floor((value - min) / bucketSize));
-        buckets[bucketIndex]++;
+      request.sort.forEach((sort, index) => {
+        params[`order[${index}][column]`] = request.columns.findIndex(column => column.field === sort.field);
+        params[`order[${index}][dir]`] = sort.direction;
       });
       
-      const maxBucketCount = Math.max(...buckets);
+      if (request.parentId !== null) {
+        params.parentId = request.parentId;
+      }
       
-      // Create SVG for the chart
-      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-      svg.setAttribute('width', '100%');
-      svg.setAttribute('height', '250');
-      svg.style.display = 'block';
+      return params;
+    },
+    
+    parseResponse(data) {
+      if (data.error) {
+        throw new Error(data.error);
+      }
       
-      // X axis
-      const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      xAxis.setAttribute('x1', '40');
-      xAxis.setAttribute('y1', '220');
-      xAxis.setAttribute('x2', '100%');
-      xAxis.setAttribute('y2', '220');
-      xAxis.setAttribute('stroke', '#333');
-      xAxis.setAttribute('stroke-width', '1');
+      return {
+        items: data.data || [],
+        totalRecords: data.recordsFiltered !== undefined ? data.recordsFiltered : data.recordsTotal
+      };
+    }
+  },
+  
+  // OData v4 query options
+  odata: {
+    buildRequest(request, table) {
+      const path = field => field.replace(/\./g, '/');
+      const params = {
+        $top: request.length,
+        $skip: request.start,
+        $count: true
+      };
       
-      svg.appendChild(xAxis);
+      const conditions = request.filters.map(filter => {
+        const field = path(filter.field);
+        
+        if (filter.empty) {
+          return `${field} eq null`;
+        }
+        
+        if (filter.values) {
+          return `(${filter.values.map(value => `${field} eq ${toODataLiteral(value)}`).join(' or ')})`;
+        }
+        
+        if (typeof filter.value === 'boolean') {
+          return `${field} eq ${filter.value}`;
+        }
+        
+        if (filter.value === undefined) {
+          // Number ranges have min and max, date ranges from and to
+          const bound = (value, operator, toLiteral) => value !== undefined && value !== '' && value !== null
+            ? `${field} ${operator} ${toLiteral(value)}`
+            : null;
+          
+          return [
+            bound(filter.min, 'ge', value => String(Number(value))),
+            bound(filter.max, 'le', value => String(Number(value))),
+            bound(filter.from, 'ge', toODataDate),
+            bound(filter.to, 'le', toODataDate)
+          ].filter(Boolean).join(' and ');
+        }
+        
+        return filter.operator === 'equals'
+          ? `${field} eq ${toODataLiteral(String(filter.value))}`
+          : `contains(${field},${toODataLiteral(String(filter.value))})`;
+      }).filter(Boolean);
+      
+      if (request.search) {
+        const search = getTextColumns(request)
+          .map(column => `contains(${path(column.field)},${toODataLiteral(String(request.search))})`);
+        
+        if (search.length > 0) {
+          conditions.unshift(`(${search.join(' or ')})`);
+        }
+      }
       
-      // Y axis
-      const yAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      yAxis.setAttribute('x1', '40');
-      yAxis.setAttribute('y1', '20');
-      yAxis.setAttribute('x2', '40');
-      yAxis.setAttribute('y2', '220');
-      yAxis.setAttribute('stroke', '#333');
-      yAxis.setAttribute('stroke-width', '1');
+      if (request.parentId !== null) {
+        conditions.unshift(`${path(getParentField(table))} eq ${toODataLiteral(request.parentId)}`);
+      }
       
-      svg.appendChild(yAxis);
+      if (conditions.length > 0) {
+        params.$filter = conditions.join(' and ');
+      }
       
-      // Draw histogram bars
-      const barWidth = (chartContainer.offsetWidth - 50) / bucketCount;
+      if (request.sort.length > 0) {
+        params.$orderby = request.sort.map(sort => `${path(sort.field)} ${sort.direction}`).join(',');
+      }
       
-      buckets.forEach((count, i) => {
-        const x = 40 + (i * barWidth);
-        const height = (count / maxBucketCount) * 200;
-        const y = 220 - height;
-        
-        // Create bar
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', x);
-        rect.setAttribute('y', y);
-        rect.setAttribute('width', barWidth - 2);
-        rect.setAttribute('height', height);
-        rect.setAttribute('fill', `rgba(33, 150, 243, 0.7)`);
-        
-        svg.appendChild(rect);
-        
-        // X axis labels (every other bucket)
-        if (i % 2 === 0 || i === bucketCount - 1) {
-          const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          label.setAttribute('x', x + barWidth / 2);
-          label.setAttribute('y', '235');
-          label.setAttribute('text-anchor', 'middle');
-          label.setAttribute('font-size', '10');
-          label.textContent = (min + (i * bucketSize)).toFixed(1);
+      return params;
+    },
+    
+    parseResponse(data) {
+      return {
+        items: data.value || [],
+        totalRecords: data['@odata.count']
+      };
+    }
+  },
+  
+  // JSON:API with page-based pagination
+  jsonapi: {
+    buildRequest(request, table) {
+      const params = {
+        'page[number]': request.page,
+        'page[size]': request.pageSize
+      };
+      
+      if (request.search) {
+        params['filter[search]'] = request.search;
+      }
+      
+      request.filters.forEach(filter => {
+        if (filter.empty) {
+          params[`filter[${filter.field}]`] = '';
+        } else if (filter.values) {
+          params[`filter[${filter.field}]`] = filter.values.join(',');
+        } else if (filter.value !== undefined) {
+          params[`filter[${filter.field}]`] = filter.value;
+        } else {
+          const min = filter.min !== undefined ? filter.min : filter.from;
+          const max = filter.max !== undefined ? filter.max : filter.to;
           
-          svg.appendChild(label);
+          if (min !== undefined && min !== '') params[`filter[${filter.field}][gte]`] = min;
+          if (max !== undefined && max !== '') params[`filter[${filter.field}][lte]`] = max;
         }
       });
       
-      // Draw mean line
-      const meanX = 40 + ((avg - min) / range) * (chartContainer.offsetWidth - 50);
+      if (request.parentId !== null) {
+        params[`filter[${getParentField(table)}]`] = request.parentId;
+      }
       
-      const meanLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      meanLine.setAttribute('x1', meanX);
-      meanLine.setAttribute('y1', '20');
-      meanLine.setAttribute('x2', meanX);
-      meanLine.setAttribute('y2', '220');
-      meanLine.setAttribute('stroke', 'red');
-      meanLine.setAttribute('stroke-width', '2');
-      meanLine.setAttribute('stroke-dasharray', '5,5');
+      if (request.sort.length > 0) {
+        params.sort = request.sort.map(sort => (sort.direction === 'desc' ? '-' : '') + sort.field).join(',');
+      }
       
-      svg.appendChild(meanLine);
+      return params;
+    },
+    
+    parseResponse(data) {
+      const meta = data.meta || {};
+      const page = meta.page || {};
       
-      // Mean label
-      const meanLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      meanLabel.setAttribute('x', meanX);
-      meanLabel.setAttribute('y', '15');
-      meanLabel.setAttribute('text-anchor', 'middle');
-      meanLabel.setAttribute('font-size', '12');
-      meanLabel.setAttribute('fill', 'red');
-      meanLabel.textContent = 'Mean';
+      // Resources become rows of their id and attributes
+      const items = (data.data || []).map(resource => ({ id: resource.id, ...resource.attributes }));
       
-      svg.appendChild(meanLabel);
+      // Without a page count in meta, read it from the last page link
+      let totalPages = meta.totalPages || meta['total-pages'] || page.lastPage || page['last-page'];
+      const last = data.links && data.links.last;
+      const lastHref = last && typeof last === 'object' ? last.href : last;
+      const match = lastHref && decodeURIComponent(lastHref).match(/page\[number\]=(\d+)/);
       
-      chartContainer.appendChild(svg);
+      if (!totalPages && match) {
+        totalPages = Number(match[1]);
+      }
       
-      // Display stats
-      const createStatElement = (label, value) => {
-        const statElem = document.createElement('div');
-        statElem.className = 'stat-item';
-        
-        const labelElem = document.createElement('div');
-        labelElem.className = 'stat-label';
-        labelElem.textContent = label;
-        labelElem.style.fontWeight = 'bold';
-        
-        const valueElem = document.createElement('div');
-        valueElem.className = 'stat-value';
-        valueElem.textContent = value;
-        
-        statElem.appendChild(labelElem);
-        statElem.appendChild(valueElem);
-        
-        return statElem;
+      return {
+        items,
+        totalRecords: meta.total || meta.count || page.total || 0,
+        totalPages
       };
-      
-      statsContainer.appendChild(createStatElement('Count', values.length));
-      statsContainer.appendChild(createStatElement('Mean', avg.toFixed(2)));
-      statsContainer.appendChild(createStatElement('Median', median.toFixed(2)));
-      statsContainer.appendChild(createStatElement('Std Dev', stdDev.toFixed(2)));
-      statsContainer.appendChild(createStatElement('Min', min.toFixed(2)));
-      statsContainer.appendChild(createStatElement('Max', max.toFixed(2)));
-    };
-    
-    // Initial chart creation
-    createDistribution(columnSelect.value);
-    
-    // Update chart when column selection changes
-    columnSelect.addEventListener('change', (e) => {
-      createDistribution(e.target.value);
-    });
-  }
-  
-  /**
-   * Get a color for a value between 0-100
-   */
-  getColorForValue(percentage) {
-    if (percentage < 25) {
-      return '#F44336'; // Red for low values
-    } else if (percentage < 50) {
-      return '#FFC107'; // Yellow for mid-low values
-    } else if (percentage < 75) {
-      return '#2196F3'; // Blue for mid-high values
-    } else {
-      return '#4CAF50'; // Green for high values
     }
-  }
-  
-  /**
-   * Get a color from the visualization colors array
-   */
-  getColorForIndex(index) {
-    return this.options.visualizationColors[index % this.options.visualizationColors.length];
-  }
+  },
   
-  /**
-   * Initialize rules engine for conditional formatting and business rules
-   */
-  initRulesEngine() {
-    // Create a button for the toolbar to manage rules if needed
-    if (this.options.businessRules && this.options.businessRules.length > 0) {
-      const rulesBtn = document.createElement('button');
-      rulesBtn.textContent = 'Validate Rules';
-      rulesBtn.className = 'rules-btn';
-      rulesBtn.addEventListener('click', () => this.validateAllRules());
+  // Spring Data Pageable requests and Page responses
+  spring: {
+    buildRequest(request, table) {
+      const params = {
+        page: request.page - 1,
+        size: request.pageSize
+      };
       
-      this.toolbarElement.querySelector('.export-buttons').appendChild(rulesBtn);
-    }
-    
-    // Initialize rule evaluator
-    this.rulesEngine = {
-      evaluateCondition: (condition, row, column, value) => {
-        try {
-          switch (condition.operator) {
-            // Numeric comparisons
-            case '=':
-            case '==':
-              return value == condition.value;
-            case '===':
-              return value === condition.value;
-            case '!=':
-            case '<>':
-              return value != condition.value;
-            case '!==':
-              return value !== condition.value;
-            case '>':
-              return Number(value) > Number(condition.value);
-            case '>=':
-              return Number(value) >= Number(condition.value);
-            case '<':
-              return Number(value) < Number(condition.value);
-            case '<=':
-              return Number(value) <= Number(condition.value);
-              
-            // String operations
-            case 'contains':
-              return String(value).includes(String(condition.value));
-            case 'not_contains':
-              return !String(value).includes(String(condition.value));
-            case 'starts_with':
-              return String(value).startsWith(String(condition.value));
-            case 'ends_with':
-              return String(value).endsWith(String(condition.value));
-            case 'regex':
-              return new RegExp(condition.value).test(String(value));
-              
-            // Array operations
-            case 'in':
-              return Array.isArray(condition.value) && condition.value.includes(value);
-            case 'not_in':
-              return Array.isArray(condition.value) && !condition.value.includes(value);
-              
-            // Null/empty checks
-            case 'is_null':
-              return value === null || value === undefined;
-            case 'is_not_null':
-              return value !== null && value !== undefined;
-            case 'is_empty':
-              return value === '' || value === null || value === undefined;
-            case 'is_not_empty':
-              return value !== '' && value !== null && value !== undefined;
-              
-            // Custom function
-            case 'function':
-              if (typeof condition.value === 'function') {
-                return condition.value(value, row, column);
-              }
-              return false;
-              
-            default:
-              console.warn('Unknown operator:', condition.operator);
-              return false;
-          }
-        } catch (error) {
-          console.error('Error evaluating condition:', error);
-          return false;
+      if (request.search) {
+        params.search = request.search;
+      }
+      
+      // Value filters as plain params; range filters need a custom adapter
+      request.filters.forEach(filter => {
+        if (filter.empty) {
+          params[filter.field] = '';
+        } else if (filter.values) {
+          params[filter.field] = filter.values;
+        } else if (filter.value !== undefined) {
+          params[filter.field] = filter.value;
         }
-      },
+      });
+      
+      if (request.parentId !== null) {
+        params[getParentField(table)] = request.parentId;
+      }
+      
+      if (request.sort.length > 0) {
+        params.sort = request.sort.map(sort => `${sort.field},${sort.direction}`);
+      }
       
-      evaluateRule: (rule, row) => {
-        try {
-          // Check if the rule has a target field
-          if (rule.field) {
-            const column = this.options.columns.find(col => col.field === rule.field);
-            const value = row[rule.field];
-            
-            // Cache key for rule evaluation
-            const cacheKey = `${JSON.stringify(rule)}-${JSON.stringify(value)}`;
-            
-            // Check if we have cached result
-            if (this.ruleEvaluations.has(cacheKey)) {
-              return this.ruleEvaluations.get(cacheKey);
-            }
-            
-            // Evaluate the condition
-            const result = this.rulesEngine.evaluateCondition(rule.condition, row, column, value);
-            
-            // Cache the result
-            this.ruleEvaluations.set(cacheKey, result);
-            
-            return result;
-          } 
-          // If rule is a function, call it with the row
-          else if (typeof rule.evaluate === 'function') {
-            return rule.evaluate(row);
-          }
+      return params;
+    },
+    
+    parseResponse(data) {
+      // Spring Data 3.3 can serialize pages as { content, page: { totalElements, totalPages } }
+      const page = data.page || data;
+      
+      return {
+        items: data.content || [],
+        totalRecords: page.totalElements || 0,
+        totalPages: page.totalPages
+      };
+    }
+  },
+  
+  // GraphQL queries configured with the graphql option, POSTed to serverUrl
+  graphql: {
+    method: 'POST',
+    
+    buildRequest(request, table) {
+      const config = table.options.graphql || {};
+      const paging = getGraphQLPaging(request, table).variables;
+      
+      // Variables come from a function(request, paging), or default names plus static variables
+      const variables = typeof config.variables === 'function'
+        ? config.variables(request, paging)
+        : {
+          ...paging,
+          search: request.search || null,
+          filters: request.filters.length > 0 ? request.filters : null,
+          sort: request.sort.length > 0 ? request.sort : null,
+          ...(request.parentId !== null ? { parentId: request.parentId } : {}),
+          ...config.variables
+        };
+      
+      const params = { query: config.query, variables };
+      
+      if (config.operationName) {
+        params.operationName = config.operationName;
+      }
+      
+      return params;
+    },
+    
+    parseResponse(data, request, table) {
+      if (data.errors && data.errors.length > 0) {
+        const error = new Error(data.errors[0].message);
+        error.errors = data.errors;
+        throw error;
+      }
+      
+      const config = table.options.graphql || {};
+      const root = data.data || {};
+      
+      // The result is at path, or the first field of the query
+      const result = config.path
+        ? config.path.split('.').reduce((value, key) => value && value[key], root)
+        : root[Object.keys(root)[0]];
+      
+      // Lists, connections with edges or nodes, and { items, totalCount } results
+      const connection = Array.isArray(result) ? { items: result } : result || {};
+      const items = connection.edges
+        ? connection.edges.map(edge => edge.node)
+        : connection.nodes || connection.items || [];
+      const totalRecords = connection.totalCount !== undefined ? connection.totalCount : connection.total;
+      const pageInfo = connection.pageInfo || {};
+      let skip = 0;
+      
+      if (config.pagination === 'cursor' && request.parentId === null) {
+        skip = getGraphQLPaging(request, table).skip;
+        
+        const cursors = table.pageCursors.cursors;
+        const pageSize = request.pageSize;
+        
+        // Remember where the pages that were read through end
+        if (connection.edges) {
+          const firstPage = request.page - skip / pageSize;
           
-          return false;
-        } catch (error) {
-          console.error('Error evaluating rule:', error);
-          return false;
+          for (let index = pageSize - 1; index < skip && index < connection.edges.length; index += pageSize) {
+            cursors.set(firstPage + (index + 1) / pageSize - 1, connection.edges[index].cursor);
+          }
         }
+        
+        cursors.set(request.page, pageInfo.endCursor);
       }
-    };
+      
+      const hasMore = pageInfo.hasNextPage !== undefined 
+        ? pageInfo.hasNextPage 
+        : items.length >= skip + request.length;
+      
+      return {
+        items: items.slice(skip),
+        totalRecords,
+        // Without a total count, offer the next page while there is one
+        totalPages: totalRecords === undefined ? request.page + (hasMore ? 1 : 0) : undefined,
+        hasMore
+      };
+    }
   }
-}
+};
 
 // Add CSS styles for the library
 const addStyles = () => {
@@ -3546,6 +9653,11 @@ const addStyles = () => {
       color: #333;
     }
     
+    /* Holds overlays over the visible part of the scrolling wrapper */
+    .advanced-table-viewport {
+      position: relative;
+    }
+    
     .advanced-table-wrapper {
       width: 100%;
       overflow: auto;
@@ -3740,14 +9852,51 @@ const addStyles = () => {
     
     /* Empty and error states */
     .advanced-table .no-data-message,
-    .advanced-table .error-message {
+    .advanced-table .error-message,
+    .table-error-overlay .error-message {
       text-align: center;
       padding: 20px;
       color: #666;
     }
     
-    .advanced-table .error-message {
+    .advanced-table .error-message,
+    .table-error-overlay .error-message {
+      color: #d32f2f;
+    }
+    
+    .advanced-table-wrapper.has-error {
+      min-height: 140px;
+    }
+    
+    .table-error-overlay {
+      position: absolute;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      left: 0;
+      z-index: 5;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      background-color: rgba(255, 255, 255, 0.85);
+    }
+    
+    .table-error-overlay .error-message {
+      padding: 0 20px 12px;
+    }
+    
+    .table-error-overlay .retry-btn {
+      padding: 6px 16px;
+      border: 1px solid #d32f2f;
+      border-radius: 4px;
+      background-color: #fff;
       color: #d32f2f;
+      cursor: pointer;
+    }
+    
+    .table-error-overlay .retry-btn:hover {
+      background-color: #ffebee;
     }
     
     /* Freeze header styles */
@@ -3793,6 +9942,19 @@ const addStyles = () => {
       opacity: 1;
     }
     
+    .sort-priority {
+      display: inline-block;
+      min-width: 14px;
+      margin-left: 4px;
+      padding: 0 3px;
+      border-radius: 7px;
+      background-color: rgba(0, 0, 0, 0.15);
+      font-size: 10px;
+      line-height: 14px;
+      text-align: center;
+      vertical-align: middle;
+    }
+    
     /* Resizable columns */
     .advanced-table th {
       position: relative;
@@ -3811,6 +9973,285 @@ const addStyles = () => {
       opacity: 0.8;
     }
     
+    /* Summary footer */
+    .advanced-table tfoot td {
+      font-weight: 600;
+      background-color: #f5f5f5;
+      border-top: 2px solid #ddd;
+    }
+    
+    .advanced-table .summary-aggregate {
+      text-align: right;
+    }
+    
+    .freeze-header tfoot td {
+      position: sticky;
+      bottom: 0;
+      z-index: 2;
+    }
+    
+    .freeze-header.freeze-columns tfoot td:nth-child(-n + var(--freeze-columns)) {
+      z-index: 3;
+    }
+    
+    .advanced-table-theme-dark .advanced-table tfoot td {
+      background-color: #2c3440;
+    }
+    
+    /* Detail rows */
+    .advanced-table .detail-toggle {
+      width: 20px;
+      height: 20px;
+      margin-right: 6px;
+      padding: 0;
+      border: 1px solid #ccc;
+      border-radius: 3px;
+      background: #fff;
+      line-height: 16px;
+      cursor: pointer;
+    }
+    
+    .advanced-table tr.detail-row > td {
+      padding: 12px 16px;
+      background-color: #fafafa;
+    }
+    
+    .advanced-table tr.detail-row:hover {
+      background-color: transparent;
+    }
+    
+    /* Row selection */
+    .advanced-table tbody tr.selected td {
+      background-color: #e3f2fd;
+    }
+    
+    .advanced-table .row-select-checkbox,
+    .advanced-table .select-all-checkbox {
+      margin: 0 6px 0 0;
+      vertical-align: middle;
+      cursor: pointer;
+    }
+    
+    .bulk-actions {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-left: 10px;
+    }
+    
+    .bulk-actions .selection-count {
+      font-weight: bold;
+    }
+    
+    /* Batch editing */
+    .advanced-table td.cell-dirty {
+      position: relative;
+      background-color: #fff8e1;
+    }
+    
+    .advanced-table td.cell-dirty::before {
+      content: '';
+      position: absolute;
+      top: 0;
+      left: 0;
+      border-style: solid;
+      border-width: 6px 6px 0 0;
+      border-color: #ff9800 transparent transparent transparent;
+    }
+    
+    .advanced-table tr.row-added td {
+      background-color: #e8f5e9;
+    }
+    
+    .advanced-table tr.row-removed td {
+      background-color: #ffebee;
+      color: #999;
+      text-decoration: line-through;
+    }
+    
+    /* Cell ranges and validation */
+    .advanced-table.range-selecting {
+      user-select: none;
+    }
+    
+    .advanced-table td.range-selected {
+      background-color: rgba(33, 150, 243, 0.15);
+    }
+    
+    .advanced-table td.validation-error {
+      background-color: #fdecea;
+      box-shadow: inset 0 0 0 1px #e53935;
+    }
+    
+    /* Tree data */
+    .advanced-table .tree-cell {
+      white-space: nowrap;
+    }
+    
+    .advanced-table .tree-toggle {
+      display: inline-block;
+      width: 1em;
+      margin-right: 4px;
+      cursor: pointer;
+      user-select: none;
+    }
+    
+    .advanced-table .tree-toggle.leaf,
+    .advanced-table .tree-toggle.loading {
+      cursor: default;
+    }
+    
+    /* Pivot mode */
+    .advanced-table td.pivot-value {
+      text-align: right;
+    }
+    
+    .pivot-mode .advanced-table td.pivot-value:hover {
+      cursor: pointer;
+      text-decoration: underline;
+    }
+    
+    /* Row grouping */
+    .group-buttons {
+      display: flex;
+      gap: 8px;
+    }
+    
+    .advanced-table tr.group-row {
+      cursor: pointer;
+    }
+    
+    .advanced-table tr.group-row td {
+      background-color: #f0f4f8;
+      font-weight: 600;
+    }
+    
+    .advanced-table tr.group-row:focus {
+      outline: 2px solid #4CAF50;
+      outline-offset: -2px;
+    }
+    
+    .advanced-table .group-label {
+      white-space: nowrap;
+    }
+    
+    .advanced-table .group-toggle {
+      display: inline-block;
+      width: 1em;
+      margin-right: 4px;
+    }
+    
+    .advanced-table .group-count {
+      margin-left: 6px;
+      font-weight: normal;
+      color: #666;
+    }
+    
+    .advanced-table .group-aggregate {
+      text-align: right;
+    }
+    
+    .advanced-table-theme-dark .advanced-table tr.group-row td {
+      background-color: #2c3440;
+    }
+    
+    /* Virtual scrolling */
+    .advanced-table tr.virtual-spacer td {
+      padding: 0;
+      border: none;
+    }
+    
+    .advanced-table tr.virtual-spacer:hover {
+      background-color: transparent;
+    }
+    
+    /* Column filters */
+    .advanced-table .advanced-table-filter-row th {
+      padding: 6px 10px;
+      font-weight: normal;
+      border-bottom: 1px solid #ddd;
+    }
+    
+    .freeze-header thead tr.advanced-table-filter-row th {
+      top: var(--filter-row-top, 39px);
+    }
+    
+    .filter-control {
+      display: flex;
+      gap: 4px;
+    }
+    
+    .filter-control input,
+    .filter-control select,
+    .filter-select-btn {
+      width: 100%;
+      min-width: 0;
+      padding: 4px 6px;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      font-size: 13px;
+      box-sizing: border-box;
+    }
+    
+    .filter-control.filter-select {
+      flex-direction: column;
+      max-height: 200px;
+      overflow-y: auto;
+    }
+    
+    .filter-option {
+      display: flex;
+      align-items: center;
+      white-space: nowrap;
+      font-size: 13px;
+      font-weight: normal;
+    }
+    
+    .filter-select-btn {
+      background-color: #fff;
+      text-align: left;
+      cursor: pointer;
+    }
+    
+    .filter-menu-btn {
+      margin-left: 5px;
+      padding: 0 4px;
+      background: none;
+      border: none;
+      cursor: pointer;
+      font-size: 12px;
+      color: inherit;
+      opacity: 0.5;
+    }
+    
+    .advanced-table th.filtered .filter-menu-btn {
+      opacity: 1;
+      color: #2196F3;
+    }
+    
+    .advanced-table-filter-menu {
+      position: fixed;
+      background-color: #fff;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+      min-width: 180px;
+      padding: 10px;
+      z-index: 1000;
+    }
+    
+    .advanced-table-filter-menu .filter-control {
+      margin-bottom: 8px;
+    }
+    
+    .filter-clear-btn {
+      padding: 4px 10px;
+      background-color: #f5f5f5;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    
     /* Context Menu */
     .advanced-table-context-menu {
       position: fixed;
@@ -4038,6 +10479,26 @@ const addStyles = () => {
       font-size: 14px;
     }
     
+    .advanced-table td.editing {
+      padding: 4px;
+    }
+    
+    .cell-edit-multiselect {
+      display: flex;
+      flex-direction: column;
+      gap: 2px;
+      max-height: 150px;
+      overflow-y: auto;
+      padding: 4px;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      background: #fff;
+    }
+    
+    textarea.cell-edit-input {
+      resize: vertical;
+    }
+    
     .cell-changed {
       background-color: #e0f7fa;
       transition: background-color 0.5s;